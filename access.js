@@ -0,0 +1,164 @@
+/**
+ * @file Roles and access levels. Each role has a security level, and a session's level is its user's
+ * role's (guests are level 0). Boards carry a read and a post level, file areas a view, download and
+ * upload level: a session may do something if its level is at least the one required. Levels are
+ * stored as numbers so queries can filter with `<=`.
+ *
+ * Moderators only moderate the boards they are assigned to (board_moderators table); SysOps moderate
+ * every board.
+ */
+
+const ROLES = ['guest', 'user', 'trusted', 'moderator', 'sysop']; // Index = security level.
+
+const BOARD_LEVELS = { read: 'read_level', post: 'post_level' }; // Action -> boards column.
+const AREA_LEVELS = { view: 'view_level', download: 'download_level', upload: 'upload_level' }; // Action -> file_areas column.
+
+/**
+ * Returns a role's security level.
+ * @param {string} role - A role name.
+ * @returns {number} The level, or -1 for an unknown role.
+ */
+function getRoleLevel(role) {
+  return ROLES.indexOf(String(role).toLowerCase());
+}
+
+/**
+ * Returns the role name for a level (levels above the highest role count as that role).
+ * @param {number} level - A security level.
+ * @returns {string} The role name.
+ */
+function getRoleName(level) {
+  return ROLES[Math.max(0, Math.min(level, ROLES.length - 1))];
+}
+
+/**
+ * Parses a role name or a numeric level typed by a SysOp.
+ * @param {string} value - e.g. 'trusted' or '2'.
+ * @returns {number|undefined} The level, or undefined if the value is neither.
+ */
+function parseLevel(value) {
+  if (/^\d+$/.test(value)) {
+    const level = parseInt(value);
+    return level < ROLES.length ? level : undefined;
+  }
+  const level = getRoleLevel(value);
+  return level === -1 ? undefined : level;
+}
+
+/**
+ * Returns a session's security level. Logged-in users with an unrecognized role count as 'user'.
+ * @param {object} session - The user's session object.
+ * @returns {number} The level.
+ */
+function getSessionLevel(session) {
+  if (!session || !session.loggedIn || !session.userId) return 0;
+  const level = getRoleLevel(session.userRole);
+  return level === -1 ? getRoleLevel('user') : level;
+}
+
+/**
+ * Checks whether a session holds a role or a higher one.
+ * @param {object} session - The user's session object.
+ * @param {string} role - The role needed.
+ * @returns {boolean} True if the session's level is at least the role's.
+ */
+function hasRole(session, role) {
+  return getSessionLevel(session) >= getRoleLevel(role);
+}
+
+/**
+ * Checks a board or file area's level for one action.
+ * @param {object} session - The user's session object.
+ * @param {object} row - The board or area row, with its level columns.
+ * @param {string} column - The level column, e.g. 'post_level'.
+ * @returns {boolean} True if the session may perform the action.
+ */
+function meetsLevel(session, row, column) {
+  return getSessionLevel(session) >= (row[column] || 0);
+}
+
+/**
+ * Checks a board's read or post level.
+ * @param {object} session - The user's session object.
+ * @param {object} board - The board row (read_level, post_level).
+ * @param {string} action - 'read' or 'post'.
+ * @returns {boolean} True if allowed.
+ */
+function canAccessBoard(session, board, action) {
+  return meetsLevel(session, board, BOARD_LEVELS[action]);
+}
+
+/**
+ * Checks a file area's view, download or upload level.
+ * @param {object} session - The user's session object.
+ * @param {object} area - The area row (view_level, download_level, upload_level).
+ * @param {string} action - 'view', 'download' or 'upload'.
+ * @returns {boolean} True if allowed.
+ */
+function canAccessArea(session, area, action) {
+  return meetsLevel(session, area, AREA_LEVELS[action]);
+}
+
+/**
+ * Formats an access-level refusal.
+ * @param {string} action - What was refused, e.g. 'post on'.
+ * @param {string} name - The board or area name.
+ * @param {number} level - The level required.
+ * @returns {string} The message.
+ */
+function formatDenied(action, name, level) {
+  return `You need the ${getRoleName(level)} role or higher to ${action} [${name}].\n`;
+}
+
+/**
+ * Checks whether a session may moderate a board: SysOps always, moderators on boards assigned to them.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} session - The user's session object.
+ * @param {number} boardId - The board ID.
+ * @returns {Promise<boolean>} True if the session may edit and delete messages on the board.
+ */
+async function canModerateBoard(repos, session, boardId) {
+  if (hasRole(session, 'sysop')) return true;
+  if (!hasRole(session, 'moderator')) return false;
+  return repos.boards.isModerator(boardId, session.userId);
+}
+
+/**
+ * Splits trailing KEY:<role> options off a command's arguments (e.g. `Tech Talk READ:user POST:trusted`).
+ * @param {string[]} args - The command arguments.
+ * @param {Object<string, string>} levelColumns - Option name (lowercase) -> level column.
+ * @returns {{ref: string, levels: Object<string, number>} | {error: string}} The name before the options,
+ *   and the levels to set by column.
+ */
+function parseLevelOptions(args, levelColumns) {
+  const levels = {};
+  const words = [...args];
+  while (words.length > 0) {
+    const match = words[words.length - 1].match(/^(\w+):(.+)$/);
+    if (!match) break;
+    const column = levelColumns[match[1].toLowerCase()];
+    if (!column) return { error: `Unknown option '${match[1]}:'.` };
+    const level = parseLevel(match[2]);
+    if (level === undefined) return { error: `Unknown role '${match[2]}'. Roles: ${ROLES.join(', ')}.` };
+    levels[column] = level;
+    words.pop();
+  }
+  return { ref: words.join(' '), levels };
+}
+
+module.exports = {
+  ROLES,
+  BOARD_LEVELS,
+  AREA_LEVELS,
+  getRoleLevel,
+  getRoleName,
+  parseLevel,
+  getSessionLevel,
+  hasRole,
+  canAccessBoard,
+  canAccessArea,
+  formatDenied,
+  canModerateBoard,
+  parseLevelOptions,
+};
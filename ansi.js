@@ -0,0 +1,105 @@
+/**
+ * @file ANSI color constants and helpers shared by bbsLogic, the command modules and the Telnet server.
+ */
+
+// ANSI Color Constants & Mappings for Telnet output styling.
+const COLOR_MAP = {
+    'reset': '\x1B[0m',
+    'black': '\x1B[30m', 'red': '\x1B[31m', 'green': '\x1B[32m', 'yellow': '\x1B[33m',
+    'blue': '\x1B[34m', 'magenta': '\x1B[35m', 'cyan': '\x1B[36m', 'white': '\x1B[37m',
+    'bright_black': '\x1B[1;30m', 'bright_red': '\x1B[1;31m', 'bright_green': '\x1B[1;32m', 'bright_yellow': '\x1B[1;33m',
+    'bright_blue': '\x1B[1;34m', 'bright_magenta': '\x1B[1;35m', 'bright_cyan': '\x1B[1;36m', 'bright_white': '\x1B[1;37m',
+};
+const AVAILABLE_COLORS = Object.keys(COLOR_MAP).filter(c => c !== 'reset');
+
+// SETCOLOR element name -> description and the session.prefs key it controls.
+// Each prefs key is persisted in the user_preferences column `color_<prefKey>`.
+const CUSTOMIZABLE_ELEMENTS = {
+    'prompt': { description: 'The command prompt symbol (e.g., >)', prefKey: 'prompt' },
+    'username': { description: 'Usernames in messages, lists, etc.', prefKey: 'username_output' },
+    'timestamp': { description: 'Timestamps in messages, lists, etc.', prefKey: 'timestamp_output' },
+    'title': { description: 'Board, file area and file names', prefKey: 'title_output' },
+    'id': { description: 'Board, file and mail ID numbers', prefKey: 'id_output' },
+    'unread': { description: 'Unread markers in mail and message lists', prefKey: 'unread_marker' },
+    'broadcast': { description: 'SysOp broadcast headers', prefKey: 'broadcast_output' },
+};
+const DEFAULT_COLORS = {
+    prompt: COLOR_MAP.bright_green,
+    username_output: COLOR_MAP.bright_yellow,
+    timestamp_output: COLOR_MAP.cyan,
+    title_output: COLOR_MAP.bright_yellow,
+    id_output: COLOR_MAP.cyan,
+    unread_marker: COLOR_MAP.bright_green,
+    broadcast_output: COLOR_MAP.bright_magenta,
+};
+
+// Named presets for SETTHEME. Each maps every prefs key to a color name.
+// The web client applies the matching `theme-<name>` CSS class.
+const THEMES = {
+    'default': {
+        description: 'The stock THUNDERBIRD colors',
+        colors: { prompt: 'bright_green', username_output: 'bright_yellow', timestamp_output: 'cyan', title_output: 'bright_yellow', id_output: 'cyan', unread_marker: 'bright_green', broadcast_output: 'bright_magenta' },
+    },
+    'amber': {
+        description: 'Amber monochrome monitor',
+        colors: { prompt: 'bright_yellow', username_output: 'bright_yellow', timestamp_output: 'yellow', title_output: 'bright_yellow', id_output: 'yellow', unread_marker: 'bright_yellow', broadcast_output: 'bright_yellow' },
+    },
+    'green-screen': {
+        description: 'Green phosphor terminal',
+        colors: { prompt: 'bright_green', username_output: 'bright_green', timestamp_output: 'green', title_output: 'bright_green', id_output: 'green', unread_marker: 'bright_green', broadcast_output: 'bright_green' },
+    },
+    'c64': {
+        description: 'Commodore 64 light blue on blue',
+        colors: { prompt: 'bright_cyan', username_output: 'bright_white', timestamp_output: 'bright_blue', title_output: 'bright_cyan', id_output: 'bright_blue', unread_marker: 'bright_white', broadcast_output: 'bright_magenta' },
+    },
+};
+
+/**
+ * Retrieves the ANSI color code for a given UI element type based on user preferences or defaults.
+ * @param {object} session - The user's session object.
+ * @param {string} elementType - E.g., 'prompt', 'username_output', 'timestamp_output'.
+ * @returns {string} The ANSI color code.
+ */
+function getAppliedColor(session, elementType) {
+    const colorName = (session && session.prefs && session.prefs[elementType])
+                    ? session.prefs[elementType]
+                    : Object.keys(COLOR_MAP).find(name => COLOR_MAP[name] === DEFAULT_COLORS[elementType]) || 'white';
+    return COLOR_MAP[colorName] || COLOR_MAP.white;
+}
+
+/**
+ * Wraps text in the color the session uses for an element. Only Telnet sessions get ANSI codes;
+ * web sessions receive the plain text.
+ * @param {object} session - The user's session object.
+ * @param {string} elementType - A prefs key, e.g. 'title_output'.
+ * @param {string|number} text - The text to color.
+ * @returns {string} The (possibly) colored text.
+ */
+function colorize(session, elementType, text) {
+    if (!session || session.connectionType !== 'telnet') return String(text);
+    return `${getAppliedColor(session, elementType)}${text}${COLOR_MAP.reset}`;
+}
+
+/**
+ * Builds a fresh preferences object holding the default color name for every element.
+ * @returns {object} Map of element type to color name.
+ */
+function getDefaultPrefs() {
+    const prefs = {};
+    for (const el in DEFAULT_COLORS) {
+        const defaultColorName = Object.keys(COLOR_MAP).find(name => COLOR_MAP[name] === DEFAULT_COLORS[el]);
+        prefs[el] = defaultColorName || 'white';
+    }
+    return prefs;
+}
+
+module.exports = {
+    COLOR_MAP,
+    AVAILABLE_COLORS,
+    CUSTOMIZABLE_ELEMENTS,
+    DEFAULT_COLORS,
+    THEMES,
+    getAppliedColor,
+    colorize,
+    getDefaultPrefs,
+};
@@ -0,0 +1,29 @@
+/**
+ * @file Bans by account or by IP address, with an optional expiry and a reason (stored by repos.bans).
+ * LOGIN refuses banned accounts and addresses; the Telnet and web servers refuse banned addresses
+ * when they connect.
+ */
+
+/**
+ * Describes a ban's length (and reason) in a sentence.
+ * @param {object} ban - The ban row.
+ * @returns {string} e.g. "until 1/2/2030, 10:00:00 AM (Reason: spam)".
+ */
+function describeBan(ban) {
+  const until = ban.expires_at ? `until ${new Date(ban.expires_at).toLocaleString()}` : 'permanently';
+  return `${until}${ban.reason ? ` (Reason: ${ban.reason})` : ''}`;
+}
+
+/**
+ * Formats the message shown to a banned user or address.
+ * @param {object} ban - The ban row.
+ * @returns {string} The message.
+ */
+function formatBanMessage(ban) {
+  return `You are banned from this BBS ${describeBan(ban)}.\n`;
+}
+
+module.exports = {
+  describeBan,
+  formatBanMessage,
+};
@@ -0,0 +1,70 @@
+/**
+ * @file SysOp broadcasts, stored (by repos.broadcasts) with a priority, an expiry time and an optional
+ * target (every user, one role, or the users on one board). Delivery is recorded per user, so each
+ * logged-in user sees each active broadcast once, whenever they next connect. Guests are not shown
+ * broadcasts: they would see them again after logging in.
+ */
+const { colorize } = require('./ansi');
+
+const PRIORITIES = ['low', 'normal', 'urgent']; // Lowest first; urgent broadcasts are delivered first.
+const DEFAULT_EXPIRY_HOURS = 24;
+
+/**
+ * Stores a broadcast and removes expired ones (and their delivery records).
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} broadcast - The broadcast.
+ * @param {string} broadcast.body - The message text.
+ * @param {number} [broadcast.senderId] - The SysOp's user ID.
+ * @param {string} [broadcast.priority='normal'] - One of PRIORITIES.
+ * @param {Date|null} [broadcast.expiresAt] - When it stops being delivered; null for never. Defaults to DEFAULT_EXPIRY_HOURS from now.
+ * @param {string} [broadcast.targetRole] - Only users with this role receive it.
+ * @param {number} [broadcast.targetBoardId] - Only users on this board receive it.
+ * @returns {Promise<number>} The new broadcast's ID.
+ */
+function addBroadcast(repos, { body, senderId = null, priority = 'normal', expiresAt, targetRole = null, targetBoardId = null }) {
+  if (expiresAt === undefined) expiresAt = new Date(Date.now() + DEFAULT_EXPIRY_HOURS * 3600 * 1000);
+  return repos.broadcasts.add({ body, senderId, priority, expiresAt, targetRole, targetBoardId });
+}
+
+/**
+ * Formats one broadcast for a session.
+ * @param {object} session - The recipient's session object.
+ * @param {object} broadcast - The broadcast row.
+ * @returns {string} The formatted line.
+ */
+function formatBroadcast(session, broadcast) {
+  const created = new Date(broadcast.created_at);
+  const when = created.toDateString() === new Date().toDateString() ? created.toLocaleTimeString() : created.toLocaleString();
+  const label = `${broadcast.priority === 'urgent' ? 'URGENT BROADCAST' : 'BROADCAST'} ${when}${broadcast.board_name ? ` @${broadcast.board_name}` : ''}`;
+  return `${colorize(session, 'broadcast_output', `[${label}]`)} ${broadcast.body}\n`;
+}
+
+/**
+ * Formats every active broadcast the session's user has not been shown yet and records them as delivered.
+ * If two sessions of the same user collect at once, each broadcast goes to whichever records it first.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} session - The user's session object.
+ * @returns {Promise<string>} The formatted broadcasts, or an empty string (always for guests).
+ */
+async function collectPendingBroadcasts(repos, session) {
+  if (!session.loggedIn || !session.userId) return "";
+  let broadcastsToPrepend = "";
+  try {
+    const recipient = { userId: session.userId, role: session.userRole, boardId: session.currentBoardId };
+    for (const broadcast of await repos.broadcasts.getUndelivered(recipient)) {
+      if (await repos.broadcasts.recordDelivery(broadcast.id, session.userId)) broadcastsToPrepend += formatBroadcast(session, broadcast);
+    }
+  } catch (dbErr) {
+    console.error("Error collecting broadcasts:", dbErr);
+  }
+  return broadcastsToPrepend;
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_EXPIRY_HOURS,
+  addBroadcast,
+  collectPendingBroadcasts,
+};
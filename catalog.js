@@ -0,0 +1,123 @@
+/**
+ * @file Board and file area management for the SysOp commands CREATEBOARD/EDITBOARD/DELETEBOARD and
+ * CREATEAREA/EDITAREA/DELETEAREA: argument parsing, the column changes they make, and moving sessions
+ * off changed boards. The changes themselves are made through repos.boards and repos.files.
+ *
+ * Boards and areas are listed by `sort_order`, then ID. Hidden ones are left out of LISTBOARDS and
+ * LISTFILEAREAS (except for SysOps) but can still be reached by name; the access levels in access.js
+ * decide who may use them. Exactly one board and one area are the default (`is_default`): sessions
+ * start on the default board, and LISTFILES shows the default area.
+ */
+const { ROLES, parseLevel, canAccessBoard } = require('./access');
+const { getAllSessions, setDefaultBoardForSession } = require('./sessionManager');
+
+// Starts with a letter, so a name can never be mistaken for an ID.
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9 _.&'-]{0,29}$/;
+
+/**
+ * Checks a new board or area name.
+ * @param {string} name - The name.
+ * @returns {string|null} What is wrong with it, or null if it is acceptable.
+ */
+function checkName(name) {
+  if (NAME_PATTERN.test(name)) return null;
+  return "Names must start with a letter and have at most 30 letters, digits, spaces or _ . & ' - characters.";
+}
+
+/**
+ * Splits a management command's arguments into the board or area name, KEY:value options and a description
+ * after `///`, e.g. `Tech Talk ORDER:2 HIDDEN:YES /// Gadgets and gizmos`.
+ * @param {string} rawArgs - The command's arguments as typed.
+ * @param {string[]} allowed - The option names accepted (uppercase).
+ * @param {string} [restOption] - An option whose value runs to the end (before `///`), so it may contain
+ *   spaces, e.g. NAME:Tech Talk. It must come after the other options.
+ * @returns {{ref: string, description: (string|undefined), options: Object<string, string>} | {error: string}}
+ *   The parts, with option names uppercased.
+ */
+function parseCatalogArgs(rawArgs, allowed, restOption) {
+  const separator = rawArgs.indexOf('///');
+  const description = separator === -1 ? undefined : rawArgs.substring(separator + 3).trim();
+  let words = (separator === -1 ? rawArgs : rawArgs.substring(0, separator)).trim().split(/\s+/).filter(Boolean);
+  const options = {};
+  if (restOption) {
+    const index = words.findIndex(word => word.toUpperCase().startsWith(`${restOption}:`));
+    if (index !== -1) {
+      options[restOption] = [words[index].substring(restOption.length + 1), ...words.slice(index + 1)].join(' ');
+      words = words.slice(0, index);
+    }
+  }
+  while (words.length > 0) {
+    const match = words[words.length - 1].match(/^(\w+):(.*)$/);
+    if (!match) break;
+    const key = match[1].toUpperCase();
+    if (!allowed.includes(key)) return { error: `Unknown option '${match[1]}:'.` };
+    options[key] = match[2];
+    words.pop();
+  }
+  return { ref: words.join(' '), description, options };
+}
+
+/**
+ * Turns ORDER:, HIDDEN:, DEFAULT: and access-level options into column values.
+ * @param {Object<string, string>} options - Options from parseCatalogArgs.
+ * @param {Object<string, string>} [levelColumns] - Level option (lowercase) -> column, e.g. BOARD_LEVELS.
+ * @returns {{changes: Object<string, number>} | {error: string}} Column -> new value.
+ */
+function getColumnChanges(options, levelColumns = {}) {
+  const changes = {};
+  if (options.ORDER !== undefined) {
+    if (!/^-?\d+$/.test(options.ORDER)) return { error: "ORDER: must be a whole number." };
+    changes.sort_order = parseInt(options.ORDER);
+  }
+  if (options.HIDDEN !== undefined) {
+    const flag = options.HIDDEN.toUpperCase();
+    if (flag !== 'YES' && flag !== 'NO') return { error: "HIDDEN: must be YES or NO." };
+    changes.hidden = flag === 'YES' ? 1 : 0;
+  }
+  if (options.DEFAULT !== undefined) {
+    if (options.DEFAULT.toUpperCase() !== 'YES') return { error: "DEFAULT: can only be YES; make another one the default instead." };
+    changes.is_default = 1;
+  }
+  for (const [key, column] of Object.entries(levelColumns)) {
+    const value = options[key.toUpperCase()];
+    if (value === undefined) continue;
+    const level = parseLevel(value);
+    if (level === undefined) return { error: `Unknown role '${value}'. Roles: ${ROLES.join(', ')}.` };
+    changes[column] = level;
+  }
+  return { changes };
+}
+
+/**
+ * Brings the sessions on a board up to date after it changed: they see its new name, and sessions that
+ * may no longer read it (or whose board was deleted) are moved to another board.
+ * @param {number} boardId - The board that changed.
+ * @param {object|null} board - The board as it is now (name and levels), or null if it was deleted.
+ * @param {object} [destination] - Where to move sessions to (if they may read it); otherwise the default board.
+ * @returns {number} How many sessions were moved.
+ */
+function updateSessionsOnBoard(boardId, board, destination) {
+  let moved = 0;
+  for (const session of Object.values(getAllSessions())) {
+    if (session.currentBoardId !== boardId) continue;
+    if (board && canAccessBoard(session, board, 'read')) {
+      session.currentBoardName = board.name;
+      continue;
+    }
+    if (destination && canAccessBoard(session, destination, 'read')) {
+      session.currentBoardId = destination.id;
+      session.currentBoardName = destination.name;
+    } else {
+      setDefaultBoardForSession(session);
+    }
+    moved++;
+  }
+  return moved;
+}
+
+module.exports = {
+  checkName,
+  parseCatalogArgs,
+  getColumnChanges,
+  updateSessionsOnBoard,
+};
@@ -0,0 +1,150 @@
+/**
+ * @file Teleconference: live chat rooms shared by web and Telnet sessions.
+ * A session in a room has `session.chatRoom` set, and processInput hands it every line (as it does for
+ * `session.currentGame`): plain text is said to the room and slash commands (/me, /who, /rooms, /join,
+ * /quit) act on it. Other members receive lines through the push channels in notifications.js.
+ */
+const { colorize } = require('./ansi');
+const { notifySession } = require('./notifications');
+
+const DEFAULT_ROOM = 'Lobby';
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+
+const rooms = new Map(); // Lowercased room name -> { name, members: Map<sessionId, username> }.
+
+const CHAT_HELP = [
+  "Chat commands:",
+  "  <text>         Say something to the room",
+  "  /me <action>   Describe an action (e.g. /me waves)",
+  "  /who           List who is in the room",
+  "  /rooms         List open rooms",
+  "  /join <room>   Move to another room",
+  "  /quit          Leave chat and return to the BBS",
+].join('\n') + '\n';
+
+/**
+ * Sends a line to every member of a room except one.
+ * @param {object} room - The room.
+ * @param {function(object): string} format - Builds the line for each recipient's session.
+ * @param {string} [exceptSessionId] - A member who should not receive it (usually the speaker).
+ */
+function sendToRoom(room, format, exceptSessionId) {
+  for (const memberId of [...room.members.keys()]) {
+    // A session that no longer exists (e.g. kicked) is dropped from the room.
+    if (memberId !== exceptSessionId && !notifySession(memberId, format)) room.members.delete(memberId);
+  }
+}
+
+/**
+ * Lists open rooms and how many are in each.
+ * @returns {Array<{name: string, count: number}>} The rooms, by name.
+ */
+function listRooms() {
+  return [...rooms.values()]
+    .map(room => ({ name: room.name, count: room.members.size }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Formats the room list for output.
+ * @returns {string} The room list.
+ */
+function formatRooms() {
+  const open = listRooms();
+  if (open.length === 0) return `No rooms are open. CHAT starts the ${DEFAULT_ROOM}.\n`;
+  return "Open rooms:\n" + open.map(r => `  ${r.name} (${r.count} here)`).join('\n') + '\n';
+}
+
+/**
+ * Removes a session from its room and tells the others.
+ * @param {string} sessionId - The session ID.
+ * @param {object} session - The session object.
+ * @param {string} [reason='has left'] - How the departure is announced.
+ * @returns {string|null} The name of the room left, or null if the session was not chatting.
+ */
+function leaveRoom(sessionId, session, reason = 'has left') {
+  const room = session.chatRoom && rooms.get(session.chatRoom.toLowerCase());
+  delete session.chatRoom;
+  if (!room || !room.members.delete(sessionId)) return null;
+  if (room.members.size === 0) rooms.delete(room.name.toLowerCase());
+  else sendToRoom(room, (s) => `*** ${colorize(s, 'username_output', session.username)} ${reason}.\n`);
+  return room.name;
+}
+
+/**
+ * Puts a session into a room (opening it if needed), leaving any room it was in.
+ * @param {string} sessionId - The session ID.
+ * @param {object} session - The logged-in session object.
+ * @param {string} [roomName=DEFAULT_ROOM] - The room to join.
+ * @returns {string} The response for the joining user.
+ */
+function joinRoom(sessionId, session, roomName = DEFAULT_ROOM) {
+  if (!ROOM_NAME_PATTERN.test(roomName)) {
+    return "Room names are 1-20 letters, digits, '-' or '_'.\n";
+  }
+  const key = roomName.toLowerCase();
+  if (session.chatRoom && session.chatRoom.toLowerCase() === key) return `You are already in ${session.chatRoom}.\n`;
+  if (session.chatRoom) leaveRoom(sessionId, session);
+  if (!rooms.has(key)) rooms.set(key, { name: roomName, members: new Map() });
+  const room = rooms.get(key);
+  const others = [...room.members.values()];
+  sendToRoom(room, (s) => `*** ${colorize(s, 'username_output', session.username)} has joined ${room.name}.\n`);
+  room.members.set(sessionId, session.username);
+  session.chatRoom = room.name;
+  const present = others.length === 0 ? "You are the only one here." : `Here: ${others.join(', ')}.`;
+  return `*** You have joined ${room.name}. ${present}\nType /help for chat commands or /quit to leave.\n`;
+}
+
+/**
+ * Handles a line typed by a session that is in a chat room.
+ * @param {string} sessionId - The session ID.
+ * @param {object} session - The session object, with `chatRoom` set.
+ * @param {string} inputString - The raw input line.
+ * @returns {string} The response for the user.
+ */
+function handleChatInput(sessionId, session, inputString) {
+  const text = inputString.trim();
+  const room = rooms.get(session.chatRoom.toLowerCase());
+  if (!room) { // The room went away under us (should not happen); drop back to the BBS.
+    delete session.chatRoom;
+    return "Your chat room has closed. You are back at the BBS prompt.\n";
+  }
+  if (!text) return '';
+  if (!text.startsWith('/')) {
+    sendToRoom(room, (s) => `<${colorize(s, 'username_output', session.username)}> ${text}\n`, sessionId);
+    return '';
+  }
+  const spaceIndex = text.indexOf(' ');
+  const chatCommand = (spaceIndex === -1 ? text : text.substring(0, spaceIndex)).toLowerCase();
+  const argument = spaceIndex === -1 ? '' : text.substring(spaceIndex + 1).trim();
+  switch (chatCommand) {
+    case '/me':
+      if (!argument) return "Usage: /me <action>\n";
+      sendToRoom(room, (s) => `* ${colorize(s, 'username_output', session.username)} ${argument}\n`, sessionId);
+      return `* ${colorize(session, 'username_output', session.username)} ${argument}\n`;
+    case '/who':
+      return `In ${room.name}: ${[...room.members.values()].join(', ')}\n`;
+    case '/rooms':
+      return formatRooms();
+    case '/join':
+      if (!argument) return "Usage: /join <room>\n";
+      return joinRoom(sessionId, session, argument);
+    case '/quit':
+    case '/leave':
+    case '/exit':
+      return `*** You have left ${leaveRoom(sessionId, session)}.\n`;
+    case '/help':
+      return CHAT_HELP;
+    default:
+      return `Unknown chat command: ${chatCommand}. Type /help for the list.\n`;
+  }
+}
+
+module.exports = {
+  DEFAULT_ROOM,
+  listRooms,
+  formatRooms,
+  joinRoom,
+  leaveRoom,
+  handleChatInput,
+};
@@ -0,0 +1,43 @@
+/**
+ * @file AREAACCESS command (SysOp): shows or sets who may view, download from and upload to a file area.
+ */
+const { formatSize } = require('../fileStore');
+const { ROLES, AREA_LEVELS, getRoleName, parseLevelOptions } = require('../access');
+
+module.exports = {
+  name: 'AREAACCESS',
+  usage: 'AREAACCESS <area_name_or_id> [VIEW:<role>] [DOWNLOAD:<role>] [UPLOAD:<role>]',
+  description: 'Show or set the roles needed to view, download from and upload to a file area',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    `Roles, lowest first: ${ROLES.join(', ')}. Each role can do anything the roles below it can.`,
+    "Areas a user may not view are hidden from LISTFILEAREAS, LISTFILES and SEARCH.",
+  ],
+
+  async handler({ args, repos, usage }) {
+    const parsed = parseLevelOptions(args, AREA_LEVELS);
+    if (parsed.error) return usage(parsed.error);
+    if (!parsed.ref) return usage("Please name a file area.");
+    try {
+      const area = await repos.files.findArea(parsed.ref);
+      if (!area) return "File area not found.\n";
+      if (area.is_default && parsed.levels.view_level > 0) return "The default file area must be viewable by guests.\n";
+      const columns = Object.keys(parsed.levels);
+      if (columns.length > 0) {
+        await repos.files.updateArea(area.id, parsed.levels);
+        Object.assign(area, parsed.levels);
+      }
+      return [
+        `[${area.name}]${columns.length > 0 ? ' updated' : ''} (${formatSize(area.used_bytes)} used):`,
+        `  View: ${getRoleName(area.view_level)} and above`,
+        `  Download: ${getRoleName(area.download_level)} and above`,
+        `  Upload: ${getRoleName(area.upload_level)} and above`,
+      ].join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: AREAACCESS", dbErr);
+      return "Error updating file area access. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * @file AREAQUOTA command (SysOp): sets or clears a file area's storage quota.
+ */
+const { formatSize } = require('../fileStore');
+
+module.exports = {
+  name: 'AREAQUOTA',
+  usage: 'AREAQUOTA <area_name_or_id> <megabytes|NONE>',
+  description: 'Set the storage quota of a file area',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 2,
+  details: () => [
+    "Uploads that would push the area over its quota are refused. NONE removes the quota.",
+    "Lowering a quota below current usage keeps existing files but blocks new uploads.",
+  ],
+
+  async handler({ args, repos, usage }) {
+    const quotaArg = args[args.length - 1].toUpperCase();
+    const areaRef = args.slice(0, -1).join(' ');
+    const megabytes = parseFloat(quotaArg);
+    if (quotaArg !== 'NONE' && (isNaN(megabytes) || megabytes <= 0)) {
+      return usage("Quota must be a positive number of megabytes, or NONE.");
+    }
+    const maxBytes = quotaArg === 'NONE' ? null : Math.round(megabytes * 1024 * 1024);
+    try {
+      const area = await repos.files.findArea(areaRef);
+      if (!area) return "File area not found.\n";
+      await repos.files.updateArea(area.id, { max_bytes: maxBytes });
+      return maxBytes === null ?
+          `Quota removed from [${area.name}]. ${formatSize(area.used_bytes)} in use.\n` :
+          `Quota for [${area.name}] set to ${formatSize(maxBytes)}. ${formatSize(area.used_bytes)} in use.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: AREAQUOTA", dbErr);
+      return "Error setting quota. A database error occurred.\n";
+    }
+  },
+};
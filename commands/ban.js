@@ -0,0 +1,67 @@
+/**
+ * @file BAN command (SysOp): bans an account or an IP address, for a while or for good, and ends
+ * the sessions it covers.
+ */
+const net = require('net');
+const { getAllSessions } = require('../sessionManager');
+const { formatBanMessage } = require('../bans');
+const { parseExpiry } = require('../expiry');
+const { normalizeAddress } = require('../rateLimiter');
+const { disconnectSession } = require('../connections');
+
+module.exports = {
+  name: 'BAN',
+  usage: 'BAN <username|ip_address> [FOR:<30m|12h|7d>] [reason]',
+  description: 'Ban an account or an IP address',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    "Without FOR: the ban is permanent. The reason is shown to the banned user.",
+    "Banned accounts cannot log in; banned addresses cannot connect. Their sessions are ended at once. UNBAN lifts a ban.",
+  ],
+
+  async handler({ sessionId, session, args, rawArgs, repos, usage }) {
+    const target = args[0];
+    let rest = rawArgs.substring(target.length).trim();
+    let expiresAt = null;
+    const forMatch = rest.match(/^FOR:(\S+)\s*/i);
+    if (forMatch) {
+      expiresAt = parseExpiry(forMatch[1]);
+      if (!expiresAt) return usage(`Invalid duration '${forMatch[1]}'.`);
+      rest = rest.substring(forMatch[0].length);
+    }
+    const reason = rest || null;
+    try {
+      let ban;
+      let covers; // Which live sessions the ban applies to.
+      if (net.isIP(normalizeAddress(target))) {
+        const address = normalizeAddress(target);
+        if (address === normalizeAddress(session.remoteAddress)) return "You cannot ban your own address.\n";
+        ban = { address, reason, expires_at: expiresAt && expiresAt.toISOString() };
+        await repos.bans.add({ address, reason, bannedBy: session.userId, expiresAt });
+        covers = (s) => normalizeAddress(s.remoteAddress) === address;
+      } else {
+        const user = await repos.users.findByName(target);
+        if (!user) return `User ${target} not found.\n`;
+        if (user.id === session.userId) return "You cannot ban yourself.\n";
+        if (user.role === 'sysop') return `${user.username} is a SysOp. Change their role with SETROLE first.\n`;
+        ban = { user_id: user.id, reason, expires_at: expiresAt && expiresAt.toISOString() };
+        await repos.bans.add({ userId: user.id, reason, bannedBy: session.userId, expiresAt });
+        covers = (s) => s.loggedIn && s.userId === user.id;
+      }
+      let ended = 0;
+      for (const [sid, targetSession] of Object.entries(getAllSessions())) {
+        if (sid === sessionId || !covers(targetSession)) continue;
+        disconnectSession(sid, formatBanMessage(ban), 'has been banned');
+        ended++;
+      }
+      console.log(`${session.username} banned ${target}${expiresAt ? ` until ${expiresAt.toISOString()}` : ''}${reason ? `: ${reason}` : ''}.`);
+      const length = expiresAt ? `until ${expiresAt.toLocaleString()}` : 'permanently';
+      return `${target} is banned ${length}.${ended > 0 ? ` ${ended} session(s) ended.` : ''}\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: BAN", dbErr);
+      return "Error adding ban. A database error occurred.\n";
+    }
+  },
+};
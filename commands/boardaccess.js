@@ -0,0 +1,43 @@
+/**
+ * @file BOARDACCESS command (SysOp): shows or sets who may read and post on a board.
+ */
+const { ROLES, BOARD_LEVELS, getRoleName, parseLevelOptions } = require('../access');
+
+module.exports = {
+  name: 'BOARDACCESS',
+  usage: 'BOARDACCESS <board_name_or_id> [READ:<role>] [POST:<role>]',
+  description: 'Show or set the roles needed to read and post on a board',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    `Roles, lowest first: ${ROLES.join(', ')}. Each role can do anything the roles below it can.`,
+    "Boards a user may not read are hidden from LISTBOARDS, JOINBOARD, NEWSCAN and SEARCH.",
+  ],
+
+  async handler({ args, repos, usage }) {
+    const parsed = parseLevelOptions(args, BOARD_LEVELS);
+    if (parsed.error) return usage(parsed.error);
+    if (!parsed.ref) return usage("Please name a board.");
+    try {
+      const board = await repos.boards.find(parsed.ref);
+      if (!board) return "Board not found.\n";
+      if (board.is_default && parsed.levels.read_level > 0) return "The default board must be readable by guests.\n";
+      const columns = Object.keys(parsed.levels);
+      if (columns.length > 0) {
+        await repos.boards.update(board.id, parsed.levels);
+        Object.assign(board, parsed.levels);
+      }
+      const moderators = await repos.boards.getModerators(board.id);
+      return [
+        `[${board.name}]${columns.length > 0 ? ' updated' : ''}:`,
+        `  Read: ${getRoleName(board.read_level)} and above`,
+        `  Post: ${getRoleName(board.post_level)} and above`,
+        `  Moderators: ${moderators.length > 0 ? moderators.map(m => m.username).join(', ') : 'none'}`,
+      ].join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: BOARDACCESS", dbErr);
+      return "Error updating board access. A database error occurred.\n";
+    }
+  },
+};
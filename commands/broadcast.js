@@ -0,0 +1,71 @@
+/**
+ * @file BROADCAST command (SysOp): stores a message for every user (or one role, or one board) and
+ * pushes it at once to sessions whose client is listening.
+ */
+const { PRIORITIES, DEFAULT_EXPIRY_HOURS, addBroadcast } = require('../broadcasts');
+const { pushBroadcasts } = require('../notifications');
+const { ROLES } = require('../access');
+const { parseExpiry } = require('../expiry');
+
+/**
+ * Splits leading KEY:value options off the broadcast text.
+ * @param {string} rawArgs - Everything after BROADCAST.
+ * @returns {{options: Object<string, string>, body: string} | {error: string}} The options (keys uppercase) and message.
+ */
+function parseBroadcastArgs(rawArgs) {
+  const options = {};
+  let rest = rawArgs.trim();
+  let match;
+  while ((match = rest.match(/^(PRIORITY|EXPIRES|ROLE|BOARD):(\S+)\s*/i))) {
+    const key = match[1].toUpperCase();
+    if (options[key] !== undefined) return { error: `${key}: was given twice.` };
+    options[key] = match[2];
+    rest = rest.substring(match[0].length);
+  }
+  return { options, body: rest };
+}
+
+module.exports = {
+  name: 'BROADCAST',
+  usage: 'BROADCAST [PRIORITY:<low|normal|urgent>] [EXPIRES:<30m|12h|7d|NEVER>] [ROLE:<role>] [BOARD:<board>] <message>',
+  description: 'Send a message to all users',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  details: () => [
+    `Every user sees each broadcast once, even if they log in later. Broadcasts expire after ${DEFAULT_EXPIRY_HOURS} hours unless EXPIRES: says otherwise.`,
+    "ROLE: sends only to users with that role; BOARD: sends only to users on that board. Urgent broadcasts are shown first.",
+  ],
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const parsed = parseBroadcastArgs(rawArgs);
+    if (parsed.error) return usage(parsed.error);
+    const { options, body } = parsed;
+    if (!body) return usage("Message cannot be empty.");
+    const priority = (options.PRIORITY || 'normal').toLowerCase();
+    if (!PRIORITIES.includes(priority)) return usage(`Unknown priority '${options.PRIORITY}'.`);
+    if (options.ROLE && !ROLES.includes(options.ROLE.toLowerCase())) return usage(`Unknown role '${options.ROLE}'. Roles: ${ROLES.join(', ')}.`);
+    let expiresAt = new Date(Date.now() + DEFAULT_EXPIRY_HOURS * 3600 * 1000);
+    if (options.EXPIRES !== undefined) {
+      expiresAt = parseExpiry(options.EXPIRES);
+      if (expiresAt === undefined) return usage(`Invalid expiry '${options.EXPIRES}'.`);
+    }
+    try {
+      let targetBoard = null;
+      if (options.BOARD) {
+        targetBoard = await repos.boards.find(options.BOARD);
+        if (!targetBoard) return "Board not found.\n";
+      }
+      const targetRole = options.ROLE ? options.ROLE.toLowerCase() : null;
+      const broadcastId = await addBroadcast(repos, {
+        body, senderId: session.userId, priority, expiresAt, targetRole, targetBoardId: targetBoard ? targetBoard.id : null,
+      });
+      await pushBroadcasts(repos);
+      const audience = [targetRole && `role '${targetRole}'`, targetBoard && `board ${targetBoard.name}`].filter(Boolean).join(' on ') || 'all users';
+      const expiry = expiresAt === null ? 'never expires' : `expires ${expiresAt.toLocaleString()}`;
+      return `Broadcast #${broadcastId} sent to ${audience} (${priority}, ${expiry}).\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: BROADCAST", dbErr);
+      return "Failed to send broadcast. A database error occurred.\n";
+    }
+  },
+};
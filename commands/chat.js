@@ -0,0 +1,22 @@
+/**
+ * @file CHAT command: joins a live teleconference room (see chat.js).
+ */
+const { DEFAULT_ROOM, joinRoom } = require('../chat');
+
+module.exports = {
+  name: 'CHAT',
+  aliases: ['JOIN'],
+  usage: 'CHAT [room]',
+  description: 'Join a live chat room',
+  category: 'General',
+  requiresLogin: true,
+  maxArgs: 1,
+  details: () => [
+    `Without a room name you join the ${DEFAULT_ROOM}. Rooms open when someone joins and close when the last person leaves.`,
+    "While chatting, what you type goes to the room. /me, /who, /rooms and /join work in the room; /quit returns to the BBS.",
+  ],
+
+  handler({ sessionId, session, args }) {
+    return joinRoom(sessionId, session, args[0] || DEFAULT_ROOM);
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * @file CREATEAREA command (SysOp): adds a file area.
+ */
+const { AREA_LEVELS, getRoleName } = require('../access');
+const { checkName, parseCatalogArgs, getColumnChanges } = require('../catalog');
+
+module.exports = {
+  name: 'CREATEAREA',
+  usage: 'CREATEAREA <name> [VIEW:<role>] [DOWNLOAD:<role>] [UPLOAD:<role>] [ORDER:<n>] [HIDDEN:YES] [DEFAULT:YES] [/// description]',
+  description: 'Create a file area',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    "By default guests may view the area and users may download and upload; see AREAACCESS. AREAQUOTA sets a quota.",
+    "Areas are listed by ORDER: (lowest first, default 0), then by ID.",
+    "HIDDEN areas are left out of LISTFILEAREAS but can still be opened by name.",
+    "LISTFILES without an area shows the DEFAULT area.",
+  ],
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const parsed = parseCatalogArgs(rawArgs, ['VIEW', 'DOWNLOAD', 'UPLOAD', 'ORDER', 'HIDDEN', 'DEFAULT']);
+    if (parsed.error) return usage(parsed.error);
+    const nameError = checkName(parsed.ref);
+    if (nameError) return usage(nameError);
+    const { changes, error } = getColumnChanges(parsed.options, AREA_LEVELS);
+    if (error) return usage(error);
+    if (changes.is_default && changes.view_level > 0) return "The default file area must be viewable by guests.\n";
+    try {
+      if (await repos.files.isAreaNameTaken(parsed.ref)) return `A file area named ${parsed.ref} already exists.\n`;
+      const areaId = await repos.files.createArea({ name: parsed.ref, description: parsed.description, changes });
+      console.log(`${session.username} created file area ${parsed.ref} (#${areaId}).`);
+      const level = (column, fallback) => getRoleName(changes[column] !== undefined ? changes[column] : fallback);
+      return `File area ${areaId}. [${parsed.ref}] created (view: ${level('view_level', 0)}, download: ${level('download_level', 1)},` +
+             ` upload: ${level('upload_level', 1)}${changes.hidden ? ', hidden' : ''}${changes.is_default ? ', default' : ''}).\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: CREATEAREA", dbErr);
+      return "Error creating file area. A database error occurred.\n";
+    }
+  },
+};
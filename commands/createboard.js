@@ -0,0 +1,44 @@
+/**
+ * @file CREATEBOARD command (SysOp): adds a message board.
+ */
+const { BOARD_LEVELS, getRoleName } = require('../access');
+const { checkName, parseCatalogArgs, getColumnChanges } = require('../catalog');
+const { initializeDefaultBoardCache } = require('../sessionManager');
+
+module.exports = {
+  name: 'CREATEBOARD',
+  usage: 'CREATEBOARD <name> [READ:<role>] [POST:<role>] [ORDER:<n>] [HIDDEN:YES] [DEFAULT:YES] [/// description]',
+  description: 'Create a message board',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    "By default guests may read and users may post; READ: and POST: change that (see BOARDACCESS).",
+    "Boards are listed by ORDER: (lowest first, default 0), then by ID.",
+    "HIDDEN boards are left out of LISTBOARDS but can still be joined by name.",
+    "The DEFAULT board is the one every session starts on.",
+  ],
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const parsed = parseCatalogArgs(rawArgs, ['READ', 'POST', 'ORDER', 'HIDDEN', 'DEFAULT']);
+    if (parsed.error) return usage(parsed.error);
+    const nameError = checkName(parsed.ref);
+    if (nameError) return usage(nameError);
+    const { changes, error } = getColumnChanges(parsed.options, BOARD_LEVELS);
+    if (error) return usage(error);
+    if (changes.is_default && changes.read_level > 0) return "The default board must be readable by guests.\n";
+    try {
+      if (await repos.boards.isNameTaken(parsed.ref)) return `A board named ${parsed.ref} already exists.\n`;
+      const boardId = await repos.boards.create({ name: parsed.ref, description: parsed.description, changes });
+      if (changes.is_default) await initializeDefaultBoardCache();
+      console.log(`${session.username} created board ${parsed.ref} (#${boardId}).`);
+      const readLevel = changes.read_level !== undefined ? changes.read_level : 0;
+      const postLevel = changes.post_level !== undefined ? changes.post_level : 1;
+      return `Board ${boardId}. [${parsed.ref}] created` +
+             ` (read: ${getRoleName(readLevel)}, post: ${getRoleName(postLevel)}${changes.hidden ? ', hidden' : ''}${changes.is_default ? ', default' : ''}).\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: CREATEBOARD", dbErr);
+      return "Error creating board. A database error occurred.\n";
+    }
+  },
+};
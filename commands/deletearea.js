@@ -0,0 +1,66 @@
+/**
+ * @file DELETEAREA command (SysOp): deletes a file area, moving its files to another area, or archives it.
+ */
+const { getRoleLevel } = require('../access');
+const { formatSize } = require('../fileStore');
+const { parseCatalogArgs } = require('../catalog');
+
+module.exports = {
+  name: 'DELETEAREA',
+  usage: 'DELETEAREA <area_name_or_id> [MOVE:<area_name_or_id> | ARCHIVE]',
+  description: 'Delete or archive a file area',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    "An empty area is simply deleted. An area with files needs MOVE: or ARCHIVE.",
+    "MOVE: moves its files to another area, then deletes it. It is refused if both areas have files with the same name.",
+    "ARCHIVE keeps the area and its files, but hides it and leaves it to SysOps (EDITAREA and AREAACCESS undo that).",
+    "The default area cannot be deleted; make another area the default first.",
+  ],
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const parsed = parseCatalogArgs(rawArgs, [], 'MOVE');
+    if (parsed.error) return usage(parsed.error);
+    const words = parsed.ref.split(' ');
+    const archive = words.length > 1 && words[words.length - 1].toUpperCase() === 'ARCHIVE';
+    const areaRef = archive ? words.slice(0, -1).join(' ') : parsed.ref;
+    if (!areaRef) return usage("Please name a file area.");
+    if (archive && parsed.options.MOVE !== undefined) return usage("Use either MOVE: or ARCHIVE, not both.");
+    try {
+      const area = await repos.files.findArea(areaRef);
+      if (!area) return "File area not found.\n";
+      if (area.is_default) return `[${area.name}] is the default file area. Make another area the default first (EDITAREA <area> DEFAULT:YES).\n`;
+
+      if (archive) {
+        const sysopLevel = getRoleLevel('sysop');
+        await repos.files.updateArea(area.id, { hidden: 1, view_level: sysopLevel, download_level: sysopLevel, upload_level: sysopLevel });
+        console.log(`${session.username} archived file area ${area.name} (#${area.id}).`);
+        return `File area [${area.name}] archived: it is hidden and only SysOps may use it.\n`;
+      }
+
+      let destination = null;
+      if (parsed.options.MOVE !== undefined) {
+        destination = await repos.files.findArea(parsed.options.MOVE);
+        if (!destination) return `File area ${parsed.options.MOVE} not found.\n`;
+        if (destination.id === area.id) return usage("Files cannot be moved to the area being deleted.");
+        const clashes = await repos.files.findFilenameClashes(area.id, destination.id);
+        if (clashes.length > 0) {
+          return `[${destination.name}] already has files named ${clashes.join(', ')}, so the files cannot be moved there.\n`;
+        }
+      } else if (area.file_count > 0) {
+        return `[${area.name}] has ${area.file_count} file(s). Add MOVE:<area> to move them to another area, or ARCHIVE to keep them.\n`;
+      }
+      const moved = await repos.files.deleteArea(area.id, destination && destination.id);
+      console.log(`${session.username} deleted file area ${area.name} (#${area.id})${destination ? `, moving ${moved} file(s) to ${destination.name}` : ''}.`);
+      let response = `File area [${area.name}] deleted.${destination ? ` ${moved} file(s) moved to [${destination.name}].` : ''}\n`;
+      if (destination && destination.max_bytes !== null && destination.used_bytes + area.used_bytes > destination.max_bytes) {
+        response += `[${destination.name}] is now over its quota (${formatSize(destination.used_bytes + area.used_bytes)} of ${formatSize(destination.max_bytes)}).\n`;
+      }
+      return response;
+    } catch (dbErr) {
+      console.error("Database error in command: DELETEAREA", dbErr);
+      return "Error deleting file area. A database error occurred.\n";
+    }
+  },
+};
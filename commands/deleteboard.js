@@ -0,0 +1,64 @@
+/**
+ * @file DELETEBOARD command (SysOp): deletes a board, moving its messages to another board, or archives it.
+ */
+const { getRoleLevel } = require('../access');
+const { parseCatalogArgs, updateSessionsOnBoard } = require('../catalog');
+
+module.exports = {
+  name: 'DELETEBOARD',
+  usage: 'DELETEBOARD <board_name_or_id> [MOVE:<board_name_or_id> | ARCHIVE]',
+  description: 'Delete or archive a message board',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    "An empty board is simply deleted. A board with messages needs MOVE: or ARCHIVE.",
+    "MOVE: moves its messages (and broadcasts aimed at it) to another board, then deletes it.",
+    "ARCHIVE keeps the board and its messages, but hides it and lets only SysOps read it (EDITBOARD and BOARDACCESS undo that).",
+    "The default board cannot be deleted; make another board the default first.",
+  ],
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const parsed = parseCatalogArgs(rawArgs, [], 'MOVE');
+    if (parsed.error) return usage(parsed.error);
+    const words = parsed.ref.split(' ');
+    const archive = words.length > 1 && words[words.length - 1].toUpperCase() === 'ARCHIVE';
+    const boardRef = archive ? words.slice(0, -1).join(' ') : parsed.ref;
+    if (!boardRef) return usage("Please name a board.");
+    if (archive && parsed.options.MOVE !== undefined) return usage("Use either MOVE: or ARCHIVE, not both.");
+    try {
+      const board = await repos.boards.find(boardRef);
+      if (!board) return "Board not found.\n";
+      if (board.is_default) return `[${board.name}] is the default board. Make another board the default first (EDITBOARD <board> DEFAULT:YES).\n`;
+
+      if (archive) {
+        const sysopLevel = getRoleLevel('sysop');
+        const changes = { hidden: 1, read_level: sysopLevel, post_level: sysopLevel };
+        await repos.boards.update(board.id, changes);
+        const movedSessions = updateSessionsOnBoard(board.id, { ...board, ...changes });
+        console.log(`${session.username} archived board ${board.name} (#${board.id}).`);
+        return `Board [${board.name}] archived: it is hidden and only SysOps may read it.` +
+               `${movedSessions > 0 ? ` ${movedSessions} user(s) moved to the default board.` : ''}\n`;
+      }
+
+      let destination = null;
+      if (parsed.options.MOVE !== undefined) {
+        destination = await repos.boards.find(parsed.options.MOVE);
+        if (!destination) return `Board ${parsed.options.MOVE} not found.\n`;
+        if (destination.id === board.id) return usage("Messages cannot be moved to the board being deleted.");
+      } else {
+        const messageCount = await repos.boards.countMessages(board.id);
+        if (messageCount > 0) {
+          return `[${board.name}] has ${messageCount} message(s). Add MOVE:<board> to move them to another board, or ARCHIVE to keep them.\n`;
+        }
+      }
+      const moved = await repos.boards.delete(board.id, destination && destination.id);
+      updateSessionsOnBoard(board.id, null, destination);
+      console.log(`${session.username} deleted board ${board.name} (#${board.id})${destination ? `, moving ${moved} message(s) to ${destination.name}` : ''}.`);
+      return `Board [${board.name}] deleted.${destination ? ` ${moved} message(s) moved to [${destination.name}].` : ''}\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: DELETEBOARD", dbErr);
+      return "Error deleting board. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * @file DELETEMAIL command: deletes one of the user's private messages.
+ */
+module.exports = {
+  name: 'DELETEMAIL',
+  usage: 'DELETEMAIL <message_id>',
+  description: 'Delete a specific private message',
+  category: 'Mail',
+  requiresLogin: true,
+  minArgs: 1,
+  maxArgs: 1,
+
+  async handler({ session, args, repos, usage }) {
+    const messageIdToDelete = parseInt(args[0]);
+    if (isNaN(messageIdToDelete)) return usage("Invalid message ID. Please provide a number.");
+    try {
+      const deleted = await repos.mail.delete(messageIdToDelete, session.userId);
+      return deleted ? "Message deleted.\n" : "Message not found or access denied.\n";
+    } catch (dbErr) {
+      console.error("Database error in command: DELETEMAIL", dbErr);
+      return "Error deleting message. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * @file DELETEMESSAGE command (moderators, on the boards they moderate, and SysOps): removes a board message.
+ */
+const { canModerateBoard } = require('../access');
+
+module.exports = {
+  name: 'DELETEMESSAGE',
+  usage: 'DELETEMESSAGE <message_id>',
+  description: 'Delete a public board message',
+  category: 'Moderator',
+  requiredRole: 'moderator',
+  minArgs: 1,
+  maxArgs: 1,
+  details: () => ["Moderators can only do this on the boards they are assigned to (see MODERATOR)."],
+
+  async handler({ session, args, repos, usage }) {
+    const deletePublicMessageId = parseInt(args[0]);
+    if (isNaN(deletePublicMessageId)) return usage("Invalid message ID. Please provide a number.");
+    try {
+      const message = await repos.messages.get(deletePublicMessageId);
+      if (!message) return "Message not found on board.\n";
+      if (!(await canModerateBoard(repos, session, message.board_id))) return `You do not moderate [${message.board_name}].\n`;
+      const deleted = await repos.messages.delete(deletePublicMessageId);
+      return deleted ? "Message deleted from board.\n" : "Message not found on board.\n";
+    } catch (dbErr) {
+      console.error("Database error in command: DELETEMESSAGE", dbErr);
+      return "Error deleting message. A database error occurred.\n";
+    }
+  },
+};
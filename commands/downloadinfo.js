@@ -0,0 +1,54 @@
+/**
+ * @file DOWNLOADINFO command: shows a stored file's details and its HTTP download link, or sends it
+ * to a Telnet caller with XMODEM, YMODEM or ZMODEM.
+ */
+const { colorize } = require('../ansi');
+const { formatSize, getDownloadUrl, getStoredFile } = require('../fileStore');
+const { PROTOCOLS, getCancelHint } = require('../transfers');
+const { USE_SESSION_COOKIE } = require('../sessionManager');
+
+module.exports = {
+  name: 'DOWNLOADINFO',
+  usage: 'DOWNLOADINFO <file_id> [XMODEM|YMODEM|ZMODEM]',
+  description: 'Show file details and a download link, or download over Telnet',
+  category: 'Files',
+  requiresLogin: true,
+  minArgs: 1,
+  maxArgs: 2,
+  details: () => [
+    "The link works while you are logged in. The download count goes up when the file is fetched.",
+    "Telnet callers can add a protocol to send the file straight to their terminal (e.g., DOWNLOADINFO 3 ZMODEM).",
+  ],
+
+  async handler({ session, args, isTelnet, repos, usage }) {
+    const fileIdToDownload = parseInt(args[0]);
+    if (isNaN(fileIdToDownload)) return usage("Invalid file ID. Please provide a number.");
+    const protocol = args[1] ? args[1].toUpperCase() : null;
+    if (protocol && !PROTOCOLS.includes(protocol)) return usage(`Unknown protocol '${args[1]}'.`);
+    try {
+      const file = await getStoredFile(repos, fileIdToDownload, session);
+      const title = `${colorize(session, 'id_output', `${file.id}.`)} ${colorize(session, 'title_output', file.filename)} in [${file.area_name}]`;
+      if (protocol) {
+        if (!isTelnet) return `Protocol downloads are only available over Telnet. Use DOWNLOADINFO ${file.id} for a download link.\n`;
+        session.pendingTransfer = {
+          direction: 'send', protocol, fileId: file.id, filename: file.filename, storagePath: file.storagePath,
+        };
+        return `${title}, ${formatSize(file.size_bytes)}\n` +
+               `Sending by ${protocol}. Start the ${protocol} download in your terminal now. ${getCancelHint(protocol)}\n`;
+      }
+      return [
+        title,
+        `  Size: ${formatSize(file.size_bytes)} (${file.size_bytes} bytes)`,
+        `  Type: ${file.mime_type || 'application/octet-stream'}`,
+        `  SHA-256: ${file.sha256}`,
+        `  Downloads: ${file.download_count}`,
+        // Web sessions kept in an HttpOnly cookie must not have their token printed where scripts can read it.
+        `  Download: ${getDownloadUrl(file.id, isTelnet || !USE_SESSION_COOKIE ? session.token : null)}`,
+      ].join('\n') + '\n';
+    } catch (fileErr) {
+      if (['NOT_FOUND', 'NO_CONTENT', 'FORBIDDEN'].includes(fileErr.code)) return `${fileErr.message}\n`;
+      console.error("Database error in command: DOWNLOADINFO", fileErr);
+      return "Error processing download. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,56 @@
+/**
+ * @file EDITAREA command (SysOp): shows or changes a file area's name, description, listing order, hidden flag,
+ * and whether it is the default area.
+ */
+const { getRoleName } = require('../access');
+const { formatSize } = require('../fileStore');
+const { checkName, parseCatalogArgs, getColumnChanges } = require('../catalog');
+
+module.exports = {
+  name: 'EDITAREA',
+  usage: 'EDITAREA <area_name_or_id> [ORDER:<n>] [HIDDEN:YES|NO] [DEFAULT:YES] [NAME:<new name>] [/// description]',
+  description: "Show or change a file area's settings",
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    "Without changes, shows the area's settings.",
+    "NAME: must come after the other options. '///' on its own clears the description.",
+    "Use AREAACCESS and AREAQUOTA for access roles and the quota.",
+  ],
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const parsed = parseCatalogArgs(rawArgs, ['ORDER', 'HIDDEN', 'DEFAULT'], 'NAME');
+    if (parsed.error) return usage(parsed.error);
+    if (!parsed.ref) return usage("Please name a file area.");
+    const { changes, error } = getColumnChanges(parsed.options);
+    if (error) return usage(error);
+    if (parsed.options.NAME !== undefined) {
+      const nameError = checkName(parsed.options.NAME);
+      if (nameError) return usage(nameError);
+      changes.name = parsed.options.NAME;
+    }
+    if (parsed.description !== undefined) changes.description = parsed.description || null;
+    try {
+      const area = await repos.files.findArea(parsed.ref);
+      if (!area) return "File area not found.\n";
+      if (Object.keys(changes).length === 0) {
+        return [
+          `File area ${area.id}. [${area.name}]`,
+          `  Description: ${area.description || 'none'}`,
+          `  Order: ${area.sort_order}, hidden: ${area.hidden ? 'yes' : 'no'}, default: ${area.is_default ? 'yes' : 'no'}`,
+          `  View: ${getRoleName(area.view_level)} and above, download: ${getRoleName(area.download_level)} and above, upload: ${getRoleName(area.upload_level)} and above`,
+          `  Files: ${area.file_count}, ${formatSize(area.used_bytes)}${area.max_bytes === null ? '' : ` of ${formatSize(area.max_bytes)}`} used`,
+        ].join('\n') + '\n';
+      }
+      if (changes.is_default && area.view_level > 0) return "The default file area must be viewable by guests.\n";
+      if (changes.name && await repos.files.isAreaNameTaken(changes.name, area.id)) return `A file area named ${changes.name} already exists.\n`;
+      await repos.files.updateArea(area.id, changes);
+      console.log(`${session.username} edited file area ${area.name} (#${area.id}): ${Object.keys(changes).join(', ')}.`);
+      return `File area [${changes.name || area.name}] updated.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: EDITAREA", dbErr);
+      return "Error updating file area. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,60 @@
+/**
+ * @file EDITBOARD command (SysOp): shows or changes a board's name, description, listing order, hidden flag,
+ * and whether it is the default board.
+ */
+const { getRoleName } = require('../access');
+const { checkName, parseCatalogArgs, getColumnChanges, updateSessionsOnBoard } = require('../catalog');
+const { initializeDefaultBoardCache } = require('../sessionManager');
+
+module.exports = {
+  name: 'EDITBOARD',
+  usage: 'EDITBOARD <board_name_or_id> [ORDER:<n>] [HIDDEN:YES|NO] [DEFAULT:YES] [NAME:<new name>] [/// description]',
+  description: "Show or change a board's settings",
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    "Without changes, shows the board's settings.",
+    "NAME: must come after the other options. '///' on its own clears the description.",
+    "Making a board the DEFAULT (where sessions start) takes that from the previous one.",
+    "Use BOARDACCESS to change who may read and post.",
+  ],
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const parsed = parseCatalogArgs(rawArgs, ['ORDER', 'HIDDEN', 'DEFAULT'], 'NAME');
+    if (parsed.error) return usage(parsed.error);
+    if (!parsed.ref) return usage("Please name a board.");
+    const { changes, error } = getColumnChanges(parsed.options);
+    if (error) return usage(error);
+    if (parsed.options.NAME !== undefined) {
+      const nameError = checkName(parsed.options.NAME);
+      if (nameError) return usage(nameError);
+      changes.name = parsed.options.NAME;
+    }
+    if (parsed.description !== undefined) changes.description = parsed.description || null;
+    try {
+      const board = await repos.boards.find(parsed.ref);
+      if (!board) return "Board not found.\n";
+      if (Object.keys(changes).length === 0) {
+        const messageCount = await repos.boards.countMessages(board.id);
+        return [
+          `Board ${board.id}. [${board.name}]`,
+          `  Description: ${board.description || 'none'}`,
+          `  Order: ${board.sort_order}, hidden: ${board.hidden ? 'yes' : 'no'}, default: ${board.is_default ? 'yes' : 'no'}`,
+          `  Read: ${getRoleName(board.read_level)} and above, post: ${getRoleName(board.post_level)} and above`,
+          `  Messages: ${messageCount}`,
+        ].join('\n') + '\n';
+      }
+      if (changes.is_default && board.read_level > 0) return "The default board must be readable by guests.\n";
+      if (changes.name && await repos.boards.isNameTaken(changes.name, board.id)) return `A board named ${changes.name} already exists.\n`;
+      await repos.boards.update(board.id, changes);
+      if (changes.is_default || board.is_default) await initializeDefaultBoardCache();
+      if (changes.name) updateSessionsOnBoard(board.id, { ...board, ...changes });
+      console.log(`${session.username} edited board ${board.name} (#${board.id}): ${Object.keys(changes).join(', ')}.`);
+      return `Board [${changes.name || board.name}] updated.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: EDITBOARD", dbErr);
+      return "Error updating board. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * @file EDITMESSAGE command (moderators, on the boards they moderate, and SysOps): replaces the body of a board message.
+ */
+const { canModerateBoard } = require('../access');
+
+module.exports = {
+  name: 'EDITMESSAGE',
+  usage: 'EDITMESSAGE <message_id> <new_text>',
+  description: 'Edit a public board message',
+  category: 'Moderator',
+  requiredRole: 'moderator',
+  minArgs: 2,
+  details: () => ["Moderators can only do this on the boards they are assigned to (see MODERATOR)."],
+
+  async handler({ session, args, repos, usage }) {
+    const editMessageId = parseInt(args[0]);
+    const newText = args.slice(1).join(' ').trim();
+    if (isNaN(editMessageId)) return usage("Invalid message ID. Please provide a number.");
+    if (!newText) return usage("New message text cannot be empty.");
+    try {
+      const message = await repos.messages.get(editMessageId);
+      if (!message) return "Message not found.\n";
+      if (!(await canModerateBoard(repos, session, message.board_id))) return `You do not moderate [${message.board_name}].\n`;
+      const updated = await repos.messages.updateBody(editMessageId, newText);
+      return updated ? "Message updated.\n" : "Message not found.\n";
+    } catch (dbErr) {
+      console.error("Database error in command: EDITMESSAGE", dbErr);
+      return "Error updating message. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * @file FILEDESC command: changes the description of a file the user uploaded.
+ */
+const { isSysOp } = require('../sessionManager');
+
+module.exports = {
+  name: 'FILEDESC',
+  usage: 'FILEDESC <file_id> /// <description>',
+  description: "Add/change a file's description",
+  category: 'Files',
+  requiresLogin: true,
+  minArgs: 1,
+
+  async handler({ session, args, rawArgs, repos, usage }) {
+    const fileIdToDesc = parseInt(args[0]);
+    if (isNaN(fileIdToDesc)) return usage("Invalid File ID. Must be a number.");
+    const filedescSeparator = "///";
+    const filedescSeparatorActualIndex = rawArgs.indexOf(filedescSeparator);
+    if (filedescSeparatorActualIndex === -1) return usage("Separator '///' missing.");
+    const newFileDesc = rawArgs.substring(filedescSeparatorActualIndex + filedescSeparator.length).trim();
+    if (!newFileDesc) return usage("Description cannot be empty when using '///'.");
+    try {
+      const fileListing = await repos.files.getFile(fileIdToDesc);
+      if (!fileListing) return "File not found.\n";
+      if (session.userId !== fileListing.uploader_user_id && !isSysOp(session)) {
+        return "Access denied. You can only edit descriptions for files you uploaded.\n";
+      }
+      await repos.files.setDescription(fileIdToDesc, newFileDesc);
+      return "File description updated.\n";
+    } catch (dbErr) {
+      console.error("Database error in command: FILEDESC", dbErr);
+      return "Error updating file description. A database error occurred.\n";
+    }
+  },
+};
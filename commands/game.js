@@ -0,0 +1,81 @@
+/**
+ * @file GAME command: lists, starts and quits door games (see games/index.js), and challenges other users
+ * to two-player games (see matches.js).
+ */
+const { getGame, listGames, isResumable, isMultiplayer, startGame, quitGame } = require('../games');
+const { challenge, accept, decline, listChallengesFor } = require('../matches');
+
+module.exports = {
+  name: 'GAME',
+  usage: 'GAME LIST | GAME <game_name> START | GAME QUIT | GAME CHALLENGE <username> <game_name> | GAME ACCEPT|DECLINE [<username>]',
+  description: 'List games, start one (e.g., GAME NUMBERGUESS START), exit the current game, or challenge another user',
+  category: 'Games',
+  minArgs: 1,
+  maxArgs: 3,
+  details: () => [
+    "While in a game, most other commands are unavailable. Type 'quit' or 'exit' to leave the game.",
+    "If you are logged in and disconnect or log out in the middle of a game marked (saves), it is kept: GAME <game_name> START picks up where you left off.",
+    "Games marked (2 players) are played against another online user: GAME CHALLENGE <username> <game_name> offers one, and they answer with GAME ACCEPT or GAME DECLINE. The challenger moves first.",
+    "During a match, type your moves, BOARD to see the board, or RESIGN to give up. A player who takes too long over a move, or disconnects, loses.",
+  ],
+
+  async handler({ sessionId, session, args, repos, usage }) {
+    const gameAction = args[0].toUpperCase();
+    const gameNameArg = args[1] ? args[1].toUpperCase() : null;
+    if (gameAction === 'CHALLENGE' || gameAction === 'ACCEPT' || gameAction === 'DECLINE') {
+      if (!session.loggedIn) return "You must be logged in to play against other users.\n";
+      if (gameAction === 'CHALLENGE') {
+        if (args.length !== 3) return usage("Name the user and the game, e.g. GAME CHALLENGE alice TICTACTOE.");
+        const game = getGame(args[2]);
+        if (!game) return `Unknown game '${args[2]}'. Type GAME LIST to see the games.\n`;
+        if (!isMultiplayer(game)) return `${game.title} is a one-player game. Type GAME ${game.name} START to play it.\n`;
+        return challenge(sessionId, session, args[1], game);
+      }
+      if (args.length > 2) return usage(`Too many arguments for GAME ${gameAction}.`);
+      return gameAction === 'ACCEPT' ? accept(sessionId, session, args[1]) : decline(session, args[1]);
+    }
+    if (args.length > 2) return usage("Invalid game command.");
+    if (gameAction === 'LIST' && !gameNameArg) {
+      try {
+        const saved = session.loggedIn && session.userId ? await repos.games.listSaved(session.userId) : [];
+        const savedNames = new Set(saved.map(row => row.game));
+        const lines = listGames().map(game => {
+          const notes = [isResumable(game) && '(saves)', isMultiplayer(game) && '(2 players)',
+                         savedNames.has(game.name) && '[saved game waiting]'].filter(Boolean);
+          return `- ${game.name}: ${game.title} - ${game.description}${notes.map(note => ` ${note}`).join('')}`;
+        });
+        const waiting = session.loggedIn ? listChallengesFor(session.userId) : [];
+        if (waiting.length > 0) {
+          lines.push(`Challenges waiting for you: ${waiting.map(c => `${c.username} (${c.definition.name})`).join(', ')}. ` +
+                     "Type GAME ACCEPT <username> or GAME DECLINE <username>.");
+        }
+        return ["Available games:", ...lines,
+                "Type GAME <game_name> START to play, or GAME CHALLENGE <username> <game_name> for a two-player game."].join('\n') + '\n';
+      } catch (dbErr) {
+        console.error("Database error in command: GAME", dbErr);
+        return "Error listing games. A database error occurred.\n";
+      }
+    }
+    if ((gameAction === 'QUIT' || gameAction === 'EXIT') && !gameNameArg) return quitGame(repos, session);
+
+    let targetGameName = null;
+    if (gameAction === 'START' && gameNameArg) { targetGameName = gameNameArg; }
+    else if (gameNameArg === 'START') { targetGameName = gameAction; }
+    else if (!gameNameArg && getGame(gameAction)) { targetGameName = gameAction; }
+    if (!targetGameName) return usage("Invalid game command.");
+    const game = getGame(targetGameName);
+    if (!game) return `Unknown game '${targetGameName}'. Type GAME LIST to see the games.\n`;
+    if (isMultiplayer(game)) {
+      return `${game.title} is a game for two players. Type GAME CHALLENGE <username> ${game.name} to play.\n`;
+    }
+    if (session.currentGame) {
+      return `You are already in a game (${session.currentGame.name}). Type QUIT or EXIT to leave it first.\n`;
+    }
+    try {
+      return await startGame(repos, session, game);
+    } catch (dbErr) {
+      console.error("Database error in command: GAME", dbErr);
+      return "Error starting the game. A database error occurred.\n";
+    }
+  },
+};
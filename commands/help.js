@@ -0,0 +1,37 @@
+/**
+ * @file HELP command: generated from the command registry metadata.
+ */
+const registry = require('./index');
+
+module.exports = {
+  name: 'HELP',
+  aliases: ['?'],
+  usage: 'HELP [command]',
+  description: 'Show this help message, or details for one command',
+  category: 'General',
+  allowedDuringPasswordReset: true,
+  maxArgs: 1,
+
+  handler({ session, args }) {
+    if (args.length === 1) {
+      const command = registry.getCommand(args[0]);
+      if (!command || !registry.hasRequiredRole(command, session)) {
+        return `No help available for '${args[0]}'. Type HELP for a list of commands.\n`;
+      }
+      const lines = [`Usage: ${command.usage}`];
+      if (command.description) lines.push(command.description);
+      if (command.aliases && command.aliases.length > 0) lines.push(`Aliases: ${command.aliases.join(', ')}`);
+      if (command.requiresLogin) lines.push("Requires login.");
+      if (command.details) lines.push('', ...command.details());
+      return lines.join('\n') + '\n';
+    }
+
+    const helpResponseLines = ["Available commands:"];
+    registry.listCommands(session).forEach(({ category, commands }) => {
+      helpResponseLines.push(`\n${category}:`);
+      commands.forEach(c => helpResponseLines.push(`${c.usage} - ${c.description}`));
+    });
+    helpResponseLines.push("\nType HELP <command> for details on a single command.");
+    return helpResponseLines.join('\n') + '\n';
+  },
+};
@@ -0,0 +1,151 @@
+/**
+ * @file Command registry for the BBS.
+ * Every other module in this directory defines one command and is registered automatically.
+ * A command module exports:
+ *   - name {string}            Command word, matched case-insensitively.
+ *   - aliases {string[]}       Optional alternative command words.
+ *   - usage {string}           Usage line shown in HELP and on usage errors.
+ *   - description {string}     One-line description for HELP.
+ *   - category {string}        HELP section the command is listed under.
+ *   - requiresLogin {boolean}  Optional. Rejects guests before the handler runs.
+ *   - requiredRole {string}    Optional. Lowest role that may run (and see) the command, e.g. 'sysop'
+ *                              (see ROLES in access.js; higher roles may run it too).
+ *   - minArgs/maxArgs {number} Optional. Argument count bounds; violations print the usage line.
+ *   - hidden {boolean}         Optional. Keeps the command out of the HELP listing.
+ *   - allowedDuringPasswordReset {boolean} Optional. Lets users whose password was reset by a SysOp run the
+ *                              command before choosing a new password (PASSWORD, LOGOUT, HELP, QUIT).
+ *   - details {function(): string[]} Optional. Extra lines for `HELP <command>`.
+ *   - prompts {object[]}       Optional. Asks for left-out arguments one at a time: each prompt is
+ *                              {name, label, masked?, matches?}; `masked` hides the answer and `matches`
+ *                              names an earlier prompt it must repeat (a confirmation, not an argument).
+ *   - handler {function(object): Promise<string>|string} Receives the command context, returns the response.
+ */
+const fs = require('fs');
+const path = require('path');
+const { hasRole } = require('../access');
+
+const commands = new Map(); // Uppercase command word (name or alias) -> command definition.
+const definitions = []; // Unique command definitions, in registration order.
+
+// Order of the sections HELP prints. Categories not listed here are appended after these.
+const CATEGORY_ORDER = ['General', 'Account', 'Messages', 'Mail', 'Files', 'Games', 'Moderator', 'SysOp'];
+
+/**
+ * Registers a command definition under its name and aliases.
+ * @param {object} definition - The command module (see file header for the shape).
+ * @throws {Error} If the definition is incomplete or a command word is already taken.
+ */
+function registerCommand(definition) {
+  if (!definition || !definition.name || !definition.usage || typeof definition.handler !== 'function') {
+    throw new Error(`Invalid command definition: ${definition && definition.name ? definition.name : '(unnamed)'}`);
+  }
+  const words = [definition.name, ...(definition.aliases || [])].map(w => w.toUpperCase());
+  for (const word of words) {
+    if (commands.has(word)) {
+      throw new Error(`Command word '${word}' is already registered by ${commands.get(word).name}.`);
+    }
+  }
+  words.forEach(word => commands.set(word, definition));
+  definitions.push(definition);
+}
+
+/**
+ * Registers every command module in this directory.
+ * Called once when the module is first required.
+ */
+function loadCommands() {
+  fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .forEach(file => registerCommand(require(path.join(__dirname, file))));
+}
+
+/**
+ * Looks up a command by name or alias.
+ * @param {string} word - The command word as typed (any case).
+ * @returns {object | undefined} The command definition, if registered.
+ */
+function getCommand(word) {
+  return commands.get(String(word).toUpperCase());
+}
+
+/**
+ * Checks whether the session holds the role a command requires, or a higher one.
+ * @param {object} definition - The command definition.
+ * @param {object} session - The user's session object.
+ * @returns {boolean} True if the session may run the command.
+ */
+function hasRequiredRole(definition, session) {
+  return !definition.requiredRole || hasRole(session, definition.requiredRole);
+}
+
+/**
+ * Lists the commands visible to a session, grouped by HELP category.
+ * @param {object} session - The user's session object.
+ * @returns {Array<{category: string, commands: object[]}>} Categories in display order.
+ */
+function listCommands(session) {
+  const groups = new Map();
+  definitions
+    .filter(def => !def.hidden && hasRequiredRole(def, session))
+    .forEach(def => {
+      const category = def.category || 'General';
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(def);
+    });
+  const rank = category => {
+    const idx = CATEGORY_ORDER.indexOf(category);
+    return idx === -1 ? CATEGORY_ORDER.length : idx;
+  };
+  return [...groups.keys()]
+    .sort((a, b) => rank(a) - rank(b))
+    .map(category => ({ category, commands: groups.get(category).sort((a, b) => a.name.localeCompare(b.name)) }));
+}
+
+/**
+ * Formats a usage error for a command.
+ * @param {object} definition - The command definition.
+ * @param {string} [detail] - Optional explanation printed before the usage line.
+ * @returns {string} The usage message.
+ */
+function formatUsage(definition, detail) {
+  return `${detail ? detail + '\n' : ''}Usage: ${definition.usage}\n`;
+}
+
+/**
+ * Runs the login, role and argument-count checks declared by a command.
+ * @param {object} definition - The command definition.
+ * @param {object} session - The user's session object.
+ * @param {string[]} args - The parsed command arguments.
+ * @returns {string | null} The rejection message, or null if the command may run.
+ */
+function checkCommandAccess(definition, session, args) {
+  if (definition.requiredRole && !hasRequiredRole(definition, session)) {
+    return "Access denied.\n";
+  }
+  if (definition.requiresLogin && (!session.loggedIn || !session.userId)) {
+    return `You must be logged in to use the ${definition.name} command.\nType LOGIN to log in.\n`;
+  }
+  if (session.passwordResetRequired && !definition.allowedDuringPasswordReset) {
+    return "Your password was reset by the SysOp. Type PASSWORD to choose a new one first.\n";
+  }
+  if (typeof definition.minArgs === 'number' && args.length < definition.minArgs) {
+    return formatUsage(definition);
+  }
+  if (typeof definition.maxArgs === 'number' && args.length > definition.maxArgs) {
+    return formatUsage(definition, "(Too many arguments provided)");
+  }
+  return null;
+}
+
+// Exports are assigned before loading so command modules (e.g. HELP) can require this registry.
+module.exports = {
+  registerCommand,
+  getCommand,
+  listCommands,
+  hasRequiredRole,
+  formatUsage,
+  checkCommandAccess,
+};
+
+loadCommands();
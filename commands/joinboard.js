@@ -0,0 +1,26 @@
+/**
+ * @file JOINBOARD command: switches the session's current board.
+ */
+const { canAccessBoard } = require('../access');
+
+module.exports = {
+  name: 'JOINBOARD',
+  usage: 'JOINBOARD <board_name_or_id>',
+  description: 'Join a specific message board',
+  category: 'Messages',
+  minArgs: 1,
+  maxArgs: 1,
+
+  async handler({ session, args, repos }) {
+    try {
+      const board = await repos.boards.find(args[0]);
+      // Boards the user may not read are not listed, so they are not admitted to exist here either.
+      if (!board || !canAccessBoard(session, board, 'read')) return "Board not found.\n";
+      session.currentBoardId = board.id; session.currentBoardName = board.name;
+      return `Joined board: ${board.name}.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: JOINBOARD", dbErr);
+      return "Error finding board. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,52 @@
+/**
+ * @file KICK command (SysOp): disconnects a user, optionally keeping them out for a while.
+ */
+const { getAllSessions } = require('../sessionManager');
+const { parseExpiry } = require('../expiry');
+const { disconnectSession } = require('../connections');
+
+module.exports = {
+  name: 'KICK',
+  usage: 'KICK <username> [FOR:<30m|12h|7d>] [reason]',
+  description: 'Disconnect a user',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  details: () => [
+    "Every connection the user has open is closed, and they are shown the reason.",
+    "FOR: also stops them logging in again for that long. Use BAN to keep them out for good.",
+  ],
+
+  async handler({ sessionId, session, args, rawArgs, repos, usage }) {
+    const target = args[0];
+    let reason = rawArgs.substring(target.length).trim();
+    let blockedUntil = null;
+    const forMatch = reason.match(/^FOR:(\S+)\s*/i);
+    if (forMatch) {
+      blockedUntil = parseExpiry(forMatch[1]);
+      if (!blockedUntil) return usage(`Invalid duration '${forMatch[1]}'.`);
+      reason = reason.substring(forMatch[0].length);
+    }
+    try {
+      const user = await repos.users.findByName(target);
+      if (!user) return `User ${target} not found.\n`;
+      if (user.id === session.userId) return "You cannot kick yourself.\n";
+      const sessions = getAllSessions();
+      const sessionIds = Object.keys(sessions).filter(sid => sessions[sid].loggedIn && sessions[sid].userId === user.id);
+      if (sessionIds.length === 0 && !blockedUntil) return `User ${user.username} is not currently logged in.\n`;
+      if (blockedUntil) {
+        await repos.bans.add({ userId: user.id, reason: reason || 'Kicked', bannedBy: session.userId, expiresAt: blockedUntil });
+      }
+      let message = `You have been kicked off the BBS by the SysOp${reason ? ` (Reason: ${reason})` : ''}.`;
+      if (blockedUntil) message += ` You may not log in again until ${blockedUntil.toLocaleString()}.`;
+      sessionIds.forEach(sid => sid !== sessionId && disconnectSession(sid, message + "\n", 'has been kicked'));
+      console.log(`${session.username} kicked ${user.username}${blockedUntil ? ` until ${blockedUntil.toISOString()}` : ''}${reason ? `: ${reason}` : ''}.`);
+      let response = `${user.username} has been kicked (${sessionIds.length} connection(s) closed).\n`;
+      if (blockedUntil) response += `They cannot log in again until ${blockedUntil.toLocaleString()}; UNBAN lifts this.\n`;
+      return response;
+    } catch (dbErr) {
+      console.error("Database error in command: KICK", dbErr);
+      return "Error kicking user. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * @file LISTBOARDS command: lists the message boards the user may read.
+ */
+const { colorize } = require('../ansi');
+const { getSessionLevel, hasRole, canAccessBoard } = require('../access');
+
+module.exports = {
+  name: 'LISTBOARDS',
+  usage: 'LISTBOARDS',
+  description: 'List all available message boards',
+  category: 'Messages',
+
+  async handler({ session, repos }) {
+    try {
+      // Hidden boards are only listed for SysOps.
+      const boards = await repos.boards.list(getSessionLevel(session), hasRole(session, 'sysop'));
+      const unreadByBoard = new Map();
+      if (session.loggedIn && session.userId) {
+        (await repos.boards.getUnreadCounts(session.userId, getSessionLevel(session))).forEach(row => unreadByBoard.set(row.board_id, row.unread_count));
+      }
+      const responseLines = [];
+      if (boards.length === 0) { responseLines.push("No message boards available."); }
+      else {
+        responseLines.push("Available Message Boards:");
+        boards.forEach(b => {
+          const unreadNote = unreadByBoard.has(b.id) ? ` ${colorize(session, 'unread_marker', `(${unreadByBoard.get(b.id)} new)`)}` : '';
+          const notes = [!canAccessBoard(session, b, 'post') && '(read only)', b.hidden && '(hidden)', b.is_default && hasRole(session, 'sysop') && '(default)'];
+          const noteText = notes.filter(Boolean).map(note => ` ${note}`).join('');
+          responseLines.push(`${colorize(session, 'id_output', `${b.id}.`)} ${colorize(session, 'title_output', b.name)}${unreadNote} - ${b.description || 'No description'}${noteText}`);
+        });
+      }
+      return responseLines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: LISTBOARDS", dbErr);
+      return "Error retrieving message boards. A database error occurred.\n";
+    }
+  },
+};
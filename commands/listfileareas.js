@@ -0,0 +1,36 @@
+/**
+ * @file LISTFILEAREAS command: lists the file areas the user may view.
+ */
+const { colorize } = require('../ansi');
+const { formatSize } = require('../fileStore');
+const { getSessionLevel, hasRole, canAccessArea } = require('../access');
+
+module.exports = {
+  name: 'LISTFILEAREAS',
+  usage: 'LISTFILEAREAS',
+  description: 'List all available file areas',
+  category: 'Files',
+
+  async handler({ session, repos }) {
+    try {
+      // Hidden areas are only listed for SysOps.
+      const areas = await repos.files.listAreas(getSessionLevel(session), hasRole(session, 'sysop'));
+      const responseLines = [];
+      responseLines.push("Available File Areas:");
+      if (areas.length === 0) { responseLines.push("No file areas available."); }
+      else {
+        areas.forEach(a => {
+          const usageNote = a.max_bytes === null ? `${formatSize(a.used_bytes)} used` : `${formatSize(a.used_bytes)} of ${formatSize(a.max_bytes)} used`;
+          const limits = [!canAccessArea(session, a, 'download') && 'no downloads', !canAccessArea(session, a, 'upload') && 'no uploads',
+                          a.hidden && 'hidden', a.is_default && hasRole(session, 'sysop') && 'default'].filter(Boolean);
+          const accessNote = limits.length > 0 ? ` [${limits.join(', ')}]` : '';
+          responseLines.push(`${colorize(session, 'id_output', `${a.id}.`)} ${colorize(session, 'title_output', a.name)} - ${a.description || 'No description'} (${usageNote})${accessNote}`);
+        });
+      }
+      return responseLines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: LISTFILEAREAS", dbErr);
+      return "Error retrieving file areas. A database error occurred.\n";
+    }
+  },
+};
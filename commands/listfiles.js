@@ -0,0 +1,57 @@
+/**
+ * @file LISTFILES command: lists the files in a file area.
+ */
+const { colorize } = require('../ansi');
+const { formatSize } = require('../fileStore');
+const { canAccessArea } = require('../access');
+
+module.exports = {
+  name: 'LISTFILES',
+  usage: 'LISTFILES [area_name_or_id]',
+  description: "List files in an area (defaults to the default area)",
+  category: 'Files',
+  maxArgs: 1,
+
+  async handler({ session, args, isTelnet, repos }) {
+    let area;
+    try {
+      area = await (args.length === 0 ? repos.files.getDefaultArea() : repos.files.findArea(args[0]));
+    } catch (dbErr) {
+      console.error("Database error in command: LISTFILES (area lookup)", dbErr);
+      return "Error finding file area. A database error occurred.\n";
+    }
+    if (area && !canAccessArea(session, area, 'view')) area = undefined; // Areas the user may not view are not admitted to exist.
+    if (!area) {
+      if (args.length === 0) {
+        console.warn("No default file area found in DB for LISTFILES.");
+        return "Default file area not found. Please specify an area or contact SysOp.\n";
+      }
+      return "File area not found.\n";
+    }
+    try {
+      const files = await repos.files.listFiles(area.id);
+      const responseLines = [];
+      responseLines.push(`Files in [${area.name}]:`);
+      if (files.length === 0) { responseLines.push("No files in this area."); }
+      else {
+        files.forEach(f => {
+          const formattedDate = new Date(f.upload_date).toLocaleDateString();
+          // Listings made with UPLOADINFO have no stored contents, so no size.
+          const sizeNote = f.size_bytes === null ? '' : ` [${formatSize(f.size_bytes)}]`;
+          const fileLine = `${colorize(session, 'id_output', `${f.id}.`)} ${colorize(session, 'title_output', f.filename)}${sizeNote} - ${f.description || 'No description'}`;
+          const uploader = colorize(session, 'username_output', f.uploader_username);
+          responseLines.push(isTelnet ?
+              `${fileLine} (Up: ${uploader} on ${formattedDate}, DLs: ${f.download_count})` :
+              `${fileLine} (Uploaded by: ${uploader} on ${formattedDate}, Downloads: ${f.download_count})`);
+        });
+        responseLines.push(isTelnet ?
+            "Type DOWNLOADINFO <id> ZMODEM (or XMODEM, YMODEM) to download, or DOWNLOADINFO <id> for details." :
+            "Type DOWNLOADINFO <id> for details and a download link.");
+      }
+      return responseLines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: LISTFILES (file query)", dbErr);
+      return `Error retrieving files. A database error occurred.\n`;
+    }
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * @file LISTMAIL command: lists the user's private messages.
+ */
+const { colorize } = require('../ansi');
+
+module.exports = {
+  name: 'LISTMAIL',
+  usage: 'LISTMAIL',
+  description: 'List your private messages',
+  category: 'Mail',
+  requiresLogin: true,
+
+  async handler({ session, repos }) {
+    try {
+      const mails = await repos.mail.listReceived(session.userId);
+      const responseLines = [];
+      responseLines.push("Your Private Messages:");
+      if (mails.length === 0) { responseLines.push("You have no private messages."); }
+      else {
+        mails.forEach(m => {
+          const unreadMarker = m.is_read ? '  ' : colorize(session, 'unread_marker', '* ');
+          const formattedTimestamp = new Date(m.timestamp).toLocaleString();
+          responseLines.push(`${unreadMarker}${colorize(session, 'id_output', `${m.id}:`)} From: ${colorize(session, 'username_output', m.sender_username)} Sub: ${m.subject} (${formattedTimestamp})`);
+        });
+      }
+      return responseLines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: LISTMAIL", dbErr);
+      return "Error retrieving private messages. A database error occurred.\n";
+    }
+  },
+};
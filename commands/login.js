@@ -0,0 +1,73 @@
+/**
+ * @file LOGIN command: authenticates a user and loads their preferences.
+ */
+const bcrypt = require('bcrypt');
+const { loadPreferences } = require('../preferences');
+const { setDefaultBoardForSession, rotateSessionToken } = require('../sessionManager');
+const { getSessionLevel } = require('../access');
+const { formatBanMessage } = require('../bans');
+const { listGames } = require('../games');
+const { formatTopPlayersBulletin } = require('../scores');
+const { startLoginAttempt, loginFailed, loginSucceeded, cancelLoginAttempt } = require('../rateLimiter');
+
+module.exports = {
+  name: 'LOGIN',
+  usage: 'LOGIN [<username> <password>]',
+  description: 'Log into your account',
+  category: 'Account',
+  maxArgs: 2,
+  prompts: [
+    { name: 'username', label: 'Username' },
+    { name: 'password', label: 'Password', masked: true },
+  ],
+  details: () => [
+    "Type LOGIN on its own to be asked for your username and password; the password is not shown as you type.",
+    "The one-line form (LOGIN <username> <password>) still works for scripts.",
+    "Repeated failures slow down further attempts and then lock LOGIN for a while, for the account and for your address.",
+  ],
+
+  async handler({ sessionId, session, args, repos }) {
+    const loginUsername = args[0];
+    const loginPassword = args[1];
+    const refusal = startLoginAttempt(session.remoteAddress, loginUsername);
+    if (refusal) return refusal;
+    let authenticated = false;
+    try {
+      const user = await repos.users.findWithPasswordHash({ username: loginUsername });
+      if (!user || !(await bcrypt.compare(loginPassword, user.password_hash))) {
+        return "Invalid username or password.\n" + loginFailed(session.remoteAddress, loginUsername);
+      }
+      loginSucceeded(session.remoteAddress, loginUsername);
+      authenticated = true;
+      // Bans are only revealed to someone who knows the password.
+      const ban = await repos.bans.getActive({ userId: user.id, address: session.remoteAddress });
+      if (ban) return formatBanMessage(ban);
+      await repos.users.recordLogin(user.id, session.remoteAddress);
+      session.username = user.username; session.loggedIn = true; session.userId = user.id; session.userRole = user.role;
+      rotateSessionToken(sessionId); // A token handed out before login must not carry the login.
+      setDefaultBoardForSession(session);
+      await loadPreferences(repos, session);
+      let loginMessage = `Welcome, ${user.username}! Login successful. Current board: ${session.currentBoardName}\n`;
+      session.passwordResetRequired = !!user.password_reset_required;
+      if (session.passwordResetRequired) {
+        return loginMessage + "Your password was reset by the SysOp. Type PASSWORD to choose a new one before continuing.\n";
+      }
+      const unreadMail = await repos.mail.countUnread(session.userId);
+      if (unreadMail > 0) {
+        loginMessage += `You have ${unreadMail} unread private message(s). Type LISTMAIL to read.\n`;
+      }
+      const unreadBoards = await repos.boards.getUnreadCounts(session.userId, getSessionLevel(session));
+      if (unreadBoards.length > 0) {
+        const newMessageCount = unreadBoards.reduce((sum, row) => sum + row.unread_count, 0);
+        loginMessage += `${newMessageCount} new message(s) on ${unreadBoards.length} board(s). Type NEWSCAN to read.\n`;
+      }
+      loginMessage += await formatTopPlayersBulletin(repos, session, listGames());
+      console.log(`User ${user.username} logged in, set to board: ${session.currentBoardName}`);
+      return loginMessage;
+    } catch (dbErr) {
+      if (!authenticated) cancelLoginAttempt(session.remoteAddress, loginUsername);
+      console.error("Database error in command: LOGIN", dbErr);
+      return "Login failed. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,25 @@
+/**
+ * @file LOGOUT command: returns the session to guest state.
+ */
+const { resetPreferences } = require('../preferences');
+const { setDefaultBoardForSession, rotateSessionToken } = require('../sessionManager');
+const { suspendGame } = require('../games');
+
+module.exports = {
+  name: 'LOGOUT',
+  usage: 'LOGOUT',
+  description: 'Log out',
+  category: 'Account',
+  allowedDuringPasswordReset: true,
+
+  async handler({ sessionId, session, repos }) {
+    // A game in progress is saved for the user before they stop being logged in.
+    if (session.currentGame) await suspendGame(repos, session);
+    session.username = 'guest'; session.loggedIn = false; delete session.userId; delete session.userRole;
+    delete session.passwordResetRequired;
+    resetPreferences(session);
+    setDefaultBoardForSession(session);
+    rotateSessionToken(sessionId);
+    return "You have been logged out.\n";
+  },
+};
@@ -0,0 +1,82 @@
+/**
+ * @file LOOK command: shows recent messages, or recent threads, on the current board.
+ */
+const { colorize } = require('../ansi');
+const { getTitle } = require('../threads');
+const { canAccessBoard, formatDenied } = require('../access');
+
+/**
+ * Lists the board's most recently active threads with reply counts.
+ * @async
+ * @param {object} session - The user's session object.
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {number} boardId - The board to list.
+ * @param {string} boardName - The board's display name.
+ * @returns {Promise<string[]>} Output lines.
+ */
+async function lookThreads(session, repos, boardId, boardName) {
+  const threads = await repos.messages.getBoardThreads(boardId, 10);
+  const responseLines = [`Threads in [${boardName}]:`];
+  if (threads.length === 0) { responseLines.push("No topics yet on this board."); }
+  else {
+    threads.forEach(t => {
+      const lastActivity = new Date(t.last_activity).toLocaleString();
+      responseLines.push(`${colorize(session, 'id_output', `#${t.id}`)} ${colorize(session, 'title_output', getTitle(t))} ` +
+                         `by ${colorize(session, 'username_output', t.username)} ` +
+                         `(${t.reply_count} repl${t.reply_count === 1 ? 'y' : 'ies'}, last ${lastActivity})`);
+    });
+    responseLines.push("Type THREAD <id> to read a discussion.");
+  }
+  return responseLines;
+}
+
+module.exports = {
+  name: 'LOOK',
+  usage: 'LOOK [THREADS]',
+  description: 'View recent messages (new ones marked *), or recent threads, on the current board',
+  category: 'Messages',
+  maxArgs: 1,
+
+  async handler({ session, args, repos, usage }) {
+    const lookBoardId = session.currentBoardId || 1;
+    const lookBoardName = session.currentBoardName || 'General';
+    const mode = args[0] ? args[0].toUpperCase() : null;
+    if (mode && mode !== 'THREADS') return usage();
+    try {
+      // The board's read level may have been raised (or the user logged out) since it was joined.
+      const board = await repos.boards.find(lookBoardId);
+      if (!board) return "Board not found.\n";
+      if (!canAccessBoard(session, board, 'read')) return formatDenied('read', board.name, board.read_level);
+      if (mode === 'THREADS') {
+        return (await lookThreads(session, repos, lookBoardId, lookBoardName)).join('\n') + '\n';
+      }
+      const messages = await repos.messages.getRecent(lookBoardId, 10);
+      const loggedIn = session.loggedIn && session.userId;
+      const lastReadId = loggedIn ? await repos.boards.getLastRead(session.userId, lookBoardId) : Infinity;
+      const responseLines = [];
+      responseLines.push(`Messages in [${lookBoardName}]:`);
+      if (messages.length === 0) { responseLines.push("No messages yet on this board."); }
+      else {
+        messages.forEach(msg => {
+          const localTimestamp = new Date(msg.timestamp).toLocaleTimeString();
+          const replyNote = msg.parent_id ? ` (re #${msg.parent_id})` : '';
+          const unreadMarker = msg.id > lastReadId && msg.username !== session.username ? colorize(session, 'unread_marker', '* ') : '';
+          responseLines.push(`${unreadMarker}${colorize(session, 'id_output', `#${msg.id}`)} ${colorize(session, 'timestamp_output', `[${localTimestamp}]`)} ` +
+                             `${colorize(session, 'username_output', msg.username)}${replyNote}: ${msg.body}`);
+        });
+        // Seeing the newest posts catches the board up, unless older unread posts were not shown: those are
+        // left for NEWSCAN, so the pointer stays put until they have been read.
+        if (loggedIn) {
+          const [oldestUnread] = await repos.messages.getUnread(session.userId, lookBoardId, 1);
+          if (!oldestUnread || oldestUnread.id >= Math.min(...messages.map(m => m.id))) {
+            await repos.boards.markRead(session.userId, lookBoardId, Math.max(...messages.map(m => m.id)));
+          }
+        }
+      }
+      return responseLines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: LOOK", dbErr);
+      return `Error retrieving messages. A database error occurred.\n`;
+    }
+  },
+};
@@ -0,0 +1,48 @@
+/**
+ * @file MODERATOR command (SysOp): assigns users to moderate a board, or removes them.
+ */
+const { getRoleLevel } = require('../access');
+
+module.exports = {
+  name: 'MODERATOR',
+  usage: 'MODERATOR <board_name_or_id> [ADD|REMOVE <username>]',
+  description: 'List, add or remove the moderators of a board',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  maxArgs: 3,
+  details: () => [
+    "Moderators can EDITMESSAGE and DELETEMESSAGE on the boards they are assigned to. They also need the moderator role.",
+  ],
+
+  async handler({ args, repos, usage }) {
+    if (args.length === 2) return usage();
+    const action = args.length === 3 ? args[1].toUpperCase() : null;
+    if (action && action !== 'ADD' && action !== 'REMOVE') return usage(`Unknown action '${args[1]}'.`);
+    try {
+      const board = await repos.boards.find(args[0]);
+      if (!board) return "Board not found.\n";
+      if (!action) {
+        const moderators = await repos.boards.getModerators(board.id);
+        return moderators.length === 0 ?
+            `[${board.name}] has no moderators.\n` :
+            `Moderators of [${board.name}]: ${moderators.map(m => m.username).join(', ')}\n`;
+      }
+      const user = await repos.users.findByName(args[2]);
+      if (!user) return `User ${args[2]} not found.\n`;
+      const changed = action === 'ADD' ?
+          await repos.boards.addModerator(board.id, user.id) :
+          await repos.boards.removeModerator(board.id, user.id);
+      if (action === 'REMOVE') {
+        return changed ? `${user.username} no longer moderates [${board.name}].\n` : `${user.username} does not moderate [${board.name}].\n`;
+      }
+      if (!changed) return `${user.username} already moderates [${board.name}].\n`;
+      const roleNote = getRoleLevel(user.role) < getRoleLevel('moderator') ?
+          ` Note: their role is '${user.role}'; they need the moderator role before they can moderate.` : '';
+      return `${user.username} now moderates [${board.name}].${roleNote}\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: MODERATOR", dbErr);
+      return "Error updating moderators. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,48 @@
+/**
+ * @file NEWSCAN command: shows unread posts on every board and advances the user's last-read pointers.
+ */
+const { colorize } = require('../ansi');
+const { getSessionLevel } = require('../access');
+
+const MAX_MESSAGES_PER_BOARD = 25; // Keeps one NEWSCAN readable; run it again for the rest.
+
+module.exports = {
+  name: 'NEWSCAN',
+  aliases: ['NEW'],
+  usage: 'NEWSCAN',
+  description: 'Show unread messages on all boards',
+  category: 'Messages',
+  requiresLogin: true,
+  maxArgs: 0,
+
+  async handler({ session, repos }) {
+    try {
+      const unreadBoards = await repos.boards.getUnreadCounts(session.userId, getSessionLevel(session));
+      if (unreadBoards.length === 0) return "No new messages.\n";
+      const responseLines = [];
+      let moreRemaining = false;
+      for (const board of unreadBoards) {
+        const messages = await repos.messages.getUnread(session.userId, board.board_id, MAX_MESSAGES_PER_BOARD);
+        responseLines.push(`${colorize(session, 'title_output', `[${board.board_name}]`)} ${board.unread_count} new:`);
+        messages.forEach(msg => {
+          const localTimestamp = new Date(msg.timestamp).toLocaleString();
+          const subjectNote = msg.subject ? ` "${msg.subject}"` : (msg.parent_id ? ` (re #${msg.parent_id})` : '');
+          responseLines.push(`  ${colorize(session, 'id_output', `#${msg.id}`)} ${colorize(session, 'timestamp_output', `[${localTimestamp}]`)} ` +
+                             `${colorize(session, 'username_output', msg.username)}${subjectNote}: ${msg.body}`);
+        });
+        if (board.unread_count > messages.length) {
+          responseLines.push(`  ...and ${board.unread_count - messages.length} more.`);
+          moreRemaining = true;
+        }
+        if (messages.length > 0) {
+          await repos.boards.markRead(session.userId, board.board_id, messages[messages.length - 1].id);
+        }
+      }
+      if (moreRemaining) responseLines.push("Type NEWSCAN again to continue.");
+      return responseLines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: NEWSCAN", dbErr);
+      return "Error scanning for new messages. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * @file PAGE command: sends a short message straight to another online user's screen.
+ */
+const { colorize } = require('../ansi');
+const { getAllSessions } = require('../sessionManager');
+const { notifyUser } = require('../notifications');
+
+module.exports = {
+  name: 'PAGE',
+  usage: 'PAGE <username> <message>',
+  description: 'Send a message to an online user',
+  category: 'General',
+  requiresLogin: true,
+  minArgs: 2,
+
+  handler({ session, args, rawArgs }) {
+    const targetUsername = args[0];
+    const pageText = rawArgs.substring(targetUsername.length).trim();
+    const target = Object.values(getAllSessions())
+      .find(s => s.loggedIn && s.username.toLowerCase() === targetUsername.toLowerCase());
+    if (!target) return `User ${targetUsername} is not online.\n`;
+    if (target.userId === session.userId) return "You cannot page yourself.\n";
+    notifyUser(target.userId, (recipientSession) =>
+      `${colorize(recipientSession, 'broadcast_output', '[PAGE]')} ${colorize(recipientSession, 'username_output', session.username)}: ${pageText}\n`);
+    return `Paged ${target.username}.\n`;
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * @file PASSWORD command: changes the logged-in user's password.
+ */
+const bcrypt = require('bcrypt');
+const { startLoginAttempt, loginFailed, loginSucceeded, cancelLoginAttempt } = require('../rateLimiter');
+
+const saltRounds = 10; // Cost factor for bcrypt password hashing.
+
+module.exports = {
+  name: 'PASSWORD',
+  usage: 'PASSWORD [<current_password> <new_password>]',
+  description: 'Change your password',
+  category: 'Account',
+  requiresLogin: true,
+  allowedDuringPasswordReset: true,
+  maxArgs: 2,
+  prompts: [
+    { name: 'current', label: 'Current password', masked: true },
+    { name: 'password', label: 'New password', masked: true },
+    { name: 'confirm', label: 'Confirm new password', masked: true, matches: 'password' },
+  ],
+  details: () => [
+    "Type PASSWORD on its own to be asked for your current password and the new one (twice).",
+    "If the SysOp reset your password, log in with the temporary one and choose a new one here.",
+  ],
+
+  async handler({ session, args, repos }) {
+    const [currentPassword, newPassword] = args;
+    // A wrong current password counts as a failed login, so an unattended session cannot be used to guess it.
+    const refusal = startLoginAttempt(session.remoteAddress, session.username);
+    if (refusal) return refusal;
+    let verified = false;
+    try {
+      const user = await repos.users.findWithPasswordHash({ id: session.userId });
+      if (!user || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+        return "Current password is incorrect.\n" + loginFailed(session.remoteAddress, session.username);
+      }
+      loginSucceeded(session.remoteAddress, session.username);
+      verified = true;
+      if (newPassword === currentPassword) return "The new password must be different from the current one.\n";
+      const hash = await bcrypt.hash(newPassword, saltRounds);
+      await repos.users.setPassword(user.id, hash, false);
+      delete session.passwordResetRequired;
+      return "Password changed.\n";
+    } catch (dbErr) {
+      if (!verified) cancelLoginAttempt(session.remoteAddress, session.username);
+      console.error("Database error in command: PASSWORD", dbErr);
+      return "Error changing password. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * @file POST command: starts a new discussion topic on the current board.
+ */
+const { canAccessBoard, formatDenied } = require('../access');
+
+module.exports = {
+  name: 'POST',
+  usage: 'POST <subject> /// <message>',
+  description: 'Start a new topic with a subject (on current board)',
+  category: 'Messages',
+  requiresLogin: true,
+  minArgs: 1,
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const separator = '///';
+    const separatorIndex = rawArgs.indexOf(separator);
+    if (separatorIndex === -1) return usage("Separator '///' missing.");
+    const subject = rawArgs.substring(0, separatorIndex).trim();
+    const body = rawArgs.substring(separatorIndex + separator.length).trim();
+    if (!subject || !body) return usage("Subject and message are both required.");
+    try {
+      const board = await repos.boards.find(session.currentBoardId || 1);
+      if (!board) return "Board not found.\n";
+      if (!canAccessBoard(session, board, 'post')) return formatDenied('post on', board.name, board.post_level);
+      const messageId = await repos.messages.create({ boardId: board.id, userId: session.userId, subject, body });
+      return `Topic #${messageId} "${subject}" posted to [${board.name}].\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: POST", dbErr);
+      return "Failed to post topic. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * @file QUIT command. Telnet connections intercept QUIT before it reaches processInput,
+ * so this module only documents it in HELP and answers web users.
+ */
+module.exports = {
+  name: 'QUIT',
+  usage: 'QUIT',
+  description: 'Disconnect (Telnet only)',
+  category: 'General',
+  allowedDuringPasswordReset: true,
+
+  handler() {
+    return "QUIT is only available over Telnet. Web users can just close the tab.\n";
+  },
+};
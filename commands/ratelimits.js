@@ -0,0 +1,38 @@
+/**
+ * @file RATELIMITS command (SysOp): shows the rate limits and failed-login lockouts, and clears them.
+ */
+const { RATE_LIMITS, formatWait, listLoginFailures, clearLoginFailures } = require('../rateLimiter');
+
+module.exports = {
+  name: 'RATELIMITS',
+  usage: 'RATELIMITS [CLEAR <username|address>]',
+  description: 'Show rate limits and login lockouts',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  maxArgs: 2,
+  details: () => [
+    "Limits are set with the BBS_LOGIN_*, BBS_REGISTRATIONS_PER_HOUR and BBS_COMMAND* environment variables.",
+    "CLEAR forgets an account's or an address's failed logins and lifts its lockout.",
+  ],
+
+  handler({ args, usage }) {
+    if (args.length > 0) {
+      if (args[0].toUpperCase() !== 'CLEAR' || args.length !== 2) return usage();
+      return clearLoginFailures(args[1]) ?
+          `Failed logins for ${args[1]} cleared.\n` :
+          `No failed logins on record for ${args[1]}.\n`;
+    }
+    let output = "Rate limits:\n";
+    output += `  Failed logins per account: ${RATE_LIMITS.loginMaxFailures}, per address: ${RATE_LIMITS.loginMaxFailuresPerIp}, then locked for ${RATE_LIMITS.loginLockoutMinutes} minute(s)\n`;
+    output += `  Registrations per address: ${RATE_LIMITS.registrationsPerHour} per hour\n`;
+    output += `  Commands per session: ${RATE_LIMITS.commandsPerMinute} per minute, bursts of ${RATE_LIMITS.commandBurst}\n`;
+    const failures = listLoginFailures();
+    if (failures.length === 0) return output + "No failed logins on record.\n";
+    output += "Failed logins:\n";
+    failures.forEach(f => {
+      const status = f.lockedUntil ? `LOCKED for ${formatWait(f.lockedUntil - Date.now())}` : 'not locked';
+      output += `  ${f.kind === 'account' ? 'Account' : 'Address'} ${f.key}: ${f.count} failure(s), ${status}\n`;
+    });
+    return output;
+  },
+};
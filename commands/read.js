@@ -0,0 +1,37 @@
+/**
+ * @file READ command: shows a single board message with its subject and thread position.
+ */
+const { getTitle } = require('../threads');
+const { canAccessBoard } = require('../access');
+
+module.exports = {
+  name: 'READ',
+  usage: 'READ <message_id>',
+  description: 'Read a board message in full',
+  category: 'Messages',
+  minArgs: 1,
+  maxArgs: 1,
+
+  async handler({ session, args, repos, usage }) {
+    const messageId = parseInt(args[0]);
+    if (isNaN(messageId)) return usage("Invalid message ID. Please provide a number.");
+    try {
+      const message = await repos.messages.get(messageId);
+      if (!message || !canAccessBoard(session, message, 'read')) return "Message not found.\n";
+      const lines = [
+        `Message #${message.id} on [${message.board_name || 'Unknown board'}]`,
+        `Subject: ${message.subject || (message.parent_id ? `Re: ${message.thread_subject || `thread #${message.thread_id}`}` : getTitle(message))}`,
+        `From: ${message.username}`,
+        `Date: ${new Date(message.timestamp).toLocaleString()}`,
+      ];
+      if (message.parent_id) lines.push(`In reply to: #${message.parent_id}`);
+      lines.push('', message.body, '');
+      lines.push(`${message.reply_count} repl${message.reply_count === 1 ? 'y' : 'ies'}. ` +
+                 `Type THREAD ${message.id} to view the discussion or REPLY ${message.id} <message> to respond.`);
+      return lines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: READ", dbErr);
+      return "Error retrieving message. A database error occurred.\n";
+    }
+  },
+};
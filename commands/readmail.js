@@ -0,0 +1,25 @@
+/**
+ * @file READMAIL command: shows one private message and marks it read.
+ */
+module.exports = {
+  name: 'READMAIL',
+  usage: 'READMAIL <message_id>',
+  description: 'Read a specific private message',
+  category: 'Mail',
+  requiresLogin: true,
+  minArgs: 1,
+  maxArgs: 1,
+
+  async handler({ session, args, repos, usage }) {
+    const messageIdToRead = parseInt(args[0]);
+    if (isNaN(messageIdToRead)) return usage("Invalid message ID. Please provide a number.");
+    try {
+      const message = await repos.mail.read(messageIdToRead, session.userId);
+      if (!message) return "Message not found or access denied.\n";
+      return `From: ${message.sender_username}\nSubject: ${message.subject}\nDate: ${new Date(message.timestamp).toLocaleString()}\n\n${message.body}\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: READMAIL", dbErr);
+      return "Error retrieving message. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,46 @@
+/**
+ * @file REGISTER command: creates a new user account.
+ */
+const bcrypt = require('bcrypt');
+const { RATE_LIMITS, startRegistration, cancelRegistration } = require('../rateLimiter');
+
+const saltRounds = 10; // Cost factor for bcrypt password hashing.
+
+module.exports = {
+  name: 'REGISTER',
+  usage: 'REGISTER [<username> <password>]',
+  description: 'Create a new account',
+  category: 'Account',
+  maxArgs: 2,
+  prompts: [
+    { name: 'username', label: 'Username' },
+    { name: 'password', label: 'Password', masked: true },
+    { name: 'confirm', label: 'Confirm password', masked: true, matches: 'password' },
+  ],
+  details: () => [
+    "Type REGISTER on its own to be asked for a username and a password (twice); the password is not shown as you type.",
+    "The one-line form (REGISTER <username> <password>) still works for scripts.",
+    `At most ${RATE_LIMITS.registrationsPerHour} accounts can be registered from one address per hour.`,
+  ],
+
+  async handler({ session, args, repos }) {
+    const regUsername = args[0];
+    const regPassword = args[1];
+    const refusal = startRegistration(session.remoteAddress);
+    if (refusal) return refusal;
+    try {
+      const existingUser = await repos.users.findByName(regUsername);
+      if (existingUser) {
+        cancelRegistration(session.remoteAddress);
+        return "Username already taken. Please try another.\n";
+      }
+      const hash = await bcrypt.hash(regPassword, saltRounds);
+      await repos.users.create({ username: regUsername, passwordHash: hash });
+      return "Registration successful. You can now LOGIN.\n";
+    } catch (dbErr) {
+      cancelRegistration(session.remoteAddress);
+      console.error("Database error in command: REGISTER", dbErr);
+      return "Registration failed. A database error occurred.\n";
+    }
+  },
+};
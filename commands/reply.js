@@ -0,0 +1,30 @@
+/**
+ * @file REPLY command: replies to a board message, continuing its thread.
+ */
+const { canAccessBoard, formatDenied } = require('../access');
+
+module.exports = {
+  name: 'REPLY',
+  usage: 'REPLY <message_id> <message>',
+  description: 'Reply to a board message',
+  category: 'Messages',
+  requiresLogin: true,
+  minArgs: 2,
+
+  async handler({ session, args, rawArgs, repos, usage }) {
+    const parentId = parseInt(args[0]);
+    if (isNaN(parentId)) return usage("Invalid message ID. Please provide a number.");
+    const body = rawArgs.substring(args[0].length).trim();
+    try {
+      const parent = await repos.messages.get(parentId);
+      if (!parent || !canAccessBoard(session, parent, 'read')) return "Message not found.\n";
+      if (!canAccessBoard(session, parent, 'post')) return formatDenied('post on', parent.board_name, parent.post_level);
+      // Replies stay on the parent's board, even if the user has since joined another one.
+      const messageId = await repos.messages.create({ boardId: parent.board_id, userId: session.userId, body, parent });
+      return `Reply #${messageId} posted to thread #${parent.thread_id || parent.id}.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: REPLY", dbErr);
+      return "Failed to post reply. A database error occurred.\n";
+    }
+  },
+};
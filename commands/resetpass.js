@@ -0,0 +1,37 @@
+/**
+ * @file RESETPASS command (SysOp): gives a user a temporary password that they must change at their next login.
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const saltRounds = 10; // Cost factor for bcrypt password hashing.
+
+module.exports = {
+  name: 'RESETPASS',
+  usage: 'RESETPASS <username>',
+  description: "Reset a user's password",
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  maxArgs: 1,
+  details: () => [
+    "Prints a temporary password to pass on to the user. After logging in with it they must choose a new one with PASSWORD.",
+  ],
+
+  async handler({ session, args, repos }) {
+    try {
+      const user = await repos.users.findByName(args[0]);
+      if (!user) return `User ${args[0]} not found.\n`;
+      if (user.id === session.userId) return "Use PASSWORD to change your own password.\n";
+      const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+      const hash = await bcrypt.hash(temporaryPassword, saltRounds);
+      await repos.users.setPassword(user.id, hash, true);
+      console.log(`Password of ${user.username} reset by ${session.username}.`);
+      return `Temporary password for ${user.username}: ${temporaryPassword}\n` +
+             "They will be asked to choose a new password when they next log in.\n";
+    } catch (dbErr) {
+      console.error("Database error in command: RESETPASS", dbErr);
+      return "Error resetting password. A database error occurred.\n";
+    }
+  },
+};
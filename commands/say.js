@@ -0,0 +1,28 @@
+/**
+ * @file SAY command: posts a message to the current board.
+ */
+const { canAccessBoard, formatDenied } = require('../access');
+
+module.exports = {
+  name: 'SAY',
+  usage: 'SAY <message>',
+  description: 'Post a message (on current board, login required)',
+  category: 'Messages',
+  requiresLogin: true,
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const messageBody = rawArgs;
+    if (!messageBody) return usage("Message cannot be empty.");
+    const sayBoardId = session.currentBoardId || 1;
+    try {
+      const board = await repos.boards.find(sayBoardId);
+      if (!board) return "Board not found.\n";
+      if (!canAccessBoard(session, board, 'post')) return formatDenied('post on', board.name, board.post_level);
+      const messageId = await repos.messages.create({ boardId: sayBoardId, userId: session.userId, body: messageBody });
+      return `Message #${messageId} posted.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: SAY", dbErr);
+      return "Failed to post message. A database error occurred.\n";
+    }
+  },
+};
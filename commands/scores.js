@@ -0,0 +1,37 @@
+/**
+ * @file SCORES command: shows a door game's all-time, weekly or personal-best leaderboard (see scores.js).
+ */
+const { getGame, listGames } = require('../games');
+const { keepsScores, formatLeaderboard, formatPersonalBests } = require('../scores');
+
+const BOARDS = { ALL: 'ALL', WEEK: 'WEEK', ME: 'ME', MINE: 'ME' }; // Board word as typed -> board.
+
+module.exports = {
+  name: 'SCORES',
+  aliases: ['HISCORES'],
+  usage: 'SCORES <game_name> [ALL|WEEK|ME]',
+  description: "Show a game's high scores",
+  category: 'Games',
+  minArgs: 1,
+  maxArgs: 2,
+  details: () => [
+    "ALL (the default) shows each player's best result ever, WEEK the best results of the last seven days, and ME your own best results and rank.",
+    `Games that keep scores: ${listGames().filter(keepsScores).map(game => game.name).join(', ') || 'none'}.`,
+  ],
+
+  async handler({ session, args, repos, usage }) {
+    const game = getGame(args[0]);
+    if (!game) return `Unknown game '${args[0]}'. Type GAME LIST to see the games.\n`;
+    if (!keepsScores(game)) return `${game.title} does not keep scores.\n`;
+    const board = BOARDS[(args[1] || 'ALL').toUpperCase()];
+    if (!board) return usage(`Unknown board '${args[1]}'.`);
+    if (board === 'ME' && !session.loggedIn) return "You must be logged in to see your own scores.\n";
+    try {
+      if (board === 'ME') return await formatPersonalBests(repos, session, game);
+      return await formatLeaderboard(repos, session, game, board === 'WEEK');
+    } catch (dbErr) {
+      console.error("Database error in command: SCORES", dbErr);
+      return "Error showing scores. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,115 @@
+/**
+ * @file SEARCH command: full-text search over board messages, the user's own mail and file listings,
+ * backed by the FTS5 indexes (see repositories/search.js).
+ */
+const { COLOR_MAP, colorize, getAppliedColor } = require('../ansi');
+const { getSessionLevel } = require('../access');
+
+const PAGE_SIZE = 10;
+const SCOPES = ['ALL', 'BOARDS', 'MAIL', 'FILES'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Splits the argument text into words, keeping "quoted phrases" and key:"quoted values" together.
+ * @param {string} text - The raw argument text.
+ * @returns {string[]} Tokens with the surrounding quotes of values removed.
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /(\w+):"([^"]*)"|"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1]) tokens.push(`${match[1]}:${match[2]}`);
+    else if (match[3] !== undefined) tokens.push(`"${match[3]}"`);
+    else tokens.push(match[4]);
+  }
+  return tokens;
+}
+
+/**
+ * Parses SEARCH arguments into a scope, FTS terms and filters.
+ * @param {string} rawArgs - The text after the command word.
+ * @returns {{scope: string, terms: string[], filters: object, error?: string}} The parsed query.
+ */
+function parseSearch(rawArgs) {
+  const tokens = tokenize(rawArgs);
+  let scope = 'ALL';
+  if (tokens.length > 0 && SCOPES.includes(tokens[0].toUpperCase())) scope = tokens.shift().toUpperCase();
+  const filters = { page: 1 };
+  const terms = [];
+  for (const token of tokens) {
+    const filterMatch = token.match(/^(BY|IN|FROM|TO|PAGE):(.*)$/i);
+    if (!filterMatch) { terms.push(token); continue; }
+    const key = filterMatch[1].toUpperCase();
+    const value = filterMatch[2];
+    if (!value) return { error: `Filter ${key}: needs a value.` };
+    if (key === 'BY') filters.author = value;
+    else if (key === 'IN') filters.place = value;
+    else if (key === 'FROM' || key === 'TO') {
+      if (!DATE_PATTERN.test(value)) return { error: `Invalid date '${value}'. Use YYYY-MM-DD.` };
+      filters[key === 'FROM' ? 'fromDate' : 'toDate'] = value;
+    } else {
+      const page = parseInt(value);
+      if (isNaN(page) || page < 1) return { error: `Invalid page '${value}'.` };
+      filters.page = page;
+    }
+  }
+  return { scope, terms, filters };
+}
+
+module.exports = {
+  name: 'SEARCH',
+  aliases: ['FIND'],
+  usage: 'SEARCH [BOARDS|MAIL|FILES] <words> [BY:<user>] [IN:<board_or_area>] [FROM:<YYYY-MM-DD>] [TO:<YYYY-MM-DD>] [PAGE:<n>]',
+  description: 'Search board messages, your mail and file listings',
+  category: 'General',
+  minArgs: 1,
+  details: () => [
+    "All words must match. End a word with * to match prefixes (e.g., modem*); use \"quotes\" for phrases.",
+    "BY: matches the author (mail: the sender; files: the uploader).",
+    "IN: limits results to one board or file area, by name or ID. Quote names with spaces: IN:\"General Files\".",
+    "Mail results only include messages you sent or received, and only when logged in.",
+  ],
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const parsed = parseSearch(rawArgs);
+    if (parsed.error) return usage(parsed.error);
+    if (parsed.terms.length === 0) return usage("Give at least one word to search for.");
+    if (parsed.scope === 'MAIL' && (!session.loggedIn || !session.userId)) {
+      return "You must be logged in to search your mail.\n";
+    }
+    const isTelnet = session.connectionType === 'telnet';
+    const highlight = isTelnet ? [getAppliedColor(session, 'title_output'), COLOR_MAP.reset] : ['*', '*'];
+    try {
+      const result = await repos.search.find({
+        scope: parsed.scope, terms: parsed.terms, filters: parsed.filters, highlight,
+        level: getSessionLevel(session), // Boards and file areas the user may not read are left out.
+        userId: session.loggedIn && session.userId ? session.userId : null,
+      }, parsed.filters.page, PAGE_SIZE);
+      if (!result) return "Nothing to search with those filters.\n";
+      const { total, page, rows } = result;
+      const searchText = parsed.terms.join(' ');
+      if (total === 0) return `No results for '${searchText}'.\n`;
+      const pageCount = Math.ceil(total / PAGE_SIZE);
+      const responseLines = [`Results for '${searchText}' (page ${page} of ${pageCount}, ${total} match${total === 1 ? '' : 'es'}):`];
+      rows.forEach(r => {
+        const date = new Date(r.ts).toLocaleDateString();
+        const tag = colorize(session, 'id_output', `[${r.kind} #${r.id}]`);
+        const author = colorize(session, 'username_output', r.author);
+        if (r.kind === 'MSG') {
+          responseLines.push(`${tag} ${r.place || 'Unknown board'} - ${author} - ${date}: ${r.title ? `"${r.title}" ` : ''}${r.excerpt}`);
+        } else if (r.kind === 'MAIL') {
+          responseLines.push(`${tag} ${author} - ${date}: ${r.title} - ${r.excerpt}`);
+        } else {
+          responseLines.push(`${tag} ${r.place || 'Unknown area'} - ${author} - ${date}: ${r.title} - ${r.excerpt}`);
+        }
+      });
+      if (page < pageCount) responseLines.push(`Add PAGE:${page + 1} to your search for more.`);
+      responseLines.push("Use READ, READMAIL or LISTFILES to open a result.");
+      return responseLines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: SEARCH", dbErr);
+      return "Error searching. A database error occurred.\n";
+    }
+  },
+};
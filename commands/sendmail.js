@@ -0,0 +1,36 @@
+/**
+ * @file SENDMAIL command: sends a private message to another user and tells them if they are online.
+ */
+const { colorize } = require('../ansi');
+const { notifyUser } = require('../notifications');
+
+module.exports = {
+  name: 'SENDMAIL',
+  usage: 'SENDMAIL <recipient_username> <subject> /// [message_body]',
+  description: 'Send a private message',
+  category: 'Mail',
+  requiresLogin: true,
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const firstSpaceIndex = rawArgs.indexOf(' ');
+    if (firstSpaceIndex === -1) return usage();
+    const recipientUsername = rawArgs.substring(0, firstSpaceIndex);
+    const subjectAndBodyString = rawArgs.substring(firstSpaceIndex + 1).trim();
+    const separator = '///'; const separatorIndex = subjectAndBodyString.indexOf(separator);
+    let mailSubject, mailBody;
+    if (separatorIndex === -1) { mailSubject = subjectAndBodyString.trim(); mailBody = ''; }
+    else { mailSubject = subjectAndBodyString.substring(0, separatorIndex).trim(); mailBody = subjectAndBodyString.substring(separatorIndex + separator.length).trim(); }
+    if (!recipientUsername || !mailSubject) return usage("Recipient and subject are required.");
+    try {
+      const recipient = await repos.users.findByName(recipientUsername);
+      if (!recipient) return `Recipient user '${recipientUsername}' not found.\n`;
+      await repos.mail.send({ senderId: session.userId, recipientId: recipient.id, subject: mailSubject, body: mailBody });
+      notifyUser(recipient.id, (recipientSession) =>
+        `${colorize(recipientSession, 'broadcast_output', '[MAIL]')} New message from ${colorize(recipientSession, 'username_output', session.username)}: ${mailSubject}. Type LISTMAIL to read.\n`);
+      return "Message sent successfully.\n";
+    } catch (dbErr) {
+      console.error("Database error in command: SENDMAIL", dbErr);
+      return "Failed to send message. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,44 @@
+/**
+ * @file SETCOLOR command: changes the Telnet color of one output element.
+ */
+const { COLOR_MAP, AVAILABLE_COLORS, CUSTOMIZABLE_ELEMENTS } = require('../ansi');
+const { savePreferences } = require('../preferences');
+
+module.exports = {
+  name: 'SETCOLOR',
+  usage: 'SETCOLOR <element> <color>',
+  description: 'Customize Telnet colors (see HELP SETCOLOR)',
+  category: 'Account',
+  minArgs: 2,
+  maxArgs: 2,
+  details: () => [
+    "Customizable elements:",
+    ...Object.entries(CUSTOMIZABLE_ELEMENTS).map(([name, el]) => `  ${name} - ${el.description}`),
+    "",
+    "Available colors:",
+    "  " + AVAILABLE_COLORS.join(', '),
+    "",
+    "Use SETTHEME to apply a whole color preset at once.",
+  ],
+
+  async handler({ session, args, isTelnet, repos, usage }) {
+    const elementName = args[0].toLowerCase();
+    const colorName = args[1].toLowerCase();
+    const element = CUSTOMIZABLE_ELEMENTS[elementName];
+    if (!element) return usage(`Unknown element '${args[0]}'. Elements: ${Object.keys(CUSTOMIZABLE_ELEMENTS).join(', ')}.`);
+    if (!AVAILABLE_COLORS.includes(colorName)) return usage(`Unknown color '${args[1]}'. Type HELP SETCOLOR for the list of colors.`);
+
+    session.prefs[element.prefKey] = colorName;
+    const sample = isTelnet ? `${COLOR_MAP[colorName]}${colorName}${COLOR_MAP.reset}` : colorName;
+    if (!session.loggedIn || !session.userId) {
+      return `Color for ${elementName} set to ${sample} for this session. Log in to save color preferences.\n`;
+    }
+    try {
+      await savePreferences(repos, session);
+      return `Color for ${elementName} set to ${sample}.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: SETCOLOR", dbErr);
+      return `Color for ${elementName} set to ${sample} for this session, but it could not be saved. A database error occurred.\n`;
+    }
+  },
+};
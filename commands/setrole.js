@@ -0,0 +1,41 @@
+/**
+ * @file SETROLE command (SysOp): changes a user's role, including for their sessions already online.
+ */
+const { getAllSessions } = require('../sessionManager');
+const { ROLES } = require('../access');
+const { notifyUser } = require('../notifications');
+
+module.exports = {
+  name: 'SETROLE',
+  usage: 'SETROLE <username> <role>',
+  description: "Change a user's role",
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 2,
+  maxArgs: 2,
+  details: () => [
+    `Roles, lowest first: ${ROLES.filter(r => r !== 'guest').join(', ')}. Each role can do anything the roles below it can.`,
+    "Moderators also need to be assigned to boards with MODERATOR. You cannot change your own role.",
+  ],
+
+  async handler({ session, args, repos, usage }) {
+    const role = args[1].toLowerCase();
+    if (!ROLES.includes(role) || role === 'guest') {
+      return usage(`Unknown role '${args[1]}'. Roles: ${ROLES.filter(r => r !== 'guest').join(', ')}.`);
+    }
+    try {
+      const user = await repos.users.findByName(args[0]);
+      if (!user) return `User ${args[0]} not found.\n`;
+      if (user.id === session.userId) return "You cannot change your own role.\n";
+      if (user.role === role) return `${user.username} already has the ${role} role.\n`;
+      await repos.users.setRole(user.id, role);
+      Object.values(getAllSessions()).forEach(s => { if (s.loggedIn && s.userId === user.id) s.userRole = role; });
+      notifyUser(user.id, `[SYSOP] Your role is now ${role}.\n`);
+      console.log(`User ${user.username} role changed from ${user.role} to ${role} by ${session.username}.`);
+      return `${user.username}'s role changed from ${user.role} to ${role}.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: SETROLE", dbErr);
+      return "Error changing role. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * @file SETTHEME command: applies a named color preset to every customizable element.
+ */
+const { THEMES } = require('../ansi');
+const { savePreferences } = require('../preferences');
+
+module.exports = {
+  name: 'SETTHEME',
+  usage: 'SETTHEME <theme>',
+  description: 'Apply a color theme preset (see HELP SETTHEME)',
+  category: 'Account',
+  minArgs: 1,
+  maxArgs: 1,
+  details: () => [
+    "Available themes:",
+    ...Object.entries(THEMES).map(([name, theme]) => `  ${name} - ${theme.description}`),
+  ],
+
+  async handler({ session, args, repos, usage }) {
+    const themeName = args[0].toLowerCase();
+    const theme = THEMES[themeName];
+    if (!theme) return usage(`Unknown theme '${args[0]}'. Themes: ${Object.keys(THEMES).join(', ')}.`);
+
+    session.prefs = { ...session.prefs, ...theme.colors };
+    session.theme = themeName;
+    if (!session.loggedIn || !session.userId) {
+      return `Theme set to ${themeName} for this session. Log in to save color preferences.\n`;
+    }
+    try {
+      await savePreferences(repos, session);
+      return `Theme set to ${themeName}.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: SETTHEME", dbErr);
+      return `Theme set to ${themeName} for this session, but it could not be saved. A database error occurred.\n`;
+    }
+  },
+};
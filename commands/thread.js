@@ -0,0 +1,32 @@
+/**
+ * @file THREAD command: shows the whole discussion a message belongs to as a reply tree.
+ */
+const { getTitle, renderThreadTree } = require('../threads');
+const { canAccessBoard } = require('../access');
+
+module.exports = {
+  name: 'THREAD',
+  usage: 'THREAD <message_id>',
+  description: 'View the reply tree of the thread containing a message',
+  category: 'Messages',
+  minArgs: 1,
+  maxArgs: 1,
+
+  async handler({ session, args, repos, usage }) {
+    const messageId = parseInt(args[0]);
+    if (isNaN(messageId)) return usage("Invalid message ID. Please provide a number.");
+    try {
+      const message = await repos.messages.get(messageId);
+      if (!message || !canAccessBoard(session, message, 'read')) return "Message not found.\n";
+      const threadId = message.thread_id || message.id;
+      const threadMessages = await repos.messages.getThread(threadId);
+      const root = threadMessages.find(m => m.id === threadId);
+      const lines = [`Thread #${threadId}: ${root ? getTitle(root) : '(original post deleted)'} [${message.board_name || 'Unknown board'}]`];
+      lines.push(...renderThreadTree(session, threadMessages, messageId));
+      return lines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: THREAD", dbErr);
+      return "Error retrieving thread. A database error occurred.\n";
+    }
+  },
+};
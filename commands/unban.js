@@ -0,0 +1,33 @@
+/**
+ * @file UNBAN command (SysOp): lifts the bans on an account or an IP address.
+ */
+const net = require('net');
+const { normalizeAddress } = require('../rateLimiter');
+
+module.exports = {
+  name: 'UNBAN',
+  usage: 'UNBAN <username|ip_address>',
+  description: 'Lift a ban',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  maxArgs: 1,
+
+  async handler({ args, repos }) {
+    const target = args[0];
+    try {
+      let lifted;
+      if (net.isIP(normalizeAddress(target))) {
+        lifted = await repos.bans.lift({ address: target });
+      } else {
+        const user = await repos.users.findByName(target);
+        if (!user) return `User ${target} not found.\n`;
+        lifted = await repos.bans.lift({ userId: user.id });
+      }
+      return lifted > 0 ? `${target} is no longer banned.\n` : `${target} is not banned.\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: UNBAN", dbErr);
+      return "Error lifting ban. A database error occurred.\n";
+    }
+  },
+};
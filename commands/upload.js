@@ -0,0 +1,50 @@
+/**
+ * @file UPLOAD command: receives files from a Telnet caller's terminal with XMODEM, YMODEM or ZMODEM.
+ */
+const { MAX_UPLOAD_BYTES, formatSize, validateFilename } = require('../fileStore');
+const { PROTOCOLS, getCancelHint } = require('../transfers');
+const { canAccessArea, formatDenied } = require('../access');
+
+module.exports = {
+  name: 'UPLOAD',
+  usage: 'UPLOAD [XMODEM|YMODEM|ZMODEM] <area_name_or_id> [filename] [/// description]',
+  description: 'Upload files to a file area over Telnet',
+  category: 'Files',
+  requiresLogin: true,
+  minArgs: 1,
+  details: () => [
+    "ZMODEM is used if no protocol is given. YMODEM and ZMODEM take file names from your terminal and can send several files.",
+    "XMODEM carries no file name, so give one: UPLOAD XMODEM 1 demo.zip /// A demo",
+    "Web users can upload with the UPLOAD button instead.",
+  ],
+
+  async handler({ session, rawArgs, isTelnet, repos, usage }) {
+    if (!isTelnet) return "Protocol uploads are only available over Telnet. Use the UPLOAD button in the web client.\n";
+    const separatorIndex = rawArgs.indexOf('///');
+    const description = separatorIndex === -1 ? '' : rawArgs.substring(separatorIndex + 3).trim();
+    const words = (separatorIndex === -1 ? rawArgs : rawArgs.substring(0, separatorIndex)).trim().split(/\s+/).filter(Boolean);
+    const protocol = words.length > 0 && PROTOCOLS.includes(words[0].toUpperCase()) ? words.shift().toUpperCase() : 'ZMODEM';
+    let filename = null;
+    if (protocol === 'XMODEM') {
+      if (words.length < 2) return usage("XMODEM uploads need an area and a file name.");
+      try { filename = validateFilename(words.pop()); }
+      catch (nameErr) { return `${nameErr.message}\n`; }
+    }
+    if (words.length === 0) return usage("Please name a file area.");
+    try {
+      const area = await repos.files.findArea(words.join(' '));
+      if (!area || !canAccessArea(session, area, 'view')) return "File area not found.\n";
+      if (!canAccessArea(session, area, 'upload')) return formatDenied('upload to', area.name, area.upload_level);
+      const spaceLeft = area.max_bytes === null ? MAX_UPLOAD_BYTES : Math.min(MAX_UPLOAD_BYTES, area.max_bytes - area.used_bytes);
+      if (spaceLeft <= 0) return `[${area.name}] is full. Ask the SysOp for more space.\n`;
+      session.pendingTransfer = {
+        direction: 'receive', protocol, areaId: area.id, filename, description, maxBytes: spaceLeft,
+      };
+      return `Ready to receive ${filename ? `[${filename}] ` : ''}into [${area.name}] by ${protocol} (up to ${formatSize(spaceLeft)}).\n` +
+             `Start the ${protocol} upload in your terminal now. ${getCancelHint(protocol)}\n`;
+    } catch (dbErr) {
+      console.error("Database error in command: UPLOAD", dbErr);
+      return "Error preparing upload. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * @file UPLOADINFO command (SysOp): adds a file listing to a file area.
+ */
+module.exports = {
+  name: 'UPLOADINFO',
+  usage: 'UPLOADINFO <area_name_or_id> <filename> /// [description]',
+  description: 'Add file info',
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 2,
+
+  async handler({ session, rawArgs, repos, usage }) {
+    const uploadDescSeparatorStr = "///";
+    const uploadSeparatorActualIndex = rawArgs.indexOf(uploadDescSeparatorStr);
+    const uploadHead = uploadSeparatorActualIndex === -1 ? rawArgs : rawArgs.substring(0, uploadSeparatorActualIndex);
+    const [areaRef, filename] = uploadHead.trim().split(/\s+/);
+    const uploadDescription = uploadSeparatorActualIndex === -1 ? "" :
+        rawArgs.substring(uploadSeparatorActualIndex + uploadDescSeparatorStr.length).trim();
+    if (!areaRef || !filename) return usage("Area and filename are required.");
+    try {
+      const area = await repos.files.findArea(areaRef);
+      if (!area) return "File area not found.\n";
+      const listingId = await repos.files.addListing({ areaId: area.id, filename, description: uploadDescription, uploaderId: session.userId });
+      if (listingId === null) return `Filename '${filename}' already exists in this area.\n`;
+      return "File information uploaded successfully.\n";
+    } catch (dbErr) {
+      console.error("Database error in command: UPLOADINFO", dbErr);
+      return "Error uploading file information. A database error occurred.\n";
+    }
+  },
+};
@@ -0,0 +1,43 @@
+/**
+ * @file USERINFO command (SysOp): shows an account's role, activity and standing.
+ */
+const { getAllSessions } = require('../sessionManager');
+const { describeBan } = require('../bans');
+
+module.exports = {
+  name: 'USERINFO',
+  usage: 'USERINFO <username>',
+  description: "Show a user's account details",
+  category: 'SysOp',
+  requiredRole: 'sysop',
+  minArgs: 1,
+  maxArgs: 1,
+
+  async handler({ args, repos }) {
+    try {
+      const user = await repos.users.findByName(args[0]);
+      if (!user) return `User ${args[0]} not found.\n`;
+      const counts = await repos.users.getActivity(user.id);
+      const ban = await repos.bans.getActive({ userId: user.id });
+      const connections = Object.values(getAllSessions()).filter(s => s.loggedIn && s.userId === user.id).map(s => s.connectionType);
+      const lastLogin = user.last_login_at ?
+          `${new Date(user.last_login_at).toLocaleString()}${user.last_login_address ? ` from ${user.last_login_address}` : ''}` : 'never';
+      const lines = [
+        `User: ${user.username} (#${user.id})`,
+        `  Role: ${user.role}`,
+        `  Registered: ${new Date(user.registration_date).toLocaleString()}`,
+        `  Last login: ${lastLogin}`,
+        `  Online: ${connections.length > 0 ? `yes (${connections.join(', ')})` : 'no'}`,
+        `  Posts: ${counts.posts}, files uploaded: ${counts.files}`,
+        `  Mail: ${counts.mail_sent} sent, ${counts.mail_received} received (${counts.mail_unread} unread)`,
+      ];
+      if (counts.moderates) lines.push(`  Moderates: ${counts.moderates}`);
+      if (user.password_reset_required) lines.push("  Password: reset, waiting for the user to choose a new one");
+      lines.push(`  Banned: ${ban ? describeBan(ban) : 'no'}`);
+      return lines.join('\n') + '\n';
+    } catch (dbErr) {
+      console.error("Database error in command: USERINFO", dbErr);
+      return "Error retrieving user. A database error occurred.\n";
+    }
+  },
+};
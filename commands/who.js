@@ -0,0 +1,25 @@
+/**
+ * @file WHO command: lists logged-in users.
+ */
+const { COLOR_MAP, getAppliedColor } = require('../ansi');
+const { getAllSessions } = require('../sessionManager');
+
+module.exports = {
+  name: 'WHO',
+  usage: 'WHO',
+  description: 'List active users',
+  category: 'General',
+
+  handler({ session, isTelnet }) {
+    const loggedInUsernames = Object.values(getAllSessions()).filter(s => s.loggedIn).map(s => s.username);
+    const whoResponseLines = [];
+    if (loggedInUsernames.length === 0) { whoResponseLines.push("No users currently logged in."); }
+    else {
+      whoResponseLines.push("Active users:");
+      const usernameColor = isTelnet ? getAppliedColor(session, 'username_output') : '';
+      const resetColor = isTelnet ? COLOR_MAP.reset : '';
+      loggedInUsernames.forEach(username => whoResponseLines.push(isTelnet ? `  ${usernameColor}${username}${resetColor}` : `  ${username}`));
+    }
+    return whoResponseLines.join('\n') + '\n';
+  },
+};
@@ -0,0 +1,87 @@
+/**
+ * @file Connection registry: maps sessions to the transport they are connected over (a Telnet socket,
+ * or a web client's event WebSocket), so that a session ended from the server side (KICK, BAN, expiry)
+ * can tell the user why and drop the connection at once instead of waiting for their next input.
+ *
+ * Web clients without an open event socket learn the reason with their next request: the tokens of
+ * ended web sessions are remembered for a while (see takeEndedSessionNotice).
+ */
+const { getAllSessions, endSession } = require('./sessionManager');
+const { leaveRoom } = require('./chat');
+const { leaveMatch } = require('./matches');
+
+const ENDED_TOKEN_TTL_MS = 3600 * 1000; // How long an ended web session's token still explains itself.
+
+const connections = new Map(); // Session ID -> close function(message).
+const endedTokens = new Map(); // Token of an ended web session -> { message, endedAt }, oldest first.
+
+/**
+ * Registers the transport a session is connected over, replacing any earlier one (e.g. a reloaded web page).
+ * @param {string} sessionId - The session ID.
+ * @param {function(string): boolean} close - Shows the message to the user and closes the connection;
+ *   returns whether the user saw the message.
+ * @returns {function(): void} Unregisters the connection (call it when the connection closes by itself).
+ */
+function registerConnection(sessionId, close) {
+  connections.set(sessionId, close);
+  return () => {
+    if (connections.get(sessionId) === close) connections.delete(sessionId);
+  };
+}
+
+/**
+ * Forgets ended tokens older than ENDED_TOKEN_TTL_MS.
+ * @param {number} now - The current time in milliseconds.
+ */
+function pruneEndedTokens(now) {
+  for (const [token, ended] of endedTokens) {
+    if (now - ended.endedAt < ENDED_TOKEN_TTL_MS) break; // Insertion order: the rest are newer.
+    endedTokens.delete(token);
+  }
+}
+
+/**
+ * Ends a session from the server side: takes it out of any chat room and match, ends it, and closes its connection
+ * with a message. A web session's token is remembered so that its next request shows the message.
+ * @param {string} sessionId - The session ID (the session may already have expired).
+ * @param {string} message - Why the session ended, e.g. "You have been kicked off the BBS by the SysOp.\n".
+ * @param {string} [chatReason='has disconnected'] - How a chat room (or opponent) is told of the departure.
+ * @returns {boolean} True if there was such a session.
+ */
+function disconnectSession(sessionId, message, chatReason = 'has disconnected') {
+  const session = getAllSessions()[sessionId];
+  if (!session) return false;
+  const token = session.token;
+  if (session.chatRoom) leaveRoom(sessionId, session, chatReason);
+  leaveMatch(sessionId, session, chatReason);
+  endSession(sessionId);
+  const close = connections.get(sessionId);
+  connections.delete(sessionId);
+  const shown = close ? close(message) : false;
+  if (session.connectionType === 'web' && token) {
+    const now = Date.now();
+    pruneEndedTokens(now);
+    endedTokens.set(token, { message: shown ? '' : message, endedAt: now }); // Shown already: no need to repeat it.
+  }
+  return true;
+}
+
+/**
+ * Returns (once) the message explaining why the web session a token belonged to was ended.
+ * @param {string} token - A session token that no longer maps to a session.
+ * @returns {string|null} The message (empty if the user was shown it when the session ended), or null if
+ *   the token is unknown or too old.
+ */
+function takeEndedSessionNotice(token) {
+  pruneEndedTokens(Date.now());
+  const ended = typeof token === 'string' ? endedTokens.get(token) : undefined;
+  if (!ended) return null;
+  endedTokens.delete(token);
+  return ended.message;
+}
+
+module.exports = {
+  registerConnection,
+  disconnectSession,
+  takeEndedSessionNotice,
+};
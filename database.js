@@ -1,9 +1,19 @@
 /**
  * @file Database initialization and management for the BBS.
- * Uses SQLite for data storage.
+ * Uses SQLite for data storage. The schema is created and upgraded by the numbered migrations in
+ * migrations/ (see migrations/index.js); `node migrate.js` shows which have been applied.
+ * Queries go through the repositories in repositories/ (see getRepositories), not the raw connection.
+ *
+ * BBS_DB_PATH chooses the database file, so that several instances (or a staging copy) can run side by
+ * side. `:memory:` gives a database that lasts only as long as the process, for throwaway instances.
  */
+const fs = require('fs');
+const path = require('path');
 const sqlite3 = require('sqlite3').verbose(); // Use verbose for more detailed stack traces on errors.
-const DB_PATH = './bbs.sqlite'; // Defines the path to the SQLite database file.
+const { migrate } = require('./migrations');
+const { createClient, createRepositories } = require('./repositories');
+const DB_PATH = process.env.BBS_DB_PATH || './bbs.sqlite'; // The SQLite database file, or ':memory:'.
+const IN_MEMORY = DB_PATH === ':memory:';
 
 /**
  * @type {sqlite3.Database | null}
@@ -11,178 +21,45 @@ const DB_PATH = './bbs.sqlite'; // Defines the path to the SQLite database file.
  */
 let db = null;
 
+/**
+ * @type {object | null}
+ * The repositories around the shared connection (see repositories/index.js). Built by initDb.
+ */
+let repositories = null;
+
 /**
  * Initializes the SQLite database.
- * Creates necessary tables if they don't already exist and inserts default data.
- * This function should be called once at application startup.
+ * Opens the connection and applies any pending schema migrations (in one transaction) before the
+ * application uses it. This function should be called once at application startup.
  * The callback pattern is used here to ensure database setup completes before the application proceeds.
  *
  * @param {function(Error?): void} callback - A callback function that is called upon completion.
  *                                          It receives an error object if an error occurred, otherwise null.
  */
 function initDb(callback) {
-  // Open a new database connection. If the DB_PATH file doesn't exist, it's created.
+  // Open a new database connection. If the DB_PATH file (or its directory) doesn't exist, it's created.
+  if (!IN_MEMORY) fs.mkdirSync(path.dirname(path.resolve(DB_PATH)), { recursive: true });
   db = new sqlite3.Database(DB_PATH, (errOpen) => {
     if (errOpen) {
       console.error("Error opening database", errOpen.message);
       return callback(errOpen); // Critical error, pass to callback.
     }
-    console.log("Connected to the BBS SQLite database.");
-
-    // db.serialize ensures that database commands are executed in sequence.
-    db.serialize(() => {
-      // --- Users Table ---
-      db.run(`
-        CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT UNIQUE NOT NULL,
-            password_hash TEXT NOT NULL,
-            registration_date TEXT NOT NULL,
-            role TEXT DEFAULT 'user' NOT NULL
-        );
-      `, (errUsers) => {
-        if (errUsers) {
-          console.error("Error creating users table", errUsers.message);
-          return callback(errUsers);
-        }
-        console.log("Users table checked/created.");
-
-        // --- Messages Table ---
-        db.run(`
-          CREATE TABLE IF NOT EXISTS messages (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              board_id INTEGER,
-              user_id INTEGER NOT NULL,
-              body TEXT NOT NULL,
-              timestamp TEXT NOT NULL,
-              FOREIGN KEY (user_id) REFERENCES users (id)
-          );
-        `, (errMessages) => {
-          if (errMessages) {
-            console.error("Error creating messages table", errMessages.message);
-            return callback(errMessages);
-          }
-          console.log("Messages table checked/created.");
-
-          // --- Boards Table ---
-          db.run(`
-            CREATE TABLE IF NOT EXISTS boards (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT UNIQUE NOT NULL,
-                description TEXT
-            );
-          `, (errBoards) => {
-            if (errBoards) {
-              console.error("Error creating boards table", errBoards.message);
-              return callback(errBoards);
-            }
-            console.log("Boards table checked/created.");
-
-            db.run(`
-              INSERT INTO boards (name, description)
-              SELECT 'General', 'General discussion and announcements'
-              WHERE NOT EXISTS (SELECT 1 FROM boards WHERE name = 'General');
-            `, function(errInsertBoard) {
-              if (errInsertBoard) console.error("Error inserting General board", errInsertBoard.message);
-              else if (this.changes > 0) console.log("Default 'General' board inserted.");
-              else console.log("'General' board already exists.");
-
-              // --- Private Messages Table ---
-              db.run(`
-                CREATE TABLE IF NOT EXISTS private_messages (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    sender_id INTEGER NOT NULL,
-                    recipient_id INTEGER NOT NULL,
-                    subject TEXT NOT NULL,
-                    body TEXT NOT NULL,
-                    timestamp TEXT NOT NULL,
-                    is_read INTEGER DEFAULT 0,
-                    FOREIGN KEY (sender_id) REFERENCES users (id),
-                    FOREIGN KEY (recipient_id) REFERENCES users (id)
-                );
-              `, (errPm) => {
-                if (errPm) {
-                  console.error("Error creating private_messages table", errPm.message);
-                  return callback(errPm);
-                }
-                console.log("Private_messages table checked/created.");
-
-                // --- File Areas Table ---
-                db.run(`
-                  CREATE TABLE IF NOT EXISTS file_areas (
-                      id INTEGER PRIMARY KEY AUTOINCREMENT,
-                      name TEXT UNIQUE NOT NULL,
-                      description TEXT
-                  );
-                `, (errFa) => {
-                  if (errFa) {
-                    console.error("Error creating file_areas table", errFa.message);
-                    return callback(errFa);
-                  }
-                  console.log("File_areas table checked/created.");
-
-                  db.run(`
-                    INSERT INTO file_areas (name, description)
-                    SELECT 'General Files', 'Miscellaneous files and utilities'
-                    WHERE NOT EXISTS (SELECT 1 FROM file_areas WHERE name = 'General Files');
-                  `, function(errInsertFa) {
-                    if (errInsertFa) console.error("Error inserting General Files area", errInsertFa.message);
-                    else if (this.changes > 0) console.log("Default 'General Files' area inserted.");
-                    else console.log("'General Files' area already exists.");
+    console.log(IN_MEMORY ?
+        "Connected to an in-memory BBS SQLite database. Nothing is kept after the server stops." :
+        `Connected to the BBS SQLite database at ${DB_PATH}.`);
 
-                    // --- File Listings Table ---
-                    db.run(`
-                      CREATE TABLE IF NOT EXISTS file_listings (
-                          id INTEGER PRIMARY KEY AUTOINCREMENT,
-                          area_id INTEGER NOT NULL,
-                          filename TEXT NOT NULL,
-                          description TEXT,
-                          uploader_user_id INTEGER NOT NULL,
-                          upload_date TEXT NOT NULL,
-                          download_count INTEGER DEFAULT 0,
-                          FOREIGN KEY (area_id) REFERENCES file_areas (id),
-                          FOREIGN KEY (uploader_user_id) REFERENCES users (id),
-                          UNIQUE (area_id, filename)
-                      );
-                    `, (errFl) => {
-                      if (errFl) {
-                        console.error("Error creating file_listings table", errFl.message);
-                        return callback(errFl);
-                      }
-                      console.log("File_listings table checked/created.");
-
-                      // --- User Preferences Table ---
-                      db.run(`
-                        CREATE TABLE IF NOT EXISTS user_preferences (
-                            user_id INTEGER PRIMARY KEY NOT NULL,
-                            color_prompt TEXT,
-                            color_username_output TEXT,
-                            color_timestamp_output TEXT,
-                            FOREIGN KEY (user_id) REFERENCES users (id)
-                        );
-                      `, (errUp) => {
-                        if (errUp) {
-                            console.error("Error creating user_preferences table", errUp.message);
-                            return callback(errUp);
-                        }
-                        console.log("User_preferences table checked/created.");
-
-                        // Final callback after all tables are processed
-                        if (callback) callback(null);
-                      }); // End user_preferences
-                    }); // End file_listings
-                  }); // End insert General Files area
-                }); // End file_areas
-              }); // End private_messages
-            }); // End insert General board
-          }); // End boards table
-        }); // End messages table
-      }); // End users table
-    }); // End of db.serialize
-  }); // End of db.Database connection
+    migrate(db).then((applied) => {
+      if (applied.length > 0) console.log(`Database schema upgraded: ${applied.length} migration(s) applied.`);
+      else console.log("Database schema is up to date.");
+      repositories = createRepositories(createClient(db));
+      callback(null);
+    }, (errMigrate) => {
+      console.error("Error migrating database schema:", errMigrate.message);
+      callback(errMigrate);
+    });
+  });
 }
 
-
 /**
  * Retrieves the singleton database connection instance.
  * It's crucial that initDb() has been called and successfully completed before calling getDb().
@@ -197,7 +74,24 @@ function getDb() {
   return db;
 }
 
+/**
+ * Returns the repositories around the shared connection: the way commands and servers read and write data.
+ * It's crucial that initDb() has been called and successfully completed first.
+ *
+ * @returns {object | null} The repositories ({users, boards, messages, mail, files, ...}), or null if not initialized.
+ */
+function getRepositories() {
+  if (!repositories) {
+    console.error("Database not initialized. Call initDb first.");
+    return null;
+  }
+  return repositories;
+}
+
 module.exports = {
+  DB_PATH,
+  IN_MEMORY,
   initDb,
   getDb,
+  getRepositories,
 };
@@ -0,0 +1,25 @@
+/**
+ * @file Parses the expiry times SysOp commands accept, e.g. BROADCAST EXPIRES:12h and BAN FOR:7d.
+ */
+
+const DURATION_UNITS = { m: 60, h: 3600, d: 86400 }; // Seconds per unit.
+const MAX_DURATION_SECONDS = 10 * 365 * 86400; // Ten years; anything longer should be NEVER.
+
+/**
+ * Turns an expiry value into a date.
+ * @param {string} value - e.g. 30m, 12h, 7d or NEVER.
+ * @returns {Date|null|undefined} The expiry time, null for never, or undefined if the value is invalid
+ *   (including durations over ten years).
+ */
+function parseExpiry(value) {
+  if (value.toUpperCase() === 'NEVER') return null;
+  const match = value.match(/^(\d+)([mhd])$/i);
+  if (!match) return undefined;
+  const seconds = parseInt(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+  if (seconds === 0 || seconds > MAX_DURATION_SECONDS) return undefined;
+  return new Date(Date.now() + seconds * 1000);
+}
+
+module.exports = {
+  parseExpiry,
+};
@@ -0,0 +1,199 @@
+/**
+ * @file On-disk storage for file area uploads.
+ * File contents are stored once per SHA-256 digest under FILES_DIR; their listings (repos.files) carry
+ * the size, digest and MIME type. Used by the HTTP routes in server.js and the file commands.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { canAccessArea, getRoleName } = require('./access');
+
+const FILES_DIR = path.resolve(process.env.BBS_FILES_DIR || './files'); // Where uploaded file contents live.
+const MAX_UPLOAD_BYTES = parseInt(process.env.BBS_MAX_UPLOAD_BYTES) || 10 * 1024 * 1024; // Per-file upload limit.
+const MAX_FILENAME_LENGTH = 64;
+// Base URL shown in download links; the Express API server serves /api/files.
+const PUBLIC_URL = (process.env.BBS_PUBLIC_URL || `http://localhost:${process.env.API_PORT || 3001}`).replace(/\/$/, '');
+
+// Fallback MIME types by extension, used when the uploader does not send a specific one.
+const MIME_TYPES = {
+  '.txt': 'text/plain', '.nfo': 'text/plain', '.diz': 'text/plain', '.asc': 'text/plain', '.ans': 'text/plain',
+  '.md': 'text/markdown', '.html': 'text/html', '.json': 'application/json',
+  '.zip': 'application/zip', '.gz': 'application/gzip', '.tar': 'application/x-tar',
+  '.lzh': 'application/x-lzh', '.arc': 'application/x-arc', '.sit': 'application/x-stuffit',
+  '.png': 'image/png', '.gif': 'image/gif', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+  '.mp3': 'audio/mpeg', '.mod': 'audio/mod', '.pdf': 'application/pdf',
+};
+
+/**
+ * Builds the error for an upload that does not fit in its area's quota.
+ * @param {object} area - The area, with its current usage (see repos.files.findArea).
+ * @returns {Error} A QUOTA_EXCEEDED error.
+ */
+function quotaError(area) {
+  return fileError('QUOTA_EXCEEDED',
+    `Not enough space in ${area.name}: ${formatSize(Math.max(0, area.max_bytes - area.used_bytes))} of ${formatSize(area.max_bytes)} left.`);
+}
+
+/**
+ * Creates an error carrying a code the callers map to user messages or HTTP statuses.
+ * @param {string} code - One of 'INVALID_NAME', 'TOO_LARGE', 'QUOTA_EXCEEDED', 'DUPLICATE', 'NOT_FOUND', 'NO_CONTENT', 'FORBIDDEN'.
+ * @param {string} message - A message safe to show to the user.
+ * @returns {Error} The error, with `code` set.
+ */
+function fileError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Checks an uploaded filename. Paths, control characters and hidden files are rejected.
+ * @param {string} filename - The name given by the uploader.
+ * @returns {string} The trimmed filename.
+ * @throws {Error} INVALID_NAME if the name is not acceptable.
+ */
+function validateFilename(filename) {
+  const name = String(filename || '').trim();
+  if (!name || name.length > MAX_FILENAME_LENGTH || /[\/\\\x00-\x1f]/.test(name) || name.startsWith('.')) {
+    throw fileError('INVALID_NAME', `Invalid filename. Use up to ${MAX_FILENAME_LENGTH} characters with no slashes, and do not start with a dot.`);
+  }
+  return name;
+}
+
+/**
+ * Picks a MIME type for a file: the uploader's type if it is specific, otherwise by extension.
+ * @param {string} filename - The file's name.
+ * @param {string} [declaredType] - The Content-Type sent by the uploader.
+ * @returns {string} The MIME type.
+ */
+function guessMimeType(filename, declaredType) {
+  const type = declaredType ? declaredType.split(';')[0].trim().toLowerCase() : '';
+  if (type && type !== 'application/octet-stream' && /^[\w.+-]+\/[\w.+-]+$/.test(type)) return type;
+  return MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Formats a byte count for listings (e.g. 1.5 KB).
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The human-readable size.
+ */
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) return 'n/a';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Returns the on-disk path for a stored digest.
+ * @param {string} sha256 - The hex digest.
+ * @returns {string} Absolute path to the content file.
+ */
+function getStoragePath(sha256) {
+  return path.join(FILES_DIR, sha256.substring(0, 2), sha256);
+}
+
+/**
+ * Builds the HTTP download link for a file.
+ * @param {number} fileId - The listing ID.
+ * @param {string} [token] - The session token the link authenticates with; omitted when the browser sends a session cookie.
+ * @returns {string} The absolute download URL.
+ */
+function getDownloadUrl(fileId, token) {
+  const base = `${PUBLIC_URL}/api/files/${fileId}/download`;
+  return token ? `${base}?sessionId=${encodeURIComponent(token)}` : base;
+}
+
+/**
+ * Stores an uploaded file and creates its listing.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} upload - The upload.
+ * @param {string|number} upload.areaRef - Target area name or ID.
+ * @param {string} upload.filename - The file's name.
+ * @param {string} [upload.description] - Listing description.
+ * @param {number} upload.userId - Uploader's user ID.
+ * @param {Buffer} upload.content - The file contents.
+ * @param {string} [upload.mimeType] - The uploader's declared Content-Type.
+ * @param {object} upload.session - The uploader's session, checked against the area's view and upload levels.
+ * @returns {Promise<{id: number, filename: string, size: number, sha256: string, mimeType: string, areaName: string}>} The new listing.
+ * @throws {Error} With a `code` (see fileError) for rejected uploads.
+ */
+async function storeFile(repos, { areaRef, filename, description = '', userId, content, mimeType, session }) {
+  const name = validateFilename(filename);
+  if (!content || content.length === 0) throw fileError('NO_CONTENT', 'The uploaded file is empty.');
+  if (content.length > MAX_UPLOAD_BYTES) {
+    throw fileError('TOO_LARGE', `File is too large. The limit is ${formatSize(MAX_UPLOAD_BYTES)}.`);
+  }
+  const area = await repos.files.findArea(areaRef);
+  if (!area || !canAccessArea(session, area, 'view')) throw fileError('NOT_FOUND', 'File area not found.');
+  if (!canAccessArea(session, area, 'upload')) {
+    throw fileError('FORBIDDEN', `You need the ${getRoleName(area.upload_level)} role or higher to upload to ${area.name}.`);
+  }
+  if (area.max_bytes !== null && area.used_bytes + content.length > area.max_bytes) throw quotaError(area);
+
+  if (await repos.files.hasFile(area.id, name)) throw fileError('DUPLICATE', `Filename '${name}' already exists in this area.`);
+
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+  const storagePath = getStoragePath(sha256);
+  let tempPath = null;
+  if (!fs.existsSync(storagePath)) {
+    await fs.promises.mkdir(path.dirname(storagePath), { recursive: true });
+    // New contents stay under a temporary name until the listing is added, so neither a crash nor a
+    // rejected upload leaves a file under the digest name. The name is unique per upload, as identical
+    // contents may be uploaded at the same time.
+    tempPath = `${storagePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, content);
+  }
+
+  const resolvedType = guessMimeType(name, mimeType);
+  let fileId;
+  try {
+    fileId = await repos.files.addListing({
+      areaId: area.id, filename: name, description, uploaderId: userId, size: content.length, sha256, mimeType: resolvedType,
+    });
+    // Another upload may have taken the name, or the remaining space, while the contents were being written.
+    if (fileId === null) throw fileError('DUPLICATE', `Filename '${name}' already exists in this area.`);
+    if (fileId === false) throw quotaError(await repos.files.findArea(area.id));
+    if (tempPath) await fs.promises.rename(tempPath, storagePath);
+  } catch (err) {
+    if (tempPath) await fs.promises.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+  console.log(`Stored file ${fileId} '${name}' (${content.length} bytes, ${sha256}) in area ${area.name}.`);
+  return { id: fileId, filename: name, size: content.length, sha256, mimeType: resolvedType, areaName: area.name };
+}
+
+/**
+ * Loads a listing for download and checks its contents exist on disk.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {number} fileId - The listing ID.
+ * @param {object} session - The downloader's session, checked against the area's view and download levels.
+ * @returns {Promise<object>} The listing row (with its area's name) plus `storagePath`.
+ * @throws {Error} NOT_FOUND for unknown IDs (or areas the session may not view), FORBIDDEN if the session may
+ *   not download from the area, NO_CONTENT for listings without stored bytes.
+ */
+async function getStoredFile(repos, fileId, session) {
+  const file = await repos.files.getFile(fileId);
+  if (!file || !canAccessArea(session, file, 'view')) throw fileError('NOT_FOUND', 'File not found.');
+  if (!canAccessArea(session, file, 'download')) {
+    throw fileError('FORBIDDEN', `You need the ${getRoleName(file.download_level)} role or higher to download from ${file.area_name}.`);
+  }
+  if (!file.sha256) throw fileError('NO_CONTENT', `[${file.filename}] is listed, but no file contents have been uploaded for it.`);
+  const storagePath = getStoragePath(file.sha256);
+  if (!fs.existsSync(storagePath)) {
+    console.error(`fileStore: contents for file ${file.id} missing at ${storagePath}.`);
+    throw fileError('NO_CONTENT', `The contents of [${file.filename}] are missing. Please tell the SysOp.`);
+  }
+  return { ...file, storagePath };
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  formatSize,
+  validateFilename,
+  getDownloadUrl,
+  storeFile,
+  getStoredFile,
+};
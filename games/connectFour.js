@@ -0,0 +1,94 @@
+/**
+ * @file Connect Four: two players drop discs into a 7-column, 6-row grid; four in a row, across, down or
+ * diagonally, wins. A two-player game module for the registry in games/index.js, played through
+ * GAME CHALLENGE (see matches.js).
+ */
+const { COLOR_MAP } = require('../ansi');
+
+const COLUMNS = 7;
+const ROWS = 6;
+const PIECES = ['Red', 'Yellow'];
+const PLAIN_DISCS = ['R', 'Y'];
+const ANSI_DISCS = [`${COLOR_MAP.bright_red}O${COLOR_MAP.reset}`, `${COLOR_MAP.bright_yellow}O${COLOR_MAP.reset}`];
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]]; // [row step, column step]: across, down and both diagonals.
+
+/**
+ * Draws the grid, top row first, with the column numbers above it.
+ * @param {Array<Array<number|null>>} grid - grid[row][column] holds a seat or null; row 0 is the bottom.
+ * @param {string[]} discs - How each seat's disc is drawn.
+ * @returns {string} The grid.
+ */
+function drawGrid(grid, discs) {
+  const header = ` ${Array.from({ length: COLUMNS }, (_, column) => column + 1).join(' ')}`;
+  const rows = [...grid].reverse().map(row => `|${row.map(seat => (seat === null ? '.' : discs[seat])).join(' ')}|`);
+  return [header, ...rows, `+${'-'.repeat(COLUMNS * 2 - 1)}+`].join('\n') + '\n';
+}
+
+/**
+ * Checks whether the disc at a cell is part of four in a row.
+ * @param {Array<Array<number|null>>} grid - The grid.
+ * @param {number} row - The cell's row.
+ * @param {number} column - The cell's column.
+ * @returns {boolean} True if it is.
+ */
+function connectsFour(grid, row, column) {
+  const seat = grid[row][column];
+  const sameAt = (r, c) => r >= 0 && r < ROWS && c >= 0 && c < COLUMNS && grid[r][c] === seat;
+  return DIRECTIONS.some(([dRow, dColumn]) => {
+    let count = 1;
+    for (const sign of [1, -1]) {
+      for (let step = 1; sameAt(row + sign * step * dRow, column + sign * step * dColumn); step++) count++;
+    }
+    return count >= 4;
+  });
+}
+
+module.exports = {
+  name: 'CONNECTFOUR',
+  title: 'Connect Four',
+  description: 'Four in a row on a 7x6 grid, against another user',
+  players: 2,
+  pieces: PIECES,
+  moveHelp: `Type a column number (1-${COLUMNS}) to drop a disc.`,
+
+  /**
+   * Empties the grid.
+   * @param {object} ctx - The game context.
+   */
+  start(ctx) {
+    ctx.state.grid = Array.from({ length: ROWS }, () => Array(COLUMNS).fill(null));
+    ctx.state.lastMove = null;
+  },
+
+  /**
+   * Drops a disc for the player in `ctx.seat`.
+   * @param {object} ctx - The game context.
+   * @param {string} input - The column number as typed.
+   * @returns {string | undefined} Why the move is not allowed, if it is not.
+   */
+  move(ctx, input) {
+    const column = Number(input) - 1;
+    if (!/^\d+$/.test(input) || column < 0 || column >= COLUMNS) return `Type a column number (1-${COLUMNS}).`;
+    const row = ctx.state.grid.findIndex(cells => cells[column] === null);
+    if (row === -1) return `Column ${input} is full.`;
+    ctx.state.grid[row][column] = ctx.seat;
+    ctx.state.lastMove = { row, column };
+    return undefined;
+  },
+
+  /**
+   * Only the disc just dropped can have made four in a row.
+   * @param {object} ctx - The game context.
+   * @returns {{winner: number}|{draw: true}|null} The result, or null while the game goes on.
+   */
+  outcome(ctx) {
+    const { grid, lastMove } = ctx.state;
+    if (lastMove && connectsFour(grid, lastMove.row, lastMove.column)) return { winner: grid[lastMove.row][lastMove.column] };
+    return grid[ROWS - 1].includes(null) ? null : { draw: true };
+  },
+
+  render: {
+    plain: (state) => drawGrid(state.grid, PLAIN_DISCS),
+    ansi: (state) => drawGrid(state.grid, ANSI_DISCS),
+  },
+};
@@ -0,0 +1,289 @@
+/**
+ * @file Game registry for the BBS door games.
+ * Every other module in this directory defines one game and is registered automatically. A game module
+ * exports:
+ *   - name {string}            Game word for `GAME <name> START`, matched case-insensitively.
+ *   - title {string}           Display name.
+ *   - description {string}     One line for GAME LIST.
+ *   - start {function(object): string} Sets up `ctx.state` and returns the opening text.
+ *   - handleInput {function(object, string): string} Handles a line the player typed and returns the
+ *                              reply; calls `ctx.end()` when the game is over.
+ *   - quit {function(object): string} Optional. Text for a player who types quit or exit.
+ *   - save {function(object): *} Optional. Returns a snapshot of `ctx.state` that JSON can hold. Logged-in
+ *                              players who disconnect or log out mid-game have it stored, and GAME <name>
+ *                              START brings it back through resume. Games without save are abandoned.
+ *   - resume {function(object, *): string} Optional (required with save). Rebuilds `ctx.state` from a
+ *                              snapshot and returns the text shown to the returning player.
+ *   - render {Object<string, function(*, object): string>} Optional. Per-frontend renderers, `ansi`
+ *                              (Telnet) and `plain` (web); `ctx.render(view)` calls the one for the
+ *                              player's frontend, falling back to plain.
+ *   - scoring {{unit: string, lowerIsBetter: boolean}} Optional. Makes the game keep high scores: `unit`
+ *                              names what a score counts (e.g. 'attempt'), and `lowerIsBetter` says which
+ *                              way the boards sort. Hooks call `ctx.submitScore(score)` with a whole number
+ *                              when a player finishes; see scores.js.
+ *
+ * Every hook receives the game context: {session, state, frontend ('ansi' or 'plain'),
+ * colorize(element, text), render(view), end(), submitScore(score)}, and may return a promise. A session in
+ * a game has `session.currentGame` set to {name, state}, and processInput hands it every line until the
+ * game ends.
+ *
+ * A two-player game, played between online users through GAME CHALLENGE (see matches.js), instead exports:
+ *   - name, title, description  As above.
+ *   - players {number}         2.
+ *   - pieces {string[]}        What each seat plays as, e.g. ['X', 'O']. Seat 0 moves first.
+ *   - moveHelp {string}        How to type a move, e.g. "Type a square number from 1 to 9."
+ *   - start {function(object)} Sets up `ctx.state`, which both players share.
+ *   - move {function(object, string): (string|undefined)} Makes the move typed by the player in seat
+ *                              `ctx.seat`, or returns why it is not allowed.
+ *   - outcome {function(object): ({winner: number}|{draw: true}|null)} Whether the game is over.
+ *   - render                   Required, with at least `plain`: draws `ctx.state` as the board.
+ * Their hooks get the same context, with `ctx.seat` added.
+ */
+const fs = require('fs');
+const path = require('path');
+const { colorize } = require('../ansi');
+const { recordScore } = require('../scores');
+
+const games = new Map(); // Uppercase game name -> game definition.
+const QUIT_WORDS = ['QUIT', 'EXIT', 'GAME QUIT']; // Lines that leave a game, whatever the game.
+
+/**
+ * Registers a game definition.
+ * @param {object} definition - The game module (see file header for the shape).
+ * @throws {Error} If the definition is incomplete or its name is already taken.
+ */
+function registerGame(definition) {
+  const hooks = definition && isMultiplayer(definition) ? ['start', 'move', 'outcome'] : ['start', 'handleInput'];
+  if (!definition || !definition.name || hooks.some(hook => typeof definition[hook] !== 'function')) {
+    throw new Error(`Invalid game definition: ${definition && definition.name ? definition.name : '(unnamed)'}`);
+  }
+  if (isMultiplayer(definition) && (definition.players !== 2 || !Array.isArray(definition.pieces) ||
+      definition.pieces.length !== 2 || !definition.render || typeof definition.render.plain !== 'function')) {
+    throw new Error(`Game ${definition.name} must be for two players, with two pieces and a plain renderer.`);
+  }
+  if (typeof definition.save === 'function' && typeof definition.resume !== 'function') {
+    throw new Error(`Game ${definition.name} can save but not resume.`);
+  }
+  if (definition.scoring && typeof definition.scoring.unit !== 'string') {
+    throw new Error(`Game ${definition.name} keeps scores but names no unit.`);
+  }
+  const word = definition.name.toUpperCase();
+  if (games.has(word)) throw new Error(`Game '${word}' is already registered.`);
+  games.set(word, definition);
+}
+
+/**
+ * Registers every game module in this directory.
+ * Called once when the module is first required.
+ */
+function loadGames() {
+  fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .forEach(file => registerGame(require(path.join(__dirname, file))));
+}
+
+/**
+ * Looks up a game by name.
+ * @param {string} word - The game name as typed (any case).
+ * @returns {object | undefined} The game definition, if registered.
+ */
+function getGame(word) {
+  return games.get(String(word).toUpperCase());
+}
+
+/**
+ * Lists the registered games.
+ * @returns {object[]} The game definitions, by name.
+ */
+function listGames() {
+  return [...games.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Checks whether a game can be saved and resumed.
+ * @param {object} definition - The game definition.
+ * @returns {boolean} True if it can.
+ */
+function isResumable(definition) {
+  return typeof definition.save === 'function';
+}
+
+/**
+ * Checks whether a game is played between two users (see matches.js).
+ * @param {object} definition - The game definition.
+ * @returns {boolean} True if it is.
+ */
+function isMultiplayer(definition) {
+  return definition.players !== undefined && definition.players !== 1;
+}
+
+/**
+ * Builds the context a game's hooks receive for a session.
+ * @param {object} session - The user's session object.
+ * @param {object} definition - The game definition.
+ * @param {object} [state=session.currentGame.state] - The game's state (a match's shared state for two-player games).
+ * @returns {object} The game context.
+ */
+function createGameContext(session, definition, state = session.currentGame.state) {
+  const frontend = session.connectionType === 'telnet' ? 'ansi' : 'plain';
+  const ctx = {
+    session,
+    state,
+    frontend,
+    colorize: (element, text) => colorize(session, element, text),
+    render: (view) => {
+      const renderers = definition.render || {};
+      const renderer = renderers[frontend] || renderers.plain;
+      return renderer ? renderer(view, ctx) : String(view);
+    },
+    end: () => { ctx.ended = true; },
+    ended: false,
+    submitScore: (score) => {
+      if (!definition.scoring) throw new Error(`Game ${definition.name} does not keep scores.`);
+      if (!Number.isInteger(score)) throw new Error(`Game ${definition.name} submitted a score that is not a whole number: ${score}`);
+      ctx.scores.push(score);
+    },
+    scores: [], // Submitted during the current hook; runHook records them.
+  };
+  return ctx;
+}
+
+/**
+ * Runs one of a game's hooks for a session, ending the game if the hook calls end() or throws, and
+ * recording any scores it submitted.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} session - The user's session object, with `currentGame` set.
+ * @param {object} definition - The game definition.
+ * @param {function(object): (string|Promise<string>)} hook - Calls the hook with the context.
+ * @returns {Promise<string>} The hook's text, followed by a line for each score recorded.
+ */
+async function runHook(repos, session, definition, hook) {
+  const ctx = createGameContext(session, definition);
+  let output;
+  try {
+    output = await hook(ctx);
+    if (ctx.ended) session.currentGame = null;
+  } catch (err) {
+    console.error(`Error in game ${definition.name}:`, err);
+    session.currentGame = null;
+    return `${definition.title} has stopped because of an error. Sorry!\n`;
+  }
+  for (const score of ctx.scores) {
+    try {
+      output += await recordScore(repos, session, definition, score);
+    } catch (err) {
+      console.error(`Error recording ${definition.name} score for ${session.username}:`, err);
+      output += "Your score could not be recorded because of a database error.\n";
+    }
+  }
+  return output;
+}
+
+/**
+ * Starts a game for a session, or resumes the player's saved one.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} session - The user's session object (not in a game).
+ * @param {object} definition - The game definition.
+ * @returns {Promise<string>} The opening text.
+ */
+async function startGame(repos, session, definition) {
+  const saved = session.loggedIn && session.userId && isResumable(definition) ?
+      await repos.games.take(session.userId, definition.name) : undefined;
+  session.currentGame = { name: definition.name, state: {} };
+  if (saved) {
+    console.log(`${definition.name} resumed by ${session.username} (saved ${saved.savedAt}).`);
+    return runHook(repos, session, definition, async (ctx) => {
+      try {
+        return await definition.resume(ctx, saved.state);
+      } catch (err) {
+        // The save was taken out of storage; put it back so a failing resume does not lose the game.
+        await repos.games.save(session.userId, definition.name, saved.state)
+          .catch(saveErr => console.error(`Error restoring saved ${definition.name} for ${session.username}:`, saveErr));
+        throw err;
+      }
+    });
+  }
+  console.log(`${definition.name} started by ${session.username}.`);
+  return runHook(repos, session, definition, ctx => definition.start(ctx));
+}
+
+/**
+ * Leaves a session's current game without saving it.
+ * @async
+ * @param {object} repos - The repositories.
+ * @param {object} session - The user's session object.
+ * @returns {Promise<string>} The game's goodbye text.
+ */
+async function quitGame(repos, session) {
+  const definition = session.currentGame ? getGame(session.currentGame.name) : undefined;
+  if (!definition) {
+    session.currentGame = null;
+    return "You are not currently in a game.\n";
+  }
+  const output = definition.quit ? await runHook(repos, session, definition, ctx => definition.quit(ctx)) : `Exited ${definition.title}.\n`;
+  session.currentGame = null;
+  return output;
+}
+
+/**
+ * Handles a line typed by a session that is in a game.
+ * @async
+ * @param {object} repos - The repositories.
+ * @param {object} session - The user's session object, with `currentGame` set.
+ * @param {string} inputString - The line.
+ * @returns {Promise<string>} The game's reply.
+ */
+async function handleGameInput(repos, session, inputString) {
+  const definition = getGame(session.currentGame.name);
+  if (!definition) { // The game was removed while a session was in it.
+    session.currentGame = null;
+    return "That game is no longer available. You are back at the BBS.\n";
+  }
+  if (QUIT_WORDS.includes(inputString.trim().toUpperCase().replace(/\s+/g, ' '))) return quitGame(repos, session);
+  return runHook(repos, session, definition, ctx => definition.handleInput(ctx, inputString));
+}
+
+/**
+ * Takes a session out of its game when it disconnects or logs out. Logged-in players' resumable games are
+ * saved for GAME <name> START to bring back; other games are abandoned.
+ * @async
+ * @param {object} repos - The repositories.
+ * @param {object} session - The user's session object.
+ * @returns {Promise<boolean>} True if a game was saved.
+ */
+async function suspendGame(repos, session) {
+  if (!session.currentGame) return false;
+  const definition = getGame(session.currentGame.name);
+  if (!definition || !isResumable(definition) || !session.loggedIn || !session.userId) {
+    console.log(`${session.currentGame.name} abandoned by ${session.username}.`);
+    session.currentGame = null;
+    return false;
+  }
+  const ctx = createGameContext(session, definition);
+  session.currentGame = null;
+  try {
+    await repos.games.save(session.userId, definition.name, definition.save(ctx));
+    console.log(`${definition.name} saved for ${session.username}.`);
+    return true;
+  } catch (err) {
+    console.error(`Error saving game ${definition.name} for ${session.username}:`, err);
+    return false;
+  }
+}
+
+loadGames();
+
+module.exports = {
+  getGame,
+  listGames,
+  isResumable,
+  isMultiplayer,
+  createGameContext,
+  startGame,
+  quitGame,
+  handleGameInput,
+  suspendGame,
+};
@@ -1,102 +1,80 @@
 /**
- * @file Number Guessing Game module for the BBS.
- * Provides functions to start, handle guesses for, and quit the Number Guess game.
+ * @file Number Guess: guess a number between 1 and 100 in seven tries, told higher or lower each time.
+ * A game module for the registry in games/index.js.
  */
 
-/**
- * Starts a new Number Guess game for the given session.
- * Initializes game state including a random target number and attempt count.
- *
- * @param {object} session - The user's session object.
- *                           `session.currentGame` will be populated with game state.
- * @returns {string} A welcome message with game instructions.
- */
-function startGame(session) {
-    // Generate a random number between 1 and 100 (inclusive).
-    const targetNumber = Math.floor(Math.random() * 100) + 1;
-    const maxAttempts = 7; // Set the maximum number of attempts allowed.
+const MAX_NUMBER = 100;
+const MAX_ATTEMPTS = 7;
 
-    // Store game state in the user's session.
-    session.currentGame = {
-        name: 'numberGuess',        // Identifier for the game.
-        targetNumber: targetNumber, // The number the user needs to guess.
-        attempts: 0,                // How many attempts the user has made.
-        maxAttempts: maxAttempts    // Maximum allowed attempts.
-    };
-    // Log server-side for monitoring or debugging.
-    console.log(`NumberGuess started for session ${session.username || 'guest'}: target ${targetNumber}`);
-    return `Welcome to Number Guess! I'm thinking of a number between 1 and 100. You have ${maxAttempts} attempts. Type your guess (e.g., 42).\n`;
-}
+module.exports = {
+  name: 'NUMBERGUESS',
+  title: 'Number Guess',
+  description: `Guess a number between 1 and ${MAX_NUMBER} in ${MAX_ATTEMPTS} tries`,
+  scoring: { unit: 'attempt', lowerIsBetter: true }, // A win scores the attempts it took.
 
-/**
- * Handles a user's guess in an active Number Guess game.
- * Compares the guess against the target number and provides feedback.
- * Ends the game on a correct guess or if max attempts are reached.
- *
- * @param {object} session - The user's session object, containing `session.currentGame`.
- * @param {string} guessString - The user's guess, as a string.
- * @returns {string} Feedback message (e.g., too high, too low, correct, game over).
- */
-function handleGuess(session, guessString) {
-    const guess = parseInt(guessString); // Convert the string guess to an integer.
-    const game = session.currentGame;
+  /**
+   * Picks the number.
+   * @param {object} ctx - The game context.
+   * @returns {string} Instructions.
+   */
+  start(ctx) {
+    ctx.state.targetNumber = Math.floor(Math.random() * MAX_NUMBER) + 1;
+    ctx.state.attempts = 0;
+    return `Welcome to Number Guess! I'm thinking of a number between 1 and ${MAX_NUMBER}. You have ${MAX_ATTEMPTS} attempts. ` +
+           "Type your guess (e.g., 42), or QUIT to leave.\n";
+  },
 
-    // Validate if the input was a number.
-    if (isNaN(guess)) {
-        return "That's not a valid number. Try again.\n";
+  /**
+   * Checks a guess. The game ends on a correct guess, which scores the attempts used, or when the attempts run out.
+   * @param {object} ctx - The game context.
+   * @param {string} guessString - The guess as typed.
+   * @returns {string} Higher, lower, or the result.
+   */
+  handleInput(ctx, guessString) {
+    const guess = parseInt(guessString);
+    if (isNaN(guess)) return "That's not a valid number. Try again.\n";
+    const game = ctx.state;
+    game.attempts++;
+    const revealed = ctx.colorize('title_output', game.targetNumber);
+    if (guess === game.targetNumber) {
+      ctx.end();
+      console.log(`NumberGuess won by ${ctx.session.username}: target ${game.targetNumber}, attempts ${game.attempts}`);
+      ctx.submitScore(game.attempts);
+      return `Correct! You guessed the number ${revealed} in ${game.attempts} attempt(s).\n`;
     }
-
-    // Safety check: ensure there's an active Number Guess game.
-    // This should ideally not be hit if processInput routes correctly.
-    if (!game || game.name !== 'numberGuess') {
-        delete session.currentGame; // Clear potentially corrupted game state.
-        return "Error: No active Number Guess game found. Starting over.\n";
+    if (game.attempts >= MAX_ATTEMPTS) {
+      ctx.end();
+      console.log(`NumberGuess lost by ${ctx.session.username}: target ${game.targetNumber}`);
+      return `Sorry, you've run out of attempts! The number was ${revealed}.\n`;
     }
+    return `Too ${guess < game.targetNumber ? 'low' : 'high'}. Attempts left: ${MAX_ATTEMPTS - game.attempts}\n`;
+  },
 
-    game.attempts++; // Increment the attempts counter.
+  /**
+   * Gives up, revealing the number.
+   * @param {object} ctx - The game context.
+   * @returns {string} Goodbye text.
+   */
+  quit(ctx) {
+    return `Exited Number Guess. The number was ${ctx.colorize('title_output', ctx.state.targetNumber)}.\n`;
+  },
 
-    // Check game conditions:
-    if (guess === game.targetNumber) { // Correct guess
-        const attemptsTaken = game.attempts;
-        const revealedNumber = game.targetNumber;
-        delete session.currentGame; // End the game by clearing its state from the session.
-        console.log(`NumberGuess won: target ${revealedNumber}, attempts ${attemptsTaken}`);
-        return `Correct! You guessed the number ${revealedNumber} in ${attemptsTaken} attempt(s).\n`;
-    } else if (game.attempts >= game.maxAttempts) { // Out of attempts
-        const revealedNumber = game.targetNumber;
-        delete session.currentGame; // End the game.
-        console.log(`NumberGuess lost: target ${revealedNumber}, attempts ${game.attempts}`);
-        return `Sorry, you've run out of attempts! The number was ${revealedNumber}.\n`;
-    } else if (guess < game.targetNumber) { // Guess too low
-        return `Too low. Attempts left: ${game.maxAttempts - game.attempts}\n`;
-    } else if (guess > game.targetNumber) { // Guess too high
-        return `Too high. Attempts left: ${game.maxAttempts - game.attempts}\n`;
-    }
+  /**
+   * @param {object} ctx - The game context.
+   * @returns {object} The number and the attempts used.
+   */
+  save(ctx) {
+    return { targetNumber: ctx.state.targetNumber, attempts: ctx.state.attempts };
+  },
 
-    // Fallback error message, should not normally be reached.
-    return "Error in guess logic. Please try again or type 'quit'.\n";
-}
-
-/**
- * Quits the current Number Guess game for the session.
- * Clears the game state from the session.
- *
- * @param {object} session - The user's session object.
- * @returns {string} A confirmation message that the game has been exited.
- */
-function quitGame(session) {
-    // Check if there's an active Number Guess game to quit.
-    if (session.currentGame && session.currentGame.name === 'numberGuess') {
-        console.log(`NumberGuess quit by user: target was ${session.currentGame.targetNumber}`);
-        delete session.currentGame; // Remove game state from session.
-        return "Exited Number Guess game.\n";
-    }
-    // If called when not in this specific game (e.g., via GAME QUIT command).
-    return "You are not currently in the Number Guess game.\n";
-}
-
-module.exports = {
-    startGame,
-    handleGuess,
-    quitGame
+  /**
+   * @param {object} ctx - The game context.
+   * @param {object} snapshot - What save returned.
+   * @returns {string} Where the player left off.
+   */
+  resume(ctx, snapshot) {
+    Object.assign(ctx.state, snapshot);
+    return `Welcome back to Number Guess! The number is still between 1 and ${MAX_NUMBER}. ` +
+           `Attempts left: ${MAX_ATTEMPTS - ctx.state.attempts}. Type your guess, or QUIT to leave.\n`;
+  },
 };
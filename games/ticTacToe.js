@@ -0,0 +1,74 @@
+/**
+ * @file Tic-Tac-Toe: two players take turns marking a 3x3 grid; three in a row wins.
+ * A two-player game module for the registry in games/index.js, played through GAME CHALLENGE (see matches.js).
+ */
+const { COLOR_MAP } = require('../ansi');
+
+const PIECES = ['X', 'O'];
+const PIECE_COLORS = [COLOR_MAP.bright_red, COLOR_MAP.bright_cyan]; // Telnet colors, by seat.
+const LINES = [
+  [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows.
+  [0, 3, 6], [1, 4, 7], [2, 5, 8], // Columns.
+  [0, 4, 8], [2, 4, 6], // Diagonals.
+];
+
+/**
+ * Draws the grid, with free squares showing their numbers.
+ * @param {Array<number|null>} squares - The seat holding each square, or null.
+ * @param {function(number): string} drawPiece - Draws a seat's mark.
+ * @param {function(number): string} drawFree - Draws a free square's number.
+ * @returns {string} The grid.
+ */
+function drawGrid(squares, drawPiece, drawFree) {
+  const cells = squares.map((seat, index) => (seat === null ? drawFree(index + 1) : drawPiece(seat)));
+  return [0, 3, 6].map(start => ` ${cells.slice(start, start + 3).join(' | ')}`).join('\n---+---+---\n') + '\n';
+}
+
+module.exports = {
+  name: 'TICTACTOE',
+  title: 'Tic-Tac-Toe',
+  description: 'Three in a row on a 3x3 grid, against another user',
+  players: 2,
+  pieces: PIECES,
+  moveHelp: "Type the number of a free square (1-9).",
+
+  /**
+   * Clears the grid.
+   * @param {object} ctx - The game context.
+   */
+  start(ctx) {
+    ctx.state.squares = Array(9).fill(null);
+  },
+
+  /**
+   * Marks a square for the player in `ctx.seat`.
+   * @param {object} ctx - The game context.
+   * @param {string} input - The square number as typed.
+   * @returns {string | undefined} Why the move is not allowed, if it is not.
+   */
+  move(ctx, input) {
+    if (!/^[1-9]$/.test(input)) return "Type the number of a free square (1-9).";
+    const index = Number(input) - 1;
+    if (ctx.state.squares[index] !== null) return `Square ${input} is taken.`;
+    ctx.state.squares[index] = ctx.seat;
+    return undefined;
+  },
+
+  /**
+   * @param {object} ctx - The game context.
+   * @returns {{winner: number}|{draw: true}|null} The result, or null while the game goes on.
+   */
+  outcome(ctx) {
+    const { squares } = ctx.state;
+    const line = LINES.find(([a, b, c]) => squares[a] !== null && squares[a] === squares[b] && squares[a] === squares[c]);
+    if (line) return { winner: squares[line[0]] };
+    return squares.includes(null) ? null : { draw: true };
+  },
+
+  render: {
+    plain: (state) => drawGrid(state.squares, seat => PIECES[seat], String),
+    ansi: (state) => drawGrid(state.squares,
+        seat => `${PIECE_COLORS[seat]}${PIECES[seat]}${COLOR_MAP.reset}`,
+        number => `${COLOR_MAP.bright_black}${number}${COLOR_MAP.reset}`),
+  },
+};
@@ -0,0 +1,93 @@
+/**
+ * @file Line discipline for Telnet input.
+ * Clients in character mode send one keystroke at a time and pastes arrive as several lines at once;
+ * the editor buffers keystrokes into lines, applies BS/DEL and Ctrl-U, and echoes the edits when the
+ * server is doing the echoing. In masked mode (password prompts) nothing but the line end is echoed.
+ */
+
+const MAX_LINE_LENGTH = 1024; // Longer input is cut off; the terminal bell signals dropped characters.
+
+const BS = '\x08';
+const DEL = '\x7f';
+const CTRL_U = '\x15';
+const ESC = '\x1b';
+const BELL = '\x07';
+
+/**
+ * Creates a line editor for one connection.
+ * @param {object} options - Editor options.
+ * @param {function(string): void} options.echo - Writes echo text to the client; only called while `shouldEcho()` is true.
+ * @param {function(): boolean} options.shouldEcho - Whether the server is echoing (the client agreed to WILL ECHO).
+ * @param {number} [options.maxLength=MAX_LINE_LENGTH] - Longest accepted line.
+ * @returns {{feed: function(string): string[], clear: function(): void, setMasked: function(boolean): void, redraw: function(): void}}
+ *   feed() takes decoded text and returns completed lines.
+ */
+function createLineEditor({ echo, shouldEcho, maxLength = MAX_LINE_LENGTH }) {
+  let line = '';
+  let lastWasCr = false;
+  let escapeState = null; // null | 'esc' | 'csi': skipping an ANSI escape sequence (arrow keys etc.).
+  let masked = false;
+
+  const write = (text) => { if (text && shouldEcho()) echo(text); };
+
+  return {
+    feed(text) {
+      const lines = [];
+      let echoText = '';
+      for (const char of text) {
+        const wasCr = lastWasCr;
+        lastWasCr = char === '\r';
+        if (escapeState === 'esc') { escapeState = char === '[' ? 'csi' : null; continue; }
+        if (escapeState === 'csi') { if (char >= '@' && char <= '~') escapeState = null; continue; }
+        if (char === '\r' || char === '\n') {
+          if (char === '\n' && wasCr) continue; // Second half of CR LF.
+          lines.push(line);
+          line = '';
+          echoText += '\r\n';
+        } else if (char === BS || char === DEL) {
+          if (line.length > 0) {
+            line = line.slice(0, -1);
+            if (!masked) echoText += '\b \b';
+          }
+        } else if (char === CTRL_U) {
+          if (!masked) echoText += '\b \b'.repeat(line.length);
+          line = '';
+        } else if (char === ESC) {
+          escapeState = 'esc';
+        } else if (char === '\t') {
+          if (line.length < maxLength) { line += ' '; if (!masked) echoText += ' '; }
+        } else if (char < ' ') {
+          // Other control characters are ignored.
+        } else if (line.length >= maxLength) {
+          echoText += BELL;
+        } else {
+          line += char;
+          if (!masked) echoText += char;
+        }
+      }
+      write(echoText);
+      return lines;
+    },
+    /**
+     * Turns masked mode on or off.
+     * @param {boolean} value - True to stop echoing typed characters.
+     */
+    setMasked(value) {
+      masked = value;
+    },
+    /** Echoes the partial line again, e.g. after a notice was written over it. Masked input stays hidden. */
+    redraw() {
+      if (!masked) write(line);
+    },
+    /** Discards the partial line, e.g. after a file transfer took over the connection. */
+    clear() {
+      line = '';
+      escapeState = null;
+    },
+  };
+}
+
+module.exports = {
+  MAX_LINE_LENGTH,
+  createLineEditor,
+};
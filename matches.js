@@ -0,0 +1,375 @@
+/**
+ * @file Two-player door games between online users: challenges and the matches they start.
+ * GAME CHALLENGE <username> <game_name> offers a game to another user, who answers with GAME ACCEPT or
+ * GAME DECLINE. A session in a match has `session.currentMatch` set to the match's ID, and processInput
+ * hands it every line (as it does for `session.currentGame`): moves, BOARD, HELP and RESIGN. The other
+ * player sees each move, and whose turn it is, through the push channels in notifications.js, so either
+ * player can be on Telnet or the web. A player who does not move in time, or whose session ends, loses.
+ * Challenges and matches live in memory and do not survive a restart.
+ */
+const { colorize } = require('./ansi');
+const { getSession, getAllSessions } = require('./sessionManager');
+const { notifySession } = require('./notifications');
+const { createGameContext } = require('./games');
+
+const TURN_TIMEOUT_MS = (parseFloat(process.env.BBS_GAME_TURN_MINUTES) || 5) * 60 * 1000;
+const CHALLENGE_TIMEOUT_MS = (parseFloat(process.env.BBS_GAME_CHALLENGE_MINUTES) || 2) * 60 * 1000;
+const RESIGN_WORDS = ['RESIGN', 'QUIT', 'EXIT', 'GAME QUIT'];
+
+const challenges = new Map(); // Challenger's session ID -> { sessionId, userId, username, targetUserId, targetName, definition, timer }.
+const matches = new Map(); // Match ID -> { id, definition, players: [{sessionId, userId, username}], state, turn, timers }.
+let nextMatchId = 1;
+
+/**
+ * Formats a game notice for a recipient's session.
+ * @param {object} session - The recipient's session object.
+ * @param {string} text - The notice.
+ * @returns {string} The notice with its header.
+ */
+function gameNotice(session, text) {
+  return `${colorize(session, 'broadcast_output', '[GAME]')} ${text}`;
+}
+
+/**
+ * Describes the remaining time before a deadline.
+ * @param {number} ms - Milliseconds.
+ * @returns {string} e.g. "5 minute(s)" or "30 second(s)".
+ */
+function formatDuration(ms) {
+  return ms >= 60 * 1000 ? `${Math.round(ms / 60000)} minute(s)` : `${Math.ceil(ms / 1000)} second(s)`;
+}
+
+/**
+ * Finds the session a user is logged in on, by username.
+ * @param {string} username - The username (any case).
+ * @returns {object | undefined} A logged-in session of that user.
+ */
+function findOnlineUser(username) {
+  return Object.values(getAllSessions()).find(s => s.loggedIn && s.username.toLowerCase() === username.toLowerCase());
+}
+
+/**
+ * Checks whether a session is doing something that takes all its input.
+ * @param {object} session - The session object.
+ * @returns {boolean} True if it is in a game, a match, a chat room or a prompt.
+ */
+function isBusy(session) {
+  return !!(session.currentGame || session.currentMatch || session.chatRoom || session.inputPrompt);
+}
+
+/**
+ * Withdraws the challenge a session made, if any.
+ * @param {string} sessionId - The challenger's session ID.
+ * @returns {object | undefined} The challenge withdrawn.
+ */
+function withdrawChallenge(sessionId) {
+  const challenge = challenges.get(sessionId);
+  if (!challenge) return undefined;
+  clearTimeout(challenge.timer);
+  challenges.delete(sessionId);
+  return challenge;
+}
+
+/**
+ * Lists the challenges waiting for a user.
+ * @param {number} userId - The challenged user's ID.
+ * @returns {object[]} The challenges, oldest first.
+ */
+function listChallengesFor(userId) {
+  return [...challenges.values()].filter(challenge => challenge.targetUserId === userId);
+}
+
+/**
+ * Finds the challenge a user is answering.
+ * @param {number} userId - The challenged user's ID.
+ * @param {string} [fromName] - The challenger's username; may be left out when there is only one challenge.
+ * @returns {{challenge?: object, error?: string}} The challenge, or why there is none to answer.
+ */
+function findChallengeFor(userId, fromName) {
+  const waiting = listChallengesFor(userId);
+  if (fromName) {
+    const challenge = waiting.find(c => c.username.toLowerCase() === fromName.toLowerCase());
+    return challenge ? { challenge } : { error: `${fromName} has not challenged you to a game.\n` };
+  }
+  if (waiting.length === 0) return { error: "Nobody has challenged you to a game.\n" };
+  if (waiting.length > 1) {
+    return { error: `You have challenges from ${waiting.map(c => c.username).join(', ')}. Name the one you mean.\n` };
+  }
+  return { challenge: waiting[0] };
+}
+
+/**
+ * Offers a two-player game to another online user. A new challenge replaces the session's earlier one.
+ * @param {string} sessionId - The challenger's session ID.
+ * @param {object} session - The challenger's (logged-in) session object.
+ * @param {string} targetName - The username challenged.
+ * @param {object} definition - The game definition (a two-player game).
+ * @returns {string} The response for the challenger.
+ */
+function challenge(sessionId, session, targetName, definition) {
+  const target = findOnlineUser(targetName);
+  if (!target) return `User ${targetName} is not online.\n`;
+  if (target.userId === session.userId) return "You cannot challenge yourself.\n";
+  withdrawChallenge(sessionId);
+  const entry = {
+    sessionId, userId: session.userId, username: session.username,
+    targetUserId: target.userId, targetName: target.username, definition,
+  };
+  entry.timer = setTimeout(() => {
+    if (challenges.get(sessionId) !== entry) return;
+    challenges.delete(sessionId);
+    notifySession(sessionId, s => gameNotice(s, `Your ${definition.title} challenge to ${target.username} was not answered in time.\n`));
+  }, CHALLENGE_TIMEOUT_MS);
+  entry.timer.unref();
+  challenges.set(sessionId, entry);
+  const sessions = getAllSessions();
+  Object.keys(sessions).filter(id => sessions[id].loggedIn && sessions[id].userId === target.userId).forEach(id =>
+    notifySession(id, s => gameNotice(s, `${colorize(s, 'username_output', session.username)} challenges you to ` +
+        `${definition.title}! Type GAME ACCEPT ${session.username} or GAME DECLINE ${session.username} ` +
+        `within ${formatDuration(CHALLENGE_TIMEOUT_MS)}.\n`)));
+  console.log(`${definition.name}: ${session.username} challenged ${target.username}.`);
+  return `You have challenged ${target.username} to ${definition.title}. You will be told when they answer.\n`;
+}
+
+/**
+ * Turns down a challenge.
+ * @param {object} session - The challenged user's session object.
+ * @param {string} [fromName] - The challenger's username (optional when there is only one challenge).
+ * @returns {string} The response for the user.
+ */
+function decline(session, fromName) {
+  const { challenge: found, error } = findChallengeFor(session.userId, fromName);
+  if (error) return error;
+  withdrawChallenge(found.sessionId);
+  notifySession(found.sessionId, s => gameNotice(s,
+      `${colorize(s, 'username_output', session.username)} declined your ${found.definition.title} challenge.\n`));
+  return `You declined ${found.username}'s challenge.\n`;
+}
+
+/**
+ * Builds the context a two-player game's hooks receive for one seat.
+ * @param {object} match - The match.
+ * @param {number} seat - 0 or 1.
+ * @param {object} session - That player's session object.
+ * @returns {object} The game context.
+ */
+function seatContext(match, seat, session) {
+  return Object.assign(createGameContext(session, match.definition, match.state), { seat });
+}
+
+/**
+ * Draws the board for one player.
+ * @param {object} match - The match.
+ * @param {number} seat - The viewer's seat.
+ * @param {object} session - The viewer's session object (its frontend picks the renderer).
+ * @returns {string} The board, ending in a newline.
+ */
+function drawBoard(match, seat, session) {
+  return seatContext(match, seat, session).render(match.state).replace(/\n?$/, '\n');
+}
+
+/**
+ * Tells one player whose move it is.
+ * @param {object} match - The match.
+ * @param {number} seat - The viewer's seat.
+ * @param {object} session - The viewer's session object.
+ * @returns {string} The turn line.
+ */
+function formatTurn(match, seat, session) {
+  const { definition } = match;
+  if (match.turn === seat) return `Your move (${definition.pieces[seat]}). ${definition.moveHelp}\n`;
+  return `Waiting for ${colorize(session, 'username_output', match.players[match.turn].username)} ` +
+         `(${definition.pieces[match.turn]}) to move.\n`;
+}
+
+/**
+ * Describes how a match ended, for one player.
+ * @param {object} match - The match.
+ * @param {{winner?: number, draw?: boolean}} result - The outcome.
+ * @param {number} seat - The player's seat.
+ * @returns {string} e.g. "You win Tic-Tac-Toe!".
+ */
+function describeResult(match, result, seat) {
+  const { title } = match.definition;
+  if (result.draw) return `${title} is a draw.`;
+  return result.winner === seat ? `You win ${title}!` : `${match.players[result.winner].username} wins ${title}.`;
+}
+
+/**
+ * Ends a match: stops its timers and takes both sessions out of it.
+ * @param {object} match - The match.
+ * @param {string} how - For the log, e.g. "won by alice".
+ */
+function endMatch(match, how) {
+  match.timers.forEach(clearTimeout);
+  matches.delete(match.id);
+  for (const player of match.players) {
+    const session = getSession(player.sessionId);
+    if (session && session.currentMatch === match.id) delete session.currentMatch;
+  }
+  console.log(`${match.definition.name} match ${match.id} (${match.players.map(p => p.username).join(' vs ')}) ${how}.`);
+}
+
+/**
+ * Ends a match because one player left it, ran out of time or resigned; the other wins.
+ * @param {object} match - The match.
+ * @param {number} loserSeat - The seat that forfeits.
+ * @param {string} reason - What the loser did, e.g. "resigned".
+ */
+function forfeit(match, loserSeat, reason) {
+  const winnerSeat = 1 - loserSeat;
+  const loser = match.players[loserSeat];
+  endMatch(match, `forfeited by ${loser.username} (${reason})`);
+  notifySession(match.players[winnerSeat].sessionId, s => gameNotice(s,
+      `${colorize(s, 'username_output', loser.username)} ${reason}. ${describeResult(match, { winner: winnerSeat }, winnerSeat)}\n`));
+}
+
+/**
+ * Starts the clock for the player whose turn it is: a reminder at half time, and a forfeit when it runs out.
+ * @param {object} match - The match.
+ */
+function startTurnClock(match) {
+  match.timers.forEach(clearTimeout);
+  const seat = match.turn;
+  const reminder = setTimeout(() => notifySession(match.players[seat].sessionId, s => gameNotice(s,
+      `It is your move in ${match.definition.title}. You have ${formatDuration(TURN_TIMEOUT_MS - TURN_TIMEOUT_MS / 2)} left.\n`)),
+      TURN_TIMEOUT_MS / 2);
+  const deadline = setTimeout(() => {
+    if (matches.get(match.id) !== match || match.turn !== seat) return;
+    forfeit(match, seat, 'ran out of time');
+    notifySession(match.players[seat].sessionId, s => gameNotice(s,
+        `You ran out of time. ${describeResult(match, { winner: 1 - seat }, seat)}\n`));
+  }, TURN_TIMEOUT_MS);
+  match.timers = [reminder, deadline];
+  match.timers.forEach(timer => timer.unref());
+}
+
+/**
+ * Accepts a challenge and starts the match. The challenger moves first.
+ * @param {string} sessionId - The accepting session's ID.
+ * @param {object} session - The accepting (logged-in) session object.
+ * @param {string} [fromName] - The challenger's username (optional when there is only one challenge).
+ * @returns {string} The response for the accepting user: the board.
+ */
+function accept(sessionId, session, fromName) {
+  const { challenge: found, error } = findChallengeFor(session.userId, fromName);
+  if (error) return error;
+  const { definition } = found;
+  const challengerSession = getSession(found.sessionId);
+  if (!challengerSession || !challengerSession.loggedIn || challengerSession.userId !== found.userId) {
+    withdrawChallenge(found.sessionId);
+    return `${found.username} is no longer online.\n`;
+  }
+  if (isBusy(challengerSession)) return `${found.username} is busy right now. Try GAME ACCEPT again in a moment.\n`;
+  withdrawChallenge(found.sessionId);
+  withdrawChallenge(sessionId); // Playing one game at a time.
+  const match = {
+    id: nextMatchId++,
+    definition,
+    players: [
+      { sessionId: found.sessionId, userId: found.userId, username: found.username },
+      { sessionId, userId: session.userId, username: session.username },
+    ],
+    state: {},
+    turn: 0,
+    timers: [],
+  };
+  try {
+    definition.start(seatContext(match, 0, challengerSession));
+  } catch (err) {
+    console.error(`Error in game ${definition.name}:`, err);
+    return `${definition.title} could not be started because of an error. Sorry!\n`;
+  }
+  matches.set(match.id, match);
+  challengerSession.currentMatch = match.id;
+  session.currentMatch = match.id;
+  startTurnClock(match);
+  console.log(`${definition.name} match ${match.id} started: ${found.username} vs ${session.username}.`);
+  const intro = (viewer, seat) => `${definition.title}: you are ${definition.pieces[seat]} against ` +
+      `${colorize(viewer, 'username_output', match.players[1 - seat].username)} (${definition.pieces[1 - seat]}). ` +
+      `Type HELP for match commands.\n${drawBoard(match, seat, viewer)}${formatTurn(match, seat, viewer)}`;
+  notifySession(found.sessionId, s => gameNotice(s, `${colorize(s, 'username_output', session.username)} accepted your challenge!\n`) + intro(s, 0));
+  return intro(session, 1);
+}
+
+/**
+ * Handles a line typed by a session that is in a match.
+ * @param {string} sessionId - The session ID.
+ * @param {object} session - The session object, with `currentMatch` set.
+ * @param {string} inputString - The line.
+ * @returns {string} The response for the player.
+ */
+function handleMatchInput(sessionId, session, inputString) {
+  const match = matches.get(session.currentMatch);
+  const seat = match ? match.players.findIndex(p => p.sessionId === sessionId) : -1;
+  if (seat === -1) { // The match ended without us hearing of it (should not happen); drop back to the BBS.
+    delete session.currentMatch;
+    return "Your match is over. You are back at the BBS.\n";
+  }
+  const { definition } = match;
+  const opponent = match.players[1 - seat];
+  const text = inputString.trim();
+  const word = text.toUpperCase().replace(/\s+/g, ' ');
+  if (!text) return '';
+  if (RESIGN_WORDS.includes(word)) {
+    forfeit(match, seat, 'resigned');
+    return `You resigned. ${describeResult(match, { winner: 1 - seat }, seat)}\n`;
+  }
+  if (word === 'BOARD') return drawBoard(match, seat, session) + formatTurn(match, seat, session);
+  if (word === 'HELP' || word === '?') {
+    return [`${definition.title} against ${opponent.username}. ${definition.moveHelp}`,
+            "  BOARD   Show the board",
+            "  RESIGN  Give up the match (QUIT and EXIT do the same)",
+            `Each move must be made within ${formatDuration(TURN_TIMEOUT_MS)}.`].join('\n') + '\n';
+  }
+  if (match.turn !== seat) return `It is ${opponent.username}'s move. Type BOARD to see the board, or RESIGN to give up.\n`;
+
+  let refusal, result;
+  try {
+    refusal = definition.move(seatContext(match, seat, session), text);
+    result = refusal ? null : definition.outcome(seatContext(match, seat, session));
+  } catch (err) {
+    console.error(`Error in game ${definition.name}:`, err);
+    endMatch(match, 'stopped by an error');
+    const stopped = `${definition.title} has stopped because of an error. Sorry!\n`;
+    notifySession(opponent.sessionId, s => gameNotice(s, stopped));
+    return stopped;
+  }
+  if (refusal) return refusal.endsWith('\n') ? refusal : `${refusal}\n`;
+
+  if (result) endMatch(match, result.draw ? 'drawn' : `won by ${match.players[result.winner].username}`);
+  else {
+    match.turn = 1 - seat;
+    startTurnClock(match);
+  }
+  const moved = (viewer, viewerSeat) => drawBoard(match, viewerSeat, viewer) +
+      (result ? `${describeResult(match, result, viewerSeat)}\n` : formatTurn(match, viewerSeat, viewer));
+  notifySession(opponent.sessionId, s =>
+      gameNotice(s, `${colorize(s, 'username_output', session.username)} played ${text}.\n`) + moved(s, 1 - seat));
+  return moved(session, seat);
+}
+
+/**
+ * Takes a session out of its match, which the opponent wins, and withdraws its challenge. Called when the
+ * session ends or is disconnected.
+ * @param {string} sessionId - The session ID.
+ * @param {object} session - The session object.
+ * @param {string} [reason='has left'] - How the opponent is told, e.g. 'has disconnected'.
+ */
+function leaveMatch(sessionId, session, reason = 'has left') {
+  withdrawChallenge(sessionId);
+  const match = session.currentMatch && matches.get(session.currentMatch);
+  delete session.currentMatch;
+  if (!match) return;
+  const seat = match.players.findIndex(p => p.sessionId === sessionId);
+  if (seat !== -1) forfeit(match, seat, reason);
+}
+
+module.exports = {
+  challenge,
+  accept,
+  decline,
+  listChallengesFor,
+  handleMatchInput,
+  leaveMatch,
+};
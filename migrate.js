@@ -0,0 +1,83 @@
+/**
+ * @file Command-line tool for the schema migrations in migrations/.
+ *
+ *   node migrate.js [status]   Lists every migration and whether the database has it. Exits with
+ *                              status 1 if any are pending, so deployment scripts can check.
+ *   node migrate.js up         Applies the pending migrations in one transaction (the server also
+ *                              does this when it starts).
+ *
+ * The database is the one the server would use (BBS_DB_PATH, default ./bbs.sqlite). Back it up before
+ * upgrading a deployed database.
+ */
+const fs = require('fs');
+const sqlite3 = require('sqlite3');
+const { DB_PATH, IN_MEMORY } = require('./database');
+const { getMigrationStatus, migrate } = require('./migrations');
+
+/**
+ * Opens the database. `status` never creates or changes it.
+ * @param {boolean} readOnly - Open read-only.
+ * @returns {Promise<sqlite3.Database>} The connection.
+ */
+function openDatabase(readOnly) {
+  const mode = readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, mode, (err) => (err ? reject(err) : resolve(db)));
+  });
+}
+
+/**
+ * Prints the migration status.
+ * @param {sqlite3.Database} db - The database connection.
+ * @returns {Promise<number>} The number of pending migrations.
+ */
+async function printStatus(db) {
+  const { migrations, unknownVersions, versioned } = await getMigrationStatus(db);
+  console.log(`Database: ${DB_PATH}`);
+  if (!versioned) console.log("No schema_version table: the database is new or predates versioned migrations, so every migration is pending.");
+  migrations.forEach(m => {
+    const state = m.appliedAt ? `applied ${m.appliedAt}` : 'PENDING';
+    console.log(`  ${String(m.version).padStart(3, '0')} ${m.name.replace(/^\d+_/, '').padEnd(20)} ${state.padEnd(32)} ${m.description}`);
+  });
+  if (unknownVersions.length > 0) {
+    console.log(`Unknown version(s) ${unknownVersions.join(', ')} are applied: the database was upgraded by a newer version of the BBS.`);
+  }
+  const pending = migrations.filter(m => !m.appliedAt).length;
+  console.log(pending > 0 ? `${pending} migration(s) pending. Run: node migrate.js up` : "The schema is up to date.");
+  return pending;
+}
+
+/**
+ * Runs the tool.
+ * @param {string} [action='status'] - 'status' or 'up'.
+ */
+async function main(action = 'status') {
+  if (action !== 'status' && action !== 'up') {
+    console.error("Usage: node migrate.js [status|up]");
+    process.exit(2);
+  }
+  if (IN_MEMORY) {
+    console.error("BBS_DB_PATH is :memory:. An in-memory database exists only inside the running server, which migrates it when it starts.");
+    process.exit(2);
+  }
+  if (action === 'status' && !fs.existsSync(DB_PATH)) {
+    console.log(`No database at ${DB_PATH}. It is created, with every migration, when the server first starts (or with: node migrate.js up).`);
+    process.exit(1);
+  }
+  const db = await openDatabase(action === 'status');
+  try {
+    if (action === 'up') {
+      const applied = await migrate(db);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s): ${applied.join(', ')}.` : "Nothing to apply.");
+    }
+    const pending = await printStatus(db);
+    process.exitCode = pending > 0 ? 1 : 0;
+  } finally {
+    db.close();
+  }
+}
+
+main(process.argv[2]).catch((err) => {
+  console.error("Migration error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+/**
+ * @file Migration 1: the original tables, with the default 'General' board and 'General Files' area.
+ */
+
+module.exports = {
+  description: 'Users, messages, boards, private mail, file areas and listings, user preferences',
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          registration_date TEXT NOT NULL,
+          role TEXT DEFAULT 'user' NOT NULL
+      );
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          board_id INTEGER,
+          user_id INTEGER NOT NULL,
+          body TEXT NOT NULL,
+          timestamp TEXT NOT NULL,
+          FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS boards (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT
+      );
+    `);
+    await run(`
+      INSERT INTO boards (name, description)
+      SELECT 'General', 'General discussion and announcements'
+      WHERE NOT EXISTS (SELECT 1 FROM boards WHERE name = 'General');
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS private_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sender_id INTEGER NOT NULL,
+          recipient_id INTEGER NOT NULL,
+          subject TEXT NOT NULL,
+          body TEXT NOT NULL,
+          timestamp TEXT NOT NULL,
+          is_read INTEGER DEFAULT 0,
+          FOREIGN KEY (sender_id) REFERENCES users (id),
+          FOREIGN KEY (recipient_id) REFERENCES users (id)
+      );
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS file_areas (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT
+      );
+    `);
+    await run(`
+      INSERT INTO file_areas (name, description)
+      SELECT 'General Files', 'Miscellaneous files and utilities'
+      WHERE NOT EXISTS (SELECT 1 FROM file_areas WHERE name = 'General Files');
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS file_listings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          area_id INTEGER NOT NULL,
+          filename TEXT NOT NULL,
+          description TEXT,
+          uploader_user_id INTEGER NOT NULL,
+          upload_date TEXT NOT NULL,
+          download_count INTEGER DEFAULT 0,
+          FOREIGN KEY (area_id) REFERENCES file_areas (id),
+          FOREIGN KEY (uploader_user_id) REFERENCES users (id),
+          UNIQUE (area_id, filename)
+      );
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_preferences (
+          user_id INTEGER PRIMARY KEY NOT NULL,
+          color_prompt TEXT,
+          color_username_output TEXT,
+          color_timestamp_output TEXT,
+          FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+    `);
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * @file Migration 2: more colorable elements and a theme per user (SETCOLOR/SETTHEME).
+ */
+
+module.exports = {
+  description: 'Color theme preferences',
+
+  async up({ addMissingColumns }) {
+    await addMissingColumns('user_preferences', {
+      color_title_output: 'TEXT',
+      color_id_output: 'TEXT',
+      color_unread_marker: 'TEXT',
+      color_broadcast_output: 'TEXT',
+      theme: 'TEXT',
+    });
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * @file Migration 3: threaded discussions. Every message belongs to a thread rooted at a top-level post.
+ */
+
+module.exports = {
+  description: 'Message subjects, replies and threads',
+
+  async up({ run, addMissingColumns }) {
+    await addMissingColumns('messages', {
+      subject: 'TEXT',
+      parent_id: 'INTEGER REFERENCES messages (id)',
+      thread_id: 'INTEGER',
+    });
+    await run("UPDATE messages SET thread_id = id WHERE thread_id IS NULL");
+    await run("CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages (thread_id)");
+  },
+};
@@ -0,0 +1,21 @@
+/**
+ * @file Migration 4: per-user, per-board high-water mark of the newest message the user has read (lastRead.js).
+ */
+
+module.exports = {
+  description: 'Last-read pointers for NEWSCAN',
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS board_last_read (
+          user_id INTEGER NOT NULL,
+          board_id INTEGER NOT NULL,
+          last_read_message_id INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (user_id, board_id),
+          FOREIGN KEY (user_id) REFERENCES users (id),
+          FOREIGN KEY (board_id) REFERENCES boards (id)
+      );
+    `);
+    await run("CREATE INDEX IF NOT EXISTS idx_messages_board ON messages (board_id, id)");
+  },
+};
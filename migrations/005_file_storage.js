@@ -0,0 +1,16 @@
+/**
+ * @file Migration 5: stored file contents (fileStore.js). A NULL size or hash means a listing without stored bytes.
+ */
+
+module.exports = {
+  description: 'File area quotas and stored file metadata',
+
+  async up({ addMissingColumns }) {
+    await addMissingColumns('file_areas', { max_bytes: 'INTEGER' });
+    await addMissingColumns('file_listings', {
+      size_bytes: 'INTEGER',
+      sha256: 'TEXT',
+      mime_type: 'TEXT',
+    });
+  },
+};
@@ -0,0 +1,13 @@
+/**
+ * @file Migration 6: full-text search indexes (SEARCH).
+ */
+
+module.exports = {
+  description: 'Full-text indexes over messages, mail and file listings',
+
+  async up({ createFtsIndex }) {
+    await createFtsIndex('messages', 'messages_fts', ['body']);
+    await createFtsIndex('private_messages', 'private_messages_fts', ['subject', 'body']);
+    await createFtsIndex('file_listings', 'file_listings_fts', ['filename', 'description']);
+  },
+};
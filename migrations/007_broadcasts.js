@@ -0,0 +1,34 @@
+/**
+ * @file Migration 7: stored SysOp broadcasts (broadcasts.js) and which users have been shown each one.
+ */
+
+module.exports = {
+  description: 'Stored broadcasts and their deliveries',
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS broadcasts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sender_id INTEGER,
+          body TEXT NOT NULL,
+          priority TEXT NOT NULL DEFAULT 'normal',
+          target_role TEXT,
+          target_board_id INTEGER,
+          created_at TEXT NOT NULL,
+          expires_at TEXT,
+          FOREIGN KEY (sender_id) REFERENCES users (id),
+          FOREIGN KEY (target_board_id) REFERENCES boards (id)
+      );
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS broadcast_deliveries (
+          broadcast_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          delivered_at TEXT NOT NULL,
+          PRIMARY KEY (broadcast_id, user_id),
+          FOREIGN KEY (broadcast_id) REFERENCES broadcasts (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+    `);
+  },
+};
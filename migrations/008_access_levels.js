@@ -0,0 +1,29 @@
+/**
+ * @file Migration 8: access levels (access.js: 0 guest, 1 user, 2 trusted, 3 moderator, 4 sysop) and
+ * which moderators look after which boards.
+ */
+
+module.exports = {
+  description: 'Board and file area access levels, board moderators',
+
+  async up({ run, addMissingColumns }) {
+    await addMissingColumns('boards', {
+      read_level: 'INTEGER NOT NULL DEFAULT 0',
+      post_level: 'INTEGER NOT NULL DEFAULT 1',
+    });
+    await addMissingColumns('file_areas', {
+      view_level: 'INTEGER NOT NULL DEFAULT 0',
+      download_level: 'INTEGER NOT NULL DEFAULT 1',
+      upload_level: 'INTEGER NOT NULL DEFAULT 1',
+    });
+    await run(`
+      CREATE TABLE IF NOT EXISTS board_moderators (
+          board_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          PRIMARY KEY (board_id, user_id),
+          FOREIGN KEY (board_id) REFERENCES boards (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+    `);
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * @file Migration 9: user administration (USERINFO, RESETPASS) and bans by account or address (bans.js).
+ */
+
+module.exports = {
+  description: 'Last login, forced password resets and bans',
+
+  async up({ run, addMissingColumns }) {
+    await addMissingColumns('users', {
+      last_login_at: 'TEXT',
+      last_login_address: 'TEXT',
+      password_reset_required: 'INTEGER NOT NULL DEFAULT 0',
+    });
+    await run(`
+      CREATE TABLE IF NOT EXISTS bans (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER,
+          address TEXT,
+          reason TEXT,
+          banned_by INTEGER,
+          created_at TEXT NOT NULL,
+          expires_at TEXT,
+          FOREIGN KEY (user_id) REFERENCES users (id),
+          FOREIGN KEY (banned_by) REFERENCES users (id)
+      );
+    `);
+    await run("CREATE INDEX IF NOT EXISTS idx_bans_user ON bans (user_id)");
+    await run("CREATE INDEX IF NOT EXISTS idx_bans_address ON bans (address)");
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * @file Migration 10: board and file area management (catalog.js): listing order, unlisted boards and
+ * areas, and which one is the default.
+ */
+
+module.exports = {
+  description: 'Board and file area order, hidden and default flags',
+
+  async up({ run, addMissingColumns }) {
+    for (const table of ['boards', 'file_areas']) {
+      await addMissingColumns(table, {
+        sort_order: 'INTEGER NOT NULL DEFAULT 0',
+        hidden: 'INTEGER NOT NULL DEFAULT 0',
+        is_default: 'INTEGER NOT NULL DEFAULT 0',
+      });
+    }
+    await run(`UPDATE boards SET is_default = 1 WHERE name = 'General'
+               AND NOT EXISTS (SELECT 1 FROM boards WHERE is_default = 1)`);
+    await run(`UPDATE file_areas SET is_default = 1 WHERE name = 'General Files'
+               AND NOT EXISTS (SELECT 1 FROM file_areas WHERE is_default = 1)`);
+  },
+};
@@ -0,0 +1,21 @@
+/**
+ * @file Migration 11: games left unfinished when a player disconnects or logs out, so they can resume them
+ * (see games/index.js).
+ */
+
+module.exports = {
+  description: 'Saved door games',
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS saved_games (
+          user_id INTEGER NOT NULL,
+          game TEXT NOT NULL,
+          state TEXT NOT NULL,
+          saved_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, game),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+    `);
+  },
+};
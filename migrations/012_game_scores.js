@@ -0,0 +1,22 @@
+/**
+ * @file Migration 12: results submitted by door games, for the SCORES leaderboards (see scores.js).
+ */
+
+module.exports = {
+  description: 'Game scores',
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS game_scores (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          game TEXT NOT NULL,
+          score INTEGER NOT NULL,
+          played_at TEXT NOT NULL,
+          FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+    `);
+    await run("CREATE INDEX IF NOT EXISTS idx_game_scores_game ON game_scores (game, played_at)");
+    await run("CREATE INDEX IF NOT EXISTS idx_game_scores_user ON game_scores (user_id, game)");
+  },
+};
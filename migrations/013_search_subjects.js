@@ -0,0 +1,23 @@
+/**
+ * @file Migration 13: topic subjects become searchable. Migration 6 indexed only message bodies, and an
+ * FTS5 table cannot gain columns, so a new index over subject and body (built from every existing post)
+ * replaces messages_fts.
+ *
+ * The new index gets a new name: SQLite refuses to create an FTS5 table in a transaction that has
+ * already altered a table and dropped another FTS5 table, which is the case when every migration runs
+ * at once on a new database.
+ */
+
+module.exports = {
+  description: 'Search message subjects',
+
+  async up({ exec, createFtsIndex }) {
+    await createFtsIndex('messages', 'messages_search_fts', ['subject', 'body']);
+    await exec(`
+      DROP TRIGGER IF EXISTS messages_fts_ai;
+      DROP TRIGGER IF EXISTS messages_fts_ad;
+      DROP TRIGGER IF EXISTS messages_fts_au;
+      DROP TABLE IF EXISTS messages_fts;
+    `);
+  },
+};
@@ -0,0 +1,177 @@
+/**
+ * @file Schema migration runner.
+ * Every other module in this directory is one numbered up-migration, named `NNN_description.js`, and
+ * is loaded automatically. A migration module exports:
+ *   - description {string}  One line for `node migrate.js status`.
+ *   - up {function(object): Promise<void>} Applies the change, using the helpers it is given
+ *                           (run, get, all, exec, addMissingColumns, createFtsIndex).
+ *
+ * Applied versions are recorded in the `schema_version` table. All pending migrations are applied in a
+ * single transaction: if one fails, the database is left as it was. Migrations are never edited once
+ * released; a schema change is a new migration with the next number.
+ *
+ * Databases created before versioned migrations have no `schema_version` table. Migrations 1 to 10 are
+ * written to be idempotent (`IF NOT EXISTS`, addMissingColumns...), so such databases are brought up to
+ * date by running them all, whatever state they were left in.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('../repositories/client');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+
+/**
+ * Loads the migration modules in this directory, in version order.
+ * @returns {Array<{version: number, name: string, description: string, up: function}>} The migrations.
+ * @throws {Error} If a migration is malformed or two share a version number.
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(__dirname)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(__dirname, file));
+      if (typeof migration.up !== 'function') throw new Error(`Migration ${file} does not export an up() function.`);
+      return { version: parseInt(match[1]), name: file.replace(/\.js$/, ''), description: migration.description || '', up: migration.up };
+    })
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Migrations ${migrations[index - 1].name} and ${migration.name} share version ${migration.version}.`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Adds the schema helpers migrations use to a client.
+ * @param {object} client - A client from repositories/client.js (inside the migration transaction).
+ * @returns {object} {run, get, all, exec, addMissingColumns, createFtsIndex}.
+ */
+function createHelpers(client) {
+  const { run, get, all, exec } = client;
+
+  /**
+   * Adds any of the given columns that an existing table does not have yet.
+   * `CREATE TABLE IF NOT EXISTS` leaves old tables untouched, so new columns must be added explicitly.
+   * @param {string} table - The table name.
+   * @param {Object<string, string>} columns - Column name -> SQL column definition.
+   */
+  async function addMissingColumns(table, columns) {
+    const existing = new Set((await all(`PRAGMA table_info(${table})`)).map(r => r.name));
+    for (const name of Object.keys(columns).filter(column => !existing.has(column))) {
+      await run(`ALTER TABLE ${table} ADD COLUMN ${name} ${columns[name]}`);
+      console.log(`Added column ${table}.${name}.`);
+    }
+  }
+
+  /**
+   * Creates an external-content FTS5 index over some columns of a table, plus the triggers that keep
+   * it in sync. If the index does not exist yet it is built from the table's existing rows.
+   * @param {string} table - The content table (must have an INTEGER PRIMARY KEY `id`).
+   * @param {string} ftsTable - Name of the FTS5 virtual table to create.
+   * @param {string[]} columns - The columns to index.
+   */
+  async function createFtsIndex(table, ftsTable, columns) {
+    if (await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [ftsTable])) return;
+    const cols = columns.join(', ');
+    const newCols = columns.map(c => `new.${c}`).join(', ');
+    const oldCols = columns.map(c => `old.${c}`).join(', ');
+    await exec(`
+      CREATE VIRTUAL TABLE ${ftsTable} USING fts5(${cols}, content='${table}', content_rowid='id');
+      CREATE TRIGGER ${ftsTable}_ai AFTER INSERT ON ${table} BEGIN
+        INSERT INTO ${ftsTable} (rowid, ${cols}) VALUES (new.id, ${newCols});
+      END;
+      CREATE TRIGGER ${ftsTable}_ad AFTER DELETE ON ${table} BEGIN
+        INSERT INTO ${ftsTable} (${ftsTable}, rowid, ${cols}) VALUES ('delete', old.id, ${oldCols});
+      END;
+      CREATE TRIGGER ${ftsTable}_au AFTER UPDATE OF ${cols} ON ${table} BEGIN
+        INSERT INTO ${ftsTable} (${ftsTable}, rowid, ${cols}) VALUES ('delete', old.id, ${oldCols});
+        INSERT INTO ${ftsTable} (rowid, ${cols}) VALUES (new.id, ${newCols});
+      END;
+      INSERT INTO ${ftsTable} (${ftsTable}) VALUES ('rebuild');
+    `);
+    console.log(`Full-text index ${ftsTable} created.`);
+  }
+
+  return { run, get, all, exec, addMissingColumns, createFtsIndex };
+}
+
+/**
+ * Reads the migrations recorded as applied. Does not create the schema_version table.
+ * @async
+ * @param {sqlite3.Database} db - The database connection.
+ * @returns {Promise<Map<number, string>|null>} Version -> applied_at, or null if the database has no
+ *   schema_version table (it is new, or predates versioned migrations).
+ */
+async function getAppliedVersions(db) {
+  const { get, all } = createClient(db, { statementCacheSize: 0 });
+  if (!(await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'"))) return null;
+  const rows = await all("SELECT version, applied_at FROM schema_version ORDER BY version");
+  return new Map(rows.map(row => [row.version, row.applied_at]));
+}
+
+/**
+ * Lists every known migration with whether it has been applied.
+ * @async
+ * @param {sqlite3.Database} db - The database connection.
+ * @returns {Promise<{migrations: Array<{version: number, name: string, description: string, appliedAt: (string|null)}>,
+ *   unknownVersions: number[], versioned: boolean}>} The status. `unknownVersions` are applied versions this
+ *   code does not know (the database was migrated by a newer version of the BBS).
+ */
+async function getMigrationStatus(db) {
+  const applied = await getAppliedVersions(db);
+  const migrations = loadMigrations().map(m => ({
+    version: m.version, name: m.name, description: m.description, appliedAt: (applied && applied.get(m.version)) || null,
+  }));
+  const known = new Set(migrations.map(m => m.version));
+  const unknownVersions = applied ? [...applied.keys()].filter(version => !known.has(version)) : [];
+  return { migrations, unknownVersions, versioned: applied !== null };
+}
+
+/**
+ * Applies every pending migration, in version order, in one transaction.
+ * @async
+ * @param {sqlite3.Database} db - The database connection.
+ * @returns {Promise<string[]>} The names of the migrations applied (empty if the schema was up to date).
+ * @throws {Error} If a migration fails (nothing is applied), or the database has migrations this code
+ *   does not know (it was upgraded by a newer version; running against it could damage it).
+ */
+async function migrate(db) {
+  const { unknownVersions } = await getMigrationStatus(db);
+  if (unknownVersions.length > 0) {
+    throw new Error(`The database has schema version(s) ${unknownVersions.join(', ')}, which this version of the BBS does not know. Upgrade the BBS first.`);
+  }
+  const applied = (await getAppliedVersions(db)) || new Map();
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+  if (pending.length === 0) return [];
+  // No statement reuse: the connection may be closed right after (see migrate.js).
+  await createClient(db, { statementCacheSize: 0 }).transaction(async (tx) => {
+    const helpers = createHelpers(tx);
+    await helpers.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT NOT NULL
+      );
+    `);
+    for (const migration of pending) {
+      try {
+        await migration.up(helpers);
+      } catch (err) {
+        err.message = `Migration ${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+      await helpers.run("INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)",
+                        [migration.version, migration.name, new Date().toISOString()]);
+      console.log(`Applied migration ${migration.name}.`);
+    }
+  });
+  return pending.map(m => m.name);
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+};
@@ -0,0 +1,86 @@
+/**
+ * @file Server-to-client push for notices that arrive between commands: broadcasts, new-mail notices and pages.
+ * Telnet connections and web clients with an open event WebSocket attach a channel for their session.
+ * Notices for sessions without one, or whose channel cannot take them right now (e.g. during a file
+ * transfer), wait in `session.pendingNotices` and are shown with the next command's response.
+ */
+const { getSession, getAllSessions } = require('./sessionManager');
+const { collectPendingBroadcasts } = require('./broadcasts');
+
+const channels = new Map(); // Session ID -> deliver function(text): boolean (false if it could not deliver now).
+
+/**
+ * Attaches a push channel to a session, replacing any earlier one (e.g. a reloaded web page).
+ * @param {string} sessionId - The session ID.
+ * @param {function(string): boolean} deliver - Shows text to the user; returns false if it cannot right now.
+ * @returns {function(): void} Detaches the channel.
+ */
+function attachChannel(sessionId, deliver) {
+  channels.set(sessionId, deliver);
+  return () => {
+    if (channels.get(sessionId) === deliver) channels.delete(sessionId);
+  };
+}
+
+/**
+ * Sends a notice to one session now, or queues it for the session's next command.
+ * @param {string} sessionId - The session ID.
+ * @param {string|function(object): string} message - The notice text, or a function building it for the
+ *   session (so colors follow the recipient's preferences).
+ * @returns {boolean} True if the session exists.
+ */
+function notifySession(sessionId, message) {
+  const session = getSession(sessionId);
+  if (!session) return false;
+  const text = typeof message === 'function' ? message(session) : message;
+  if (!text) return true;
+  const deliver = channels.get(sessionId);
+  if (deliver && deliver(text)) return true;
+  session.pendingNotices = (session.pendingNotices || '') + text;
+  return true;
+}
+
+/**
+ * Sends a notice to every session logged in as a user.
+ * @param {number} userId - The recipient's user ID.
+ * @param {string|function(object): string} message - The notice (see notifySession).
+ * @returns {number} How many sessions were notified.
+ */
+function notifyUser(userId, message) {
+  const sessions = getAllSessions();
+  const sessionIds = Object.keys(sessions).filter(id => sessions[id].loggedIn && sessions[id].userId === userId);
+  sessionIds.forEach(id => notifySession(id, message));
+  return sessionIds.length;
+}
+
+/**
+ * Pushes any broadcasts not yet seen to every session with a channel. Other sessions pick them up
+ * with their next command.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ */
+async function pushBroadcasts(repos) {
+  for (const sessionId of [...channels.keys()]) {
+    const session = getSession(sessionId);
+    if (session) notifySession(sessionId, await collectPendingBroadcasts(repos, session));
+  }
+}
+
+/**
+ * Returns the notices queued for a session and clears the queue.
+ * @param {object} session - The user's session object.
+ * @returns {string} The queued notices, or an empty string.
+ */
+function collectPendingNotices(session) {
+  const notices = session.pendingNotices || '';
+  delete session.pendingNotices;
+  return notices;
+}
+
+module.exports = {
+  attachChannel,
+  notifySession,
+  notifyUser,
+  pushBroadcasts,
+  collectPendingNotices,
+};
@@ -0,0 +1,55 @@
+/**
+ * @file Loading and saving of per-user color preferences and themes (stored by repos.prefs).
+ */
+const { AVAILABLE_COLORS, CUSTOMIZABLE_ELEMENTS, THEMES, getDefaultPrefs } = require('./ansi');
+
+const DEFAULT_THEME = 'default';
+
+// session.prefs keys that are persisted.
+const PREF_KEYS = Object.values(CUSTOMIZABLE_ELEMENTS).map(el => el.prefKey);
+
+/**
+ * Resets a session to the default colors and theme (guests, LOGOUT).
+ * @param {object} session - The user's session object.
+ */
+function resetPreferences(session) {
+  session.prefs = getDefaultPrefs();
+  session.theme = DEFAULT_THEME;
+}
+
+/**
+ * Loads the logged-in user's saved colors and theme into the session.
+ * Unknown or missing values fall back to the defaults.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} session - The user's session object (must have userId).
+ */
+async function loadPreferences(repos, session) {
+  resetPreferences(session);
+  const saved = await repos.prefs.get(session.userId);
+  if (!saved) return;
+  PREF_KEYS.forEach(prefKey => {
+    const colorName = saved.colors[prefKey];
+    if (colorName && AVAILABLE_COLORS.includes(colorName)) session.prefs[prefKey] = colorName;
+  });
+  if (saved.theme && THEMES[saved.theme]) session.theme = saved.theme;
+}
+
+/**
+ * Saves the session's current colors and theme for its user, creating the row if needed.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} session - The user's session object (must have userId).
+ */
+async function savePreferences(repos, session) {
+  const colors = {};
+  PREF_KEYS.forEach(prefKey => { colors[prefKey] = session.prefs[prefKey] || null; });
+  await repos.prefs.save(session.userId, colors, session.theme || DEFAULT_THEME);
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  resetPreferences,
+  loadPreferences,
+  savePreferences,
+};
@@ -0,0 +1,317 @@
+/**
+ * @file Rate limits shared by the web and Telnet frontends: failed-login counters per account and per
+ * IP address (with exponential backoff and a lockout), caps per IP address on REGISTER per hour and on
+ * new web sessions per minute, and a per-session command rate. State is kept in memory, so a restart clears it.
+ *
+ * A LOGIN attempt counts as a failure from the moment it starts until it succeeds, so a burst of
+ * attempts sent at once is held back by the backoff before any of them reaches bcrypt.
+ */
+
+/**
+ * Reads a positive number from the environment.
+ * @param {string} name - The environment variable.
+ * @param {number} fallback - The value when it is unset or invalid.
+ * @returns {number} The value.
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : fallback;
+}
+
+const RATE_LIMITS = {
+  loginMaxFailures: envNumber('BBS_LOGIN_MAX_FAILURES', 5), // Per account, before it is locked.
+  loginMaxFailuresPerIp: envNumber('BBS_LOGIN_MAX_FAILURES_PER_IP', 20), // Per IP address, before it is locked.
+  loginLockoutMinutes: envNumber('BBS_LOGIN_LOCKOUT_MINUTES', 15), // Also how long failures are remembered.
+  registrationsPerHour: envNumber('BBS_REGISTRATIONS_PER_HOUR', 5), // Per IP address.
+  commandsPerMinute: envNumber('BBS_COMMANDS_PER_MINUTE', 120), // Per session, sustained.
+  commandBurst: envNumber('BBS_COMMAND_BURST', 20), // Per session, in quick succession (e.g. a paste).
+  webSessionsPerMinute: envNumber('BBS_WEB_SESSIONS_PER_MINUTE', 10), // Per IP address, made for requests without a token.
+};
+
+const IP_FREE_ATTEMPTS = 3; // Attempts from one address before backoff starts (several users may share it).
+const MAX_BACKOFF_MS = 30 * 1000;
+const REGISTRATION_WINDOW_MS = 3600 * 1000;
+const WEB_SESSION_WINDOW_MS = 60 * 1000;
+
+// Failed-login counters: key -> { count, lastAt, lockedUntil }.
+const accountFailures = new Map(); // Keyed by lowercased username, whether or not the account exists.
+const ipFailures = new Map(); // Keyed by IP address.
+const registrations = new Map(); // IP address -> timestamps of registrations in the last hour.
+const webSessions = new Map(); // IP address -> timestamps of web sessions started in the last minute.
+
+/**
+ * Normalizes a client address for use as a key (also by bans.js).
+ * @param {string} [ip] - The address (IPv4-mapped IPv6 addresses are shortened).
+ * @returns {string} The key.
+ */
+function normalizeAddress(ip) {
+  return ip ? ip.replace(/^::ffff:/, '') : 'unknown';
+}
+
+/**
+ * Formats a wait for the user, rounded up.
+ * @param {number} ms - The wait in milliseconds.
+ * @returns {string} e.g. "8 second(s)" or "15 minute(s)".
+ */
+function formatWait(ms) {
+  return ms > 90 * 1000 ? `${Math.ceil(ms / 60000)} minute(s)` : `${Math.ceil(ms / 1000)} second(s)`;
+}
+
+/**
+ * Returns a failure counter, dropping it first if it has expired.
+ * @param {Map} counters - accountFailures or ipFailures.
+ * @param {string} key - The account or address.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {object|undefined} The counter.
+ */
+function getFailures(counters, key, now) {
+  const entry = counters.get(key);
+  if (entry && entry.lockedUntil <= now && now - entry.lastAt > RATE_LIMITS.loginLockoutMinutes * 60 * 1000) {
+    counters.delete(key);
+    return undefined;
+  }
+  return entry;
+}
+
+/**
+ * Works out how long a counter says to wait before the next attempt.
+ * @param {object|undefined} entry - The failure counter.
+ * @param {number} freeAttempts - Failures allowed before backoff starts.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {number} The wait in milliseconds (0 if an attempt may start now).
+ */
+function getWaitMs(entry, freeAttempts, now) {
+  if (!entry) return 0;
+  if (entry.lockedUntil > now) return entry.lockedUntil - now;
+  if (entry.count <= freeAttempts) return 0;
+  const backoff = Math.min(1000 * 2 ** (entry.count - freeAttempts - 1), MAX_BACKOFF_MS);
+  return Math.max(0, entry.lastAt + backoff - now);
+}
+
+/**
+ * Adds one to a failure counter.
+ * @param {Map} counters - accountFailures or ipFailures.
+ * @param {string} key - The account or address.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {object} The counter.
+ */
+function countFailure(counters, key, now) {
+  const entry = getFailures(counters, key, now) || { count: 0, lastAt: now, lockedUntil: 0 };
+  entry.count++;
+  entry.lastAt = now;
+  counters.set(key, entry);
+  return entry;
+}
+
+/**
+ * Takes back an attempt counted by startLoginAttempt.
+ * @param {Map} counters - accountFailures or ipFailures.
+ * @param {string} key - The account or address.
+ */
+function uncountFailure(counters, key) {
+  const entry = counters.get(key);
+  if (!entry) return;
+  entry.count--;
+  if (entry.count <= 0 && entry.lockedUntil <= Date.now()) counters.delete(key);
+}
+
+/**
+ * Checks whether a LOGIN attempt may go ahead and, if so, counts it as a failure until
+ * loginSucceeded or cancelLoginAttempt says otherwise.
+ * @param {string} ip - The client's address.
+ * @param {string} username - The username being tried.
+ * @returns {string|null} A refusal message, or null if the attempt may go ahead.
+ */
+function startLoginAttempt(ip, username) {
+  const now = Date.now();
+  const account = getFailures(accountFailures, username.toLowerCase(), now);
+  const address = getFailures(ipFailures, normalizeAddress(ip), now);
+  const waitMs = Math.max(getWaitMs(account, 0, now), getWaitMs(address, IP_FREE_ATTEMPTS, now));
+  if (waitMs > 0) {
+    const locked = (account && account.lockedUntil > now) || (address && address.lockedUntil > now);
+    return locked ?
+        `Too many failed logins. LOGIN is locked for ${formatWait(waitMs)}.\n` :
+        `Too many failed logins. Please wait ${formatWait(waitMs)} before trying again.\n`;
+  }
+  countFailure(accountFailures, username.toLowerCase(), now);
+  countFailure(ipFailures, normalizeAddress(ip), now);
+  return null;
+}
+
+/**
+ * Records that a LOGIN attempt failed, locking the account or address if it has reached its limit.
+ * @param {string} ip - The client's address.
+ * @param {string} username - The username tried.
+ * @returns {string} A note to add to the failure message, or an empty string.
+ */
+function loginFailed(ip, username) {
+  const now = Date.now();
+  const lockoutMs = RATE_LIMITS.loginLockoutMinutes * 60 * 1000;
+  const account = accountFailures.get(username.toLowerCase());
+  const address = ipFailures.get(normalizeAddress(ip));
+  let locked = false;
+  if (account && account.count >= RATE_LIMITS.loginMaxFailures && account.lockedUntil <= now) {
+    account.lockedUntil = now + lockoutMs;
+    console.log(`Login locked for account '${username}' after ${account.count} failed attempts.`);
+    locked = true;
+  }
+  if (address && address.count >= RATE_LIMITS.loginMaxFailuresPerIp && address.lockedUntil <= now) {
+    address.lockedUntil = now + lockoutMs;
+    console.log(`Login locked for address ${normalizeAddress(ip)} after ${address.count} failed attempts.`);
+    locked = true;
+  }
+  return locked ? `Too many failed logins. LOGIN is locked for ${formatWait(lockoutMs)}.\n` : '';
+}
+
+/**
+ * Records that a LOGIN attempt succeeded: the account's failures are forgotten and the attempt is
+ * no longer counted against the address.
+ * @param {string} ip - The client's address.
+ * @param {string} username - The username.
+ */
+function loginSucceeded(ip, username) {
+  accountFailures.delete(username.toLowerCase());
+  uncountFailure(ipFailures, normalizeAddress(ip));
+}
+
+/**
+ * Takes back a LOGIN attempt that could not be decided (e.g. a database error).
+ * @param {string} ip - The client's address.
+ * @param {string} username - The username tried.
+ */
+function cancelLoginAttempt(ip, username) {
+  uncountFailure(accountFailures, username.toLowerCase());
+  uncountFailure(ipFailures, normalizeAddress(ip));
+}
+
+/**
+ * Counts an event for an address if it is under its limit within a sliding window.
+ * @param {Map} events - registrations or webSessions.
+ * @param {string} ip - The client's address.
+ * @param {number} limit - Events allowed per window.
+ * @param {number} windowMs - The window in milliseconds.
+ * @returns {number} 0 if the event was counted, otherwise how many milliseconds until it could be.
+ */
+function countInWindow(events, ip, limit, windowMs) {
+  const now = Date.now();
+  const key = normalizeAddress(ip);
+  const recent = (events.get(key) || []).filter(at => now - at < windowMs);
+  if (recent.length >= limit) {
+    events.set(key, recent);
+    return recent[0] + windowMs - now;
+  }
+  recent.push(now);
+  events.set(key, recent);
+  return 0;
+}
+
+/**
+ * Checks the REGISTER limit for an address and, if there is room, counts this registration.
+ * @param {string} ip - The client's address.
+ * @returns {string|null} A refusal message, or null if the registration may go ahead.
+ */
+function startRegistration(ip) {
+  const waitMs = countInWindow(registrations, ip, RATE_LIMITS.registrationsPerHour, REGISTRATION_WINDOW_MS);
+  if (waitMs > 0) return `Too many accounts have been registered from your address. Please try again in ${formatWait(waitMs)}.\n`;
+  return null;
+}
+
+/**
+ * Takes back a registration counted by startRegistration that did not create an account.
+ * @param {string} ip - The client's address.
+ */
+function cancelRegistration(ip) {
+  const recent = registrations.get(normalizeAddress(ip));
+  if (recent) recent.pop();
+}
+
+/**
+ * Checks the limit on new web sessions for an address and, if there is room, counts this one. Requests
+ * without a session token each get a new session, so without this a client could dodge the per-session
+ * command rate by never sending its token.
+ * @param {string} ip - The client's address.
+ * @returns {string|null} A refusal message, or null if the session may be created.
+ */
+function startWebSession(ip) {
+  const waitMs = countInWindow(webSessions, ip, RATE_LIMITS.webSessionsPerMinute, WEB_SESSION_WINDOW_MS);
+  if (waitMs > 0) return `Too many new sessions from your address. Please wait ${formatWait(waitMs)}.\n`;
+  return null;
+}
+
+/**
+ * Takes one command from a session's allowance, which refills at commandsPerMinute up to commandBurst.
+ * @param {object} session - The user's session object (holds the allowance in `commandAllowance`).
+ * @returns {number} 0 if the command may run, otherwise how many milliseconds until it could.
+ */
+function consumeCommand(session) {
+  const now = Date.now();
+  const allowance = session.commandAllowance || { tokens: RATE_LIMITS.commandBurst, updatedAt: now };
+  const perMs = RATE_LIMITS.commandsPerMinute / 60000;
+  allowance.tokens = Math.min(RATE_LIMITS.commandBurst, allowance.tokens + (now - allowance.updatedAt) * perMs);
+  allowance.updatedAt = now;
+  session.commandAllowance = allowance;
+  if (allowance.tokens < 1) return Math.ceil((1 - allowance.tokens) / perMs);
+  allowance.tokens--;
+  return 0;
+}
+
+/**
+ * Lists the accounts and addresses with failed logins on record, for SysOps.
+ * @returns {Array<{kind: string, key: string, count: number, lockedUntil: number}>} Locked ones first.
+ */
+function listLoginFailures() {
+  const now = Date.now();
+  const list = [];
+  for (const [kind, counters] of [['account', accountFailures], ['address', ipFailures]]) {
+    for (const key of [...counters.keys()]) {
+      const entry = getFailures(counters, key, now);
+      if (entry && entry.count > 0) list.push({ kind, key, count: entry.count, lockedUntil: entry.lockedUntil > now ? entry.lockedUntil : 0 });
+    }
+  }
+  return list.sort((a, b) => b.lockedUntil - a.lockedUntil || b.count - a.count);
+}
+
+/**
+ * Clears the failed logins (and any lockout) of an account or address.
+ * @param {string} key - A username or an IP address.
+ * @returns {boolean} True if there was anything to clear.
+ */
+function clearLoginFailures(key) {
+  const clearedAccount = accountFailures.delete(key.toLowerCase());
+  const clearedAddress = ipFailures.delete(normalizeAddress(key));
+  return clearedAccount || clearedAddress;
+}
+
+/**
+ * Drops expired counters so that the maps do not grow without bound. Called by the session reaper.
+ */
+function pruneRateLimits() {
+  const now = Date.now();
+  for (const counters of [accountFailures, ipFailures]) {
+    for (const key of [...counters.keys()]) getFailures(counters, key, now);
+  }
+  for (const [events, windowMs] of [[registrations, REGISTRATION_WINDOW_MS], [webSessions, WEB_SESSION_WINDOW_MS]]) {
+    for (const [key, times] of events) {
+      const recent = times.filter(at => now - at < windowMs);
+      if (recent.length === 0) events.delete(key);
+      else events.set(key, recent);
+    }
+  }
+}
+
+module.exports = {
+  RATE_LIMITS,
+  normalizeAddress,
+  formatWait,
+  startLoginAttempt,
+  loginFailed,
+  loginSucceeded,
+  cancelLoginAttempt,
+  startRegistration,
+  cancelRegistration,
+  startWebSession,
+  consumeCommand,
+  listLoginFailures,
+  clearLoginFailures,
+  pruneRateLimits,
+};
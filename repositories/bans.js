@@ -0,0 +1,62 @@
+/**
+ * @file Bans by account or by IP address (bans table). See bans.js for how they are shown.
+ */
+const { normalizeAddress } = require('../rateLimiter');
+
+/**
+ * Creates the bans repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Stores a ban.
+     * @param {object} ban - The ban: exactly one of userId and address.
+     * @param {number} [ban.userId] - The banned account.
+     * @param {string} [ban.address] - The banned IP address.
+     * @param {string} [ban.reason] - Shown to the banned user.
+     * @param {number} ban.bannedBy - The SysOp's user ID.
+     * @param {Date|null} ban.expiresAt - When the ban ends; null for never.
+     * @returns {Promise<number>} The new ban's ID.
+     */
+    async add({ userId = null, address = null, reason = null, bannedBy, expiresAt }) {
+      const { lastID } = await client.run(
+        "INSERT INTO bans (user_id, address, reason, banned_by, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)",
+        [userId, address && normalizeAddress(address), reason, bannedBy, new Date().toISOString(), expiresAt ? expiresAt.toISOString() : null]);
+      return lastID;
+    },
+
+    /**
+     * Removes every ban on an account or an address.
+     * @param {object} target - Exactly one of userId and address.
+     * @returns {Promise<number>} How many bans were active and have been lifted.
+     */
+    async lift({ userId = null, address = null }) {
+      const column = userId !== null ? 'user_id' : 'address';
+      const value = userId !== null ? userId : normalizeAddress(address);
+      const { changes } = await client.run(`DELETE FROM bans WHERE ${column} = ? AND (expires_at IS NULL OR expires_at > ?)`,
+                                           [value, new Date().toISOString()]);
+      return changes;
+    },
+
+    /**
+     * Finds the longest-lasting active ban on an account or an address.
+     * @param {object} target - The account and/or address to check.
+     * @param {number} [target.userId] - An account.
+     * @param {string} [target.address] - An IP address.
+     * @returns {Promise<object|undefined>} The ban row, if any.
+     */
+    getActive({ userId = null, address = null }) {
+      return client.get(`
+        SELECT * FROM bans
+        WHERE (user_id = ? OR address = ?) AND (expires_at IS NULL OR expires_at > ?)
+        ORDER BY expires_at IS NULL DESC, expires_at DESC LIMIT 1`,
+        [userId, address ? normalizeAddress(address) : null, new Date().toISOString()]);
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
@@ -0,0 +1,196 @@
+/**
+ * @file Message boards: the boards themselves, their moderators (board_moderators) and each user's
+ * last-read pointer per board (board_last_read).
+ *
+ * A pointer is the highest message ID the user has read on a board; anything newer that someone else
+ * posted counts as unread.
+ */
+const { isNameTaken, insertEntry, updateEntry } = require('./catalogEntries');
+
+const BOARD_COLUMNS = 'id, name, description, read_level, post_level, sort_order, hidden, is_default';
+
+/**
+ * Creates the boards repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Looks up a board by name or ID, with its access levels.
+     * @param {string|number} boardRef - Board name or numeric ID.
+     * @returns {Promise<object|undefined>} {id, name, description, read_level, post_level, sort_order, hidden,
+     *   is_default}, if the board exists.
+     */
+    find(boardRef) {
+      const byName = isNaN(parseInt(boardRef));
+      return client.get(`SELECT ${BOARD_COLUMNS} FROM boards WHERE ${byName ? 'name = ?' : 'id = ?'}`,
+                        [byName ? boardRef : parseInt(boardRef)]);
+    },
+
+    /**
+     * Returns the board sessions start on: the default one, or the first listed if none is flagged.
+     * @returns {Promise<object|undefined>} The board, if there are any.
+     */
+    getDefault() {
+      return client.get(`SELECT ${BOARD_COLUMNS} FROM boards ORDER BY is_default DESC, sort_order, id LIMIT 1`);
+    },
+
+    /**
+     * Lists the boards a security level may read, in listing order.
+     * @param {number} level - The reader's security level (see access.js).
+     * @param {boolean} includeHidden - Whether to include hidden boards (SysOps).
+     * @returns {Promise<object[]>} The board rows.
+     */
+    list(level, includeHidden) {
+      return client.all(`SELECT ${BOARD_COLUMNS} FROM boards WHERE read_level <= ? AND (hidden = 0 OR ?) ORDER BY sort_order, id`,
+                        [level, includeHidden ? 1 : 0]);
+    },
+
+    /**
+     * Checks whether another board already has a name (ignoring case).
+     * @param {string} name - The name.
+     * @param {number} [exceptId] - The board being renamed.
+     * @returns {Promise<boolean>} True if the name is taken.
+     */
+    isNameTaken(name, exceptId) {
+      return isNameTaken(client, 'boards', name, exceptId);
+    },
+
+    /**
+     * Creates a board. If it is made the default, the previous default stops being one.
+     * @param {object} board - {name, description, changes}: changes holds other column values.
+     * @returns {Promise<number>} The new board ID.
+     */
+    create(board) {
+      return insertEntry(client, 'boards', board);
+    },
+
+    /**
+     * Updates a board's columns. If it is made the default, the previous default stops being one.
+     * @param {number} boardId - The board ID.
+     * @param {Object<string, *>} changes - Column -> new value.
+     */
+    update(boardId, changes) {
+      return updateEntry(client, 'boards', boardId, changes);
+    },
+
+    /**
+     * Counts the messages on a board.
+     * @param {number} boardId - The board ID.
+     * @returns {Promise<number>} The count.
+     */
+    async countMessages(boardId) {
+      return (await client.get("SELECT COUNT(*) AS count FROM messages WHERE board_id = ?", [boardId])).count;
+    },
+
+    /**
+     * Deletes a board, first moving its messages (and broadcasts aimed at it) to another board. Without a
+     * destination the board must be empty; broadcasts aimed at it are deleted. Read pointers and moderator
+     * assignments for the board are dropped.
+     * @param {number} boardId - The board to delete.
+     * @param {number|null} moveToId - The board that receives its messages.
+     * @returns {Promise<number>} How many messages were moved.
+     */
+    delete(boardId, moveToId) {
+      return client.transaction(async (tx) => {
+        let moved = 0;
+        if (moveToId) {
+          moved = (await tx.run("UPDATE messages SET board_id = ? WHERE board_id = ?", [moveToId, boardId])).changes;
+          await tx.run("UPDATE broadcasts SET target_board_id = ? WHERE target_board_id = ?", [moveToId, boardId]);
+        } else {
+          await tx.run("DELETE FROM broadcast_deliveries WHERE broadcast_id IN (SELECT id FROM broadcasts WHERE target_board_id = ?)", [boardId]);
+          await tx.run("DELETE FROM broadcasts WHERE target_board_id = ?", [boardId]);
+        }
+        await tx.run("DELETE FROM board_last_read WHERE board_id = ?", [boardId]);
+        await tx.run("DELETE FROM board_moderators WHERE board_id = ?", [boardId]);
+        await tx.run("DELETE FROM boards WHERE id = ?", [boardId]);
+        return moved;
+      });
+    },
+
+    /**
+     * Lists a board's assigned moderators.
+     * @param {number} boardId - The board ID.
+     * @returns {Promise<Array<{id: number, username: string, role: string}>>} The moderators, by username.
+     */
+    getModerators(boardId) {
+      return client.all(`SELECT u.id, u.username, u.role FROM board_moderators bm JOIN users u ON u.id = bm.user_id
+                         WHERE bm.board_id = ? ORDER BY u.username`, [boardId]);
+    },
+
+    /**
+     * Checks whether a user is assigned to moderate a board.
+     * @param {number} boardId - The board ID.
+     * @param {number} userId - The user ID.
+     * @returns {Promise<boolean>} True if they are.
+     */
+    async isModerator(boardId, userId) {
+      return !!(await client.get("SELECT 1 FROM board_moderators WHERE board_id = ? AND user_id = ?", [boardId, userId]));
+    },
+
+    /**
+     * Assigns a user to moderate a board.
+     * @param {number} boardId - The board ID.
+     * @param {number} userId - The user ID.
+     * @returns {Promise<boolean>} False if they already moderated it.
+     */
+    async addModerator(boardId, userId) {
+      return (await client.run("INSERT OR IGNORE INTO board_moderators (board_id, user_id) VALUES (?, ?)", [boardId, userId])).changes > 0;
+    },
+
+    /**
+     * Stops a user moderating a board.
+     * @param {number} boardId - The board ID.
+     * @param {number} userId - The user ID.
+     * @returns {Promise<boolean>} False if they did not moderate it.
+     */
+    async removeModerator(boardId, userId) {
+      return (await client.run("DELETE FROM board_moderators WHERE board_id = ? AND user_id = ?", [boardId, userId])).changes > 0;
+    },
+
+    /**
+     * Counts unread messages per board for a user. Boards with nothing unread, or that the user may not read, are omitted.
+     * @param {number} userId - The user's ID.
+     * @param {number} readLevel - The user's security level (see access.js); boards above it are skipped.
+     * @returns {Promise<Array<{board_id: number, board_name: string, unread_count: number}>>} Unread counts, in listing order.
+     */
+    getUnreadCounts(userId, readLevel) {
+      return client.all(`
+        SELECT b.id AS board_id, b.name AS board_name, COUNT(m.id) AS unread_count
+        FROM boards b
+        JOIN messages m ON m.board_id = b.id
+        LEFT JOIN board_last_read lr ON lr.board_id = b.id AND lr.user_id = ?
+        WHERE m.id > COALESCE(lr.last_read_message_id, 0) AND m.user_id != ? AND b.read_level <= ?
+        GROUP BY b.id ORDER BY b.sort_order, b.id;`, [userId, userId, readLevel]);
+    },
+
+    /**
+     * Returns the user's last-read message ID on a board (0 if they have never read it).
+     * @param {number} userId - The user's ID.
+     * @param {number} boardId - The board ID.
+     * @returns {Promise<number>} The last-read message ID.
+     */
+    async getLastRead(userId, boardId) {
+      const row = await client.get("SELECT last_read_message_id FROM board_last_read WHERE user_id = ? AND board_id = ?", [userId, boardId]);
+      return row ? row.last_read_message_id : 0;
+    },
+
+    /**
+     * Advances the user's pointer on a board. Never moves it backwards.
+     * @param {number} userId - The user's ID.
+     * @param {number} boardId - The board ID.
+     * @param {number} messageId - The newest message ID the user has now read.
+     */
+    async markRead(userId, boardId, messageId) {
+      await client.run(`
+        INSERT INTO board_last_read (user_id, board_id, last_read_message_id) VALUES (?, ?, ?)
+        ON CONFLICT(user_id, board_id) DO UPDATE
+          SET last_read_message_id = MAX(last_read_message_id, excluded.last_read_message_id);`, [userId, boardId, messageId]);
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
@@ -0,0 +1,92 @@
+/**
+ * @file Stored SysOp broadcasts and who has been shown them (broadcasts and broadcast_deliveries
+ * tables). See broadcasts.js for targeting and formatting.
+ */
+
+/**
+ * Creates the broadcasts repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  /**
+   * Deletes broadcasts past their expiry time, with their delivery records.
+   * @async
+   * @param {object} db - The client to use (a transaction's, when called inside one).
+   */
+  async function purgeExpired(db) {
+    const now = new Date().toISOString();
+    await db.run(`DELETE FROM broadcast_deliveries WHERE broadcast_id IN
+                  (SELECT id FROM broadcasts WHERE expires_at IS NOT NULL AND expires_at <= ?)`, [now]);
+    await db.run("DELETE FROM broadcasts WHERE expires_at IS NOT NULL AND expires_at <= ?", [now]);
+  }
+
+  return {
+    /**
+     * Stores a broadcast, removing expired ones in the same transaction.
+     * @param {object} broadcast - The broadcast.
+     * @param {string} broadcast.body - The message text.
+     * @param {number} [broadcast.senderId] - The SysOp's user ID.
+     * @param {string} broadcast.priority - 'low', 'normal' or 'urgent'.
+     * @param {Date|null} broadcast.expiresAt - When it stops being delivered; null for never.
+     * @param {string} [broadcast.targetRole] - Only users with this role receive it.
+     * @param {number} [broadcast.targetBoardId] - Only users on this board receive it.
+     * @returns {Promise<number>} The new broadcast's ID.
+     */
+    add({ body, senderId = null, priority, expiresAt, targetRole = null, targetBoardId = null }) {
+      return client.transaction(async (tx) => {
+        await purgeExpired(tx);
+        const { lastID } = await tx.run(`
+          INSERT INTO broadcasts (sender_id, body, priority, target_role, target_board_id, created_at, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [senderId, body, priority, targetRole, targetBoardId, new Date().toISOString(), expiresAt ? expiresAt.toISOString() : null]);
+        return lastID;
+      });
+    },
+
+    /**
+     * Deletes broadcasts past their expiry time, with their delivery records.
+     */
+    purgeExpired() {
+      return client.transaction(purgeExpired);
+    },
+
+    /**
+     * Returns the active broadcasts addressed to a user that they have not been shown yet, most urgent
+     * first, then oldest first.
+     * @param {object} recipient - Who is asking.
+     * @param {number} recipient.userId - The user's ID.
+     * @param {string} recipient.role - Their role (for role-targeted broadcasts).
+     * @param {number} recipient.boardId - The board they are on (for board-targeted broadcasts).
+     * @returns {Promise<object[]>} Broadcast rows, with the target board's name.
+     */
+    getUndelivered({ userId, role, boardId }) {
+      return client.all(`
+        SELECT b.id, b.body, b.priority, b.created_at, bd.name AS board_name
+        FROM broadcasts b
+        LEFT JOIN boards bd ON bd.id = b.target_board_id
+        WHERE (b.expires_at IS NULL OR b.expires_at > ?)
+          AND (b.target_role IS NULL OR b.target_role = ?)
+          AND (b.target_board_id IS NULL OR b.target_board_id = ?)
+          AND NOT EXISTS (SELECT 1 FROM broadcast_deliveries d WHERE d.broadcast_id = b.id AND d.user_id = ?)
+        ORDER BY CASE b.priority WHEN 'urgent' THEN 0 WHEN 'normal' THEN 1 ELSE 2 END, b.id;`,
+        [new Date().toISOString(), role, boardId, userId]);
+    },
+
+    /**
+     * Records that a user has been shown a broadcast.
+     * @param {number} broadcastId - The broadcast ID.
+     * @param {number} userId - The user's ID.
+     * @returns {Promise<boolean>} True if this call recorded it; false if another session already had.
+     */
+    async recordDelivery(broadcastId, userId) {
+      const { changes } = await client.run("INSERT OR IGNORE INTO broadcast_deliveries (broadcast_id, user_id, delivered_at) VALUES (?, ?, ?)",
+                                           [broadcastId, userId, new Date().toISOString()]);
+      return changes > 0;
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
@@ -0,0 +1,62 @@
+/**
+ * @file Queries shared by the boards and file_areas tables, which are managed the same way (see
+ * catalog.js): names unique ignoring case, and exactly one row flagged is_default.
+ */
+
+/**
+ * Checks whether another row already has a name (ignoring case).
+ * @async
+ * @param {object} client - The database client.
+ * @param {string} table - 'boards' or 'file_areas'.
+ * @param {string} name - The name.
+ * @param {number} [exceptId=0] - The row being renamed.
+ * @returns {Promise<boolean>} True if the name is taken.
+ */
+async function isNameTaken(client, table, name, exceptId = 0) {
+  return !!(await client.get(`SELECT 1 FROM ${table} WHERE name = ? COLLATE NOCASE AND id != ?`, [name, exceptId]));
+}
+
+/**
+ * Inserts a row. If it is made the default, the previous default stops being one.
+ * @async
+ * @param {object} client - The database client.
+ * @param {string} table - 'boards' or 'file_areas'.
+ * @param {object} entry - The new row.
+ * @param {string} entry.name - Its name.
+ * @param {string} [entry.description] - Its description.
+ * @param {Object<string, number>} entry.changes - Other column values.
+ * @returns {Promise<number>} The new ID.
+ */
+function insertEntry(client, table, { name, description, changes }) {
+  const columns = ['name', 'description', ...Object.keys(changes)];
+  return client.transaction(async (tx) => {
+    const { lastID } = await tx.run(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                                    [name, description || null, ...Object.values(changes)]);
+    if (changes.is_default) await tx.run(`UPDATE ${table} SET is_default = (id = ?)`, [lastID]);
+    return lastID;
+  });
+}
+
+/**
+ * Updates a row. If it is made the default, the previous default stops being one.
+ * @async
+ * @param {object} client - The database client.
+ * @param {string} table - 'boards' or 'file_areas'.
+ * @param {number} id - The row ID.
+ * @param {Object<string, *>} changes - Column -> new value.
+ */
+function updateEntry(client, table, id, changes) {
+  const columns = Object.keys(changes);
+  return client.transaction(async (tx) => {
+    if (changes.is_default) await tx.run(`UPDATE ${table} SET is_default = 0 WHERE id != ?`, [id]);
+    if (columns.length > 0) {
+      await tx.run(`UPDATE ${table} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...Object.values(changes), id]);
+    }
+  });
+}
+
+module.exports = {
+  isNameTaken,
+  insertEntry,
+  updateEntry,
+};
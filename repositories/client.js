@@ -0,0 +1,178 @@
+/**
+ * @file Promise-based wrapper around a sqlite3 connection, used by the repositories and migrations.
+ * Statements are prepared once and reused (a bounded cache keyed by SQL text).
+ *
+ * transaction() runs its work between BEGIN IMMEDIATE and COMMIT (ROLLBACK if it throws). All sessions
+ * share one connection, so while a transaction is open, queries made outside it wait for it to finish
+ * instead of joining it by accident. Inside the work, use the client it is given; a transaction started
+ * on that client joins the open one.
+ */
+
+const DEFAULT_STATEMENT_CACHE_SIZE = 200;
+
+/**
+ * Wraps a connection.
+ * @param {sqlite3.Database} db - The database connection.
+ * @param {object} [options]
+ * @param {number} [options.statementCacheSize=200] - Prepared statements kept for reuse; 0 disables reuse
+ *   (for short-lived connections that must close cleanly, like the migration tool's).
+ * @returns {object} The client: {get, all, run, exec, transaction, finalizeStatements}.
+ */
+function createClient(db, { statementCacheSize = DEFAULT_STATEMENT_CACHE_SIZE } = {}) {
+  const statements = new Map(); // SQL -> sqlite3.Statement, least recently used first.
+  // Transactions open or queued, the promise settling when the last of them ends, and the queries made
+  // outside them that are still running (a transaction waits for those before it begins).
+  const lock = { pending: 0, tail: Promise.resolve(), outside: new Set() };
+
+  /**
+   * Returns a prepared statement for some SQL, preparing it on first use.
+   * @param {string} sql - The SQL.
+   * @returns {sqlite3.Statement} The statement.
+   */
+  function getStatement(sql) {
+    let statement = statements.get(sql);
+    if (statement) {
+      statements.delete(sql); // Re-inserted below, to mark it recently used.
+    } else {
+      statement = db.prepare(sql);
+      if (statements.size >= statementCacheSize) {
+        const [oldestSql, oldest] = statements.entries().next().value;
+        statements.delete(oldestSql);
+        oldest.finalize();
+      }
+    }
+    statements.set(sql, statement);
+    return statement;
+  }
+
+  /**
+   * Runs one statement through sqlite3.
+   * @param {string} method - 'get', 'all', 'run' or 'exec'.
+   * @param {string} sql - The SQL.
+   * @param {Array|object} params - Bound parameters.
+   * @returns {Promise<*>} The row, the rows, or {lastID, changes} (nothing for exec).
+   */
+  function execute(method, sql, params) {
+    if (method === 'exec') return new Promise((resolve, reject) => db.exec(sql, (err) => (err ? reject(err) : resolve())));
+    return new Promise((resolve, reject) => {
+      const callback = function(err, result) {
+        if (err) reject(err);
+        else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+      };
+      if (statementCacheSize === 0) {
+        db[method](sql, params, callback);
+        return;
+      }
+      const statement = getStatement(sql);
+      // A statement left mid-result after get() would keep its read open; reset it for the next caller.
+      statement[method](params, method === 'get' ? function(err, row) { statement.reset(); callback.call(this, err, row); } : callback);
+    });
+  }
+
+  /**
+   * Builds the query methods. The connection's own methods wait for any open transaction; those handed
+   * to a transaction's work run inside it.
+   * @param {boolean} inTransaction - Whether these methods belong to an open transaction.
+   * @returns {object} The client.
+   */
+  function createMethods(inTransaction) {
+    const query = async (method, sql, params) => {
+      if (inTransaction) return execute(method, sql, params);
+      while (lock.pending > 0) await lock.tail;
+      const running = execute(method, sql, params);
+      lock.outside.add(running);
+      try {
+        return await running;
+      } finally {
+        lock.outside.delete(running);
+      }
+    };
+    const client = {
+      /**
+       * Fetches the first row of a query.
+       * @param {string} sql - The SQL.
+       * @param {Array|object} [params=[]] - Bound parameters.
+       * @returns {Promise<object|undefined>} The row, if any.
+       */
+      get(sql, params = []) {
+        return query('get', sql, params);
+      },
+
+      /**
+       * Fetches every row of a query.
+       * @param {string} sql - The SQL.
+       * @param {Array|object} [params=[]] - Bound parameters.
+       * @returns {Promise<object[]>} The rows.
+       */
+      all(sql, params = []) {
+        return query('all', sql, params);
+      },
+
+      /**
+       * Runs an INSERT, UPDATE, DELETE or other statement.
+       * @param {string} sql - The SQL.
+       * @param {Array|object} [params=[]] - Bound parameters.
+       * @returns {Promise<{lastID: number, changes: number}>} The new row's ID (inserts) and rows changed.
+       */
+      run(sql, params = []) {
+        return query('run', sql, params);
+      },
+
+      /**
+       * Runs several statements at once, without parameters or statement reuse (schema changes).
+       * @param {string} sql - The SQL.
+       * @returns {Promise<void>}
+       */
+      exec(sql) {
+        return query('exec', sql);
+      },
+
+      /**
+       * Runs work in a transaction: committed if it resolves, rolled back if it throws.
+       * @async
+       * @param {function(object): Promise<*>} work - Receives the client to use inside the transaction.
+       * @returns {Promise<*>} What the work returned.
+       */
+      async transaction(work) {
+        if (inTransaction) return work(client);
+        const previous = lock.tail;
+        let finished;
+        const current = new Promise(resolve => { finished = resolve; });
+        lock.tail = previous.then(() => current);
+        lock.pending++;
+        const txClient = createMethods(true);
+        try {
+          await previous;
+          while (lock.outside.size > 0) await Promise.allSettled([...lock.outside]);
+          await txClient.run("BEGIN IMMEDIATE");
+          try {
+            const result = await work(txClient);
+            await txClient.run("COMMIT");
+            return result;
+          } catch (err) {
+            await txClient.run("ROLLBACK").catch(() => {});
+            throw err;
+          }
+        } finally {
+          lock.pending--;
+          finished();
+        }
+      },
+
+      /**
+       * Finalizes the cached statements, e.g. before closing the connection.
+       */
+      finalizeStatements() {
+        statements.forEach(statement => statement.finalize());
+        statements.clear();
+      },
+    };
+    return client;
+  }
+
+  return createMethods(false);
+}
+
+module.exports = {
+  createClient,
+};
@@ -0,0 +1,195 @@
+/**
+ * @file File areas and their listings (file_areas and file_listings tables). The stored contents are
+ * handled by fileStore.js.
+ */
+const { isNameTaken, insertEntry, updateEntry } = require('./catalogEntries');
+
+// An area with its quota, current usage and access levels.
+const AREA_WITH_USAGE = `
+  SELECT fa.id, fa.name, fa.description, fa.max_bytes, COALESCE(SUM(fl.size_bytes), 0) AS used_bytes,
+         COUNT(fl.id) AS file_count, fa.view_level, fa.download_level, fa.upload_level,
+         fa.sort_order, fa.hidden, fa.is_default
+  FROM file_areas fa LEFT JOIN file_listings fl ON fl.area_id = fa.id`;
+
+/**
+ * Creates the files repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Looks up a file area by name or ID, with its quota, current usage and access levels.
+     * @param {string|number} areaRef - Area name or numeric ID.
+     * @returns {Promise<object|undefined>} {id, name, description, max_bytes, used_bytes, file_count, view_level,
+     *   download_level, upload_level, sort_order, hidden, is_default}, if the area exists.
+     */
+    findArea(areaRef) {
+      const byName = isNaN(parseInt(areaRef));
+      return client.get(`${AREA_WITH_USAGE} WHERE ${byName ? 'fa.name = ?' : 'fa.id = ?'} GROUP BY fa.id;`,
+                        [byName ? areaRef : parseInt(areaRef)]);
+    },
+
+    /**
+     * Returns the default file area (shown by LISTFILES without an area), like findArea.
+     * @returns {Promise<object|undefined>} The area, if one is flagged default.
+     */
+    getDefaultArea() {
+      return client.get(`${AREA_WITH_USAGE} WHERE fa.is_default = 1 GROUP BY fa.id;`);
+    },
+
+    /**
+     * Lists the areas a security level may view, in listing order, like findArea.
+     * @param {number} level - The viewer's security level (see access.js).
+     * @param {boolean} includeHidden - Whether to include hidden areas (SysOps).
+     * @returns {Promise<object[]>} The area rows.
+     */
+    listAreas(level, includeHidden) {
+      return client.all(`${AREA_WITH_USAGE} WHERE fa.view_level <= ? AND (fa.hidden = 0 OR ?) GROUP BY fa.id ORDER BY fa.sort_order, fa.id;`,
+                        [level, includeHidden ? 1 : 0]);
+    },
+
+    /**
+     * Checks whether another area already has a name (ignoring case).
+     * @param {string} name - The name.
+     * @param {number} [exceptId] - The area being renamed.
+     * @returns {Promise<boolean>} True if the name is taken.
+     */
+    isAreaNameTaken(name, exceptId) {
+      return isNameTaken(client, 'file_areas', name, exceptId);
+    },
+
+    /**
+     * Creates a file area. If it is made the default, the previous default stops being one.
+     * @param {object} area - {name, description, changes}: changes holds other column values.
+     * @returns {Promise<number>} The new area ID.
+     */
+    createArea(area) {
+      return insertEntry(client, 'file_areas', area);
+    },
+
+    /**
+     * Updates a file area's columns (levels, quota...). If it is made the default, the previous default
+     * stops being one.
+     * @param {number} areaId - The area ID.
+     * @param {Object<string, *>} changes - Column -> new value.
+     */
+    updateArea(areaId, changes) {
+      return updateEntry(client, 'file_areas', areaId, changes);
+    },
+
+    /**
+     * Deletes a file area, first moving its files to another area (the stored contents stay where they are).
+     * Without a destination the area must be empty.
+     * @param {number} areaId - The area to delete.
+     * @param {number|null} moveToId - The area that receives its files.
+     * @returns {Promise<number>} How many files were moved.
+     */
+    deleteArea(areaId, moveToId) {
+      return client.transaction(async (tx) => {
+        const moved = moveToId ? (await tx.run("UPDATE file_listings SET area_id = ? WHERE area_id = ?", [moveToId, areaId])).changes : 0;
+        await tx.run("DELETE FROM file_areas WHERE id = ?", [areaId]);
+        return moved;
+      });
+    },
+
+    /**
+     * Lists the file names two areas have in common (file names are unique within an area).
+     * @param {number} areaId - One area.
+     * @param {number} otherAreaId - The other area.
+     * @returns {Promise<string[]>} The shared file names.
+     */
+    async findFilenameClashes(areaId, otherAreaId) {
+      const rows = await client.all(`SELECT filename FROM file_listings WHERE area_id = ?
+                                     AND filename IN (SELECT filename FROM file_listings WHERE area_id = ?) ORDER BY filename`,
+                                    [areaId, otherAreaId]);
+      return rows.map(r => r.filename);
+    },
+
+    /**
+     * Lists the files in an area, by name.
+     * @param {number} areaId - The area ID.
+     * @returns {Promise<object[]>} Listing rows with the uploader's username.
+     */
+    listFiles(areaId) {
+      return client.all(`
+        SELECT fl.id, fl.filename, fl.description, fl.download_count, fl.size_bytes, u.username AS uploader_username, fl.upload_date
+        FROM file_listings fl JOIN users u ON fl.uploader_user_id = u.id
+        WHERE fl.area_id = ? ORDER BY fl.filename;`, [areaId]);
+    },
+
+    /**
+     * Loads a listing with its area's name and access levels.
+     * @param {number} fileId - The listing ID.
+     * @returns {Promise<object|undefined>} The listing row, if it exists.
+     */
+    getFile(fileId) {
+      return client.get(`
+        SELECT fl.id, fl.area_id, fl.filename, fl.description, fl.uploader_user_id, fl.upload_date, fl.download_count,
+               fl.size_bytes, fl.sha256, fl.mime_type, fa.name AS area_name, fa.view_level, fa.download_level
+        FROM file_listings fl JOIN file_areas fa ON fa.id = fl.area_id WHERE fl.id = ?`, [fileId]);
+    },
+
+    /**
+     * Checks whether an area has a file with a name.
+     * @param {number} areaId - The area ID.
+     * @param {string} filename - The file name (exact match).
+     * @returns {Promise<boolean>} True if it does.
+     */
+    async hasFile(areaId, filename) {
+      return !!(await client.get("SELECT 1 FROM file_listings WHERE area_id = ? AND filename = ?", [areaId, filename]));
+    },
+
+    /**
+     * Creates a listing. Listings made without contents (UPLOADINFO) have no size, digest or type.
+     * The area's quota is checked in the same statement, so concurrent uploads cannot together exceed it.
+     * @param {object} listing - The listing.
+     * @param {number} listing.areaId - The area ID.
+     * @param {string} listing.filename - The file name.
+     * @param {string} [listing.description] - Its description.
+     * @param {number} listing.uploaderId - The uploader's user ID.
+     * @param {number} [listing.size] - Size of the stored contents in bytes.
+     * @param {string} [listing.sha256] - Digest of the stored contents (see fileStore.js).
+     * @param {string} [listing.mimeType] - The contents' MIME type.
+     * @returns {Promise<number|null|false>} The new listing ID, null if the area already has a file with that name,
+     *   or false if the contents would put the area over its quota.
+     */
+    async addListing({ areaId, filename, description = '', uploaderId, size = null, sha256 = null, mimeType = null }) {
+      try {
+        const { lastID, changes } = await client.run(
+          `INSERT INTO file_listings (area_id, filename, description, uploader_user_id, upload_date, size_bytes, sha256, mime_type)
+           SELECT ?, ?, ?, ?, ?, ?, ?, ?
+           WHERE ? IS NULL OR (SELECT max_bytes FROM file_areas WHERE id = ?) IS NULL
+              OR (SELECT COALESCE(SUM(size_bytes), 0) FROM file_listings WHERE area_id = ?) + ?
+                 <= (SELECT max_bytes FROM file_areas WHERE id = ?)`,
+          [areaId, filename, description, uploaderId, new Date().toISOString(), size, sha256, mimeType,
+           size, areaId, areaId, size, areaId]);
+        return changes === 0 ? false : lastID;
+      } catch (err) {
+        if (err.message.includes("UNIQUE constraint failed")) return null;
+        throw err;
+      }
+    },
+
+    /**
+     * Replaces a listing's description.
+     * @param {number} fileId - The listing ID.
+     * @param {string} description - The new description.
+     */
+    async setDescription(fileId, description) {
+      await client.run("UPDATE file_listings SET description = ? WHERE id = ?", [description, fileId]);
+    },
+
+    /**
+     * Increments a listing's download counter.
+     * @param {number} fileId - The listing ID.
+     */
+    async recordDownload(fileId) {
+      await client.run("UPDATE file_listings SET download_count = download_count + 1 WHERE id = ?", [fileId]);
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
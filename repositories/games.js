@@ -0,0 +1,54 @@
+/**
+ * @file Door games saved for later (saved_games table): one per user and game, holding the game's own
+ * snapshot as JSON. See games/index.js for when games are saved and resumed.
+ */
+
+/**
+ * Creates the games repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Saves a game, replacing any earlier save of the same game.
+     * @param {number} userId - The player's user ID.
+     * @param {string} game - The game's name.
+     * @param {*} state - The game's snapshot (anything JSON can hold).
+     */
+    async save(userId, game, state) {
+      await client.run(`
+        INSERT INTO saved_games (user_id, game, state, saved_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id, game) DO UPDATE SET state = excluded.state, saved_at = excluded.saved_at;`,
+        [userId, game, JSON.stringify(state), new Date().toISOString()]);
+    },
+
+    /**
+     * Takes a saved game out of storage, to be resumed.
+     * @param {number} userId - The player's user ID.
+     * @param {string} game - The game's name.
+     * @returns {Promise<{state: *, savedAt: string}|undefined>} The snapshot and when it was saved, if there was one.
+     */
+    take(userId, game) {
+      return client.transaction(async (tx) => {
+        const row = await tx.get("SELECT state, saved_at FROM saved_games WHERE user_id = ? AND game = ?", [userId, game]);
+        if (!row) return undefined;
+        await tx.run("DELETE FROM saved_games WHERE user_id = ? AND game = ?", [userId, game]);
+        return { state: JSON.parse(row.state), savedAt: row.saved_at };
+      });
+    },
+
+    /**
+     * Lists a user's saved games.
+     * @param {number} userId - The player's user ID.
+     * @returns {Promise<Array<{game: string, saved_at: string}>>} The games, by name.
+     */
+    listSaved(userId) {
+      return client.all("SELECT game, saved_at FROM saved_games WHERE user_id = ? ORDER BY game", [userId]);
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
@@ -0,0 +1,70 @@
+/**
+ * @file The data access layer: every SQL query the BBS runs outside migrations lives in one of the
+ * repositories in this directory, grouped by what it stores. database.js builds them around the shared
+ * connection once the schema is up to date; commands get them as `repos` in their context:
+ *
+ *   const user = await repos.users.findByName('alice');
+ *   await repos.transaction(async (tx) => { await tx.mail.send(...); await tx.users.recordLogin(...); });
+ *
+ * Repository methods are async. A failed query is logged as `SQLite Error (<repository>.<method>)` and
+ * rejects with the sqlite3 error, so callers only need to decide what to tell the user.
+ */
+const { createClient } = require('./client');
+
+// Repository name -> module exporting create(client).
+const REPOSITORIES = {
+  users: require('./users'),
+  bans: require('./bans'),
+  boards: require('./boards'),
+  messages: require('./messages'),
+  mail: require('./mail'),
+  files: require('./files'),
+  prefs: require('./prefs'),
+  broadcasts: require('./broadcasts'),
+  search: require('./search'),
+  games: require('./games'),
+  scores: require('./scores'),
+};
+
+/**
+ * Wraps a repository's methods so that failed queries are logged with the method's name.
+ * @param {string} repositoryName - e.g. 'users'.
+ * @param {Object<string, function>} methods - The repository's methods.
+ * @returns {Object<string, function>} The wrapped methods.
+ */
+function withErrorLogging(repositoryName, methods) {
+  const wrapped = {};
+  for (const [methodName, method] of Object.entries(methods)) {
+    wrapped[methodName] = async (...args) => {
+      try {
+        return await method(...args);
+      } catch (err) {
+        console.error(`SQLite Error (${repositoryName}.${methodName}):`, err.message);
+        throw err;
+      }
+    };
+  }
+  return wrapped;
+}
+
+/**
+ * Builds every repository around a client.
+ * @param {object} client - A client from createClient (or the one a transaction hands its work).
+ * @returns {object} {users, bans, boards, messages, mail, files, prefs, broadcasts, search, games, scores,
+ *   transaction}.
+ *   `transaction(work)` runs work(txRepos) in one transaction, with repositories bound to it.
+ */
+function createRepositories(client) {
+  const repos = {
+    transaction: (work) => client.transaction(txClient => work(createRepositories(txClient))),
+  };
+  for (const [name, repository] of Object.entries(REPOSITORIES)) {
+    repos[name] = withErrorLogging(name, repository.create(client));
+  }
+  return repos;
+}
+
+module.exports = {
+  createClient,
+  createRepositories,
+};
@@ -0,0 +1,82 @@
+/**
+ * @file Private mail between users (private_messages table).
+ */
+
+/**
+ * Creates the mail repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Stores a private message, unread.
+     * @param {object} mail - The message.
+     * @param {number} mail.senderId - The sender's user ID.
+     * @param {number} mail.recipientId - The recipient's user ID.
+     * @param {string} mail.subject - The subject.
+     * @param {string} mail.body - The text (may be empty).
+     * @returns {Promise<number>} The new message ID.
+     */
+    async send({ senderId, recipientId, subject, body }) {
+      const { lastID } = await client.run(
+        "INSERT INTO private_messages (sender_id, recipient_id, subject, body, timestamp, is_read) VALUES (?, ?, ?, ?, ?, 0)",
+        [senderId, recipientId, subject, body, new Date().toISOString()]);
+      return lastID;
+    },
+
+    /**
+     * Lists a user's mail, newest first.
+     * @param {number} recipientId - The recipient's user ID.
+     * @returns {Promise<object[]>} {id, subject, timestamp, is_read, sender_username} rows.
+     */
+    listReceived(recipientId) {
+      return client.all(`
+        SELECT pm.id, pm.subject, pm.timestamp, pm.is_read, u.username AS sender_username
+        FROM private_messages pm JOIN users u ON pm.sender_id = u.id
+        WHERE pm.recipient_id = ? ORDER BY pm.timestamp DESC;`, [recipientId]);
+    },
+
+    /**
+     * Counts a user's unread mail.
+     * @param {number} recipientId - The recipient's user ID.
+     * @returns {Promise<number>} The count.
+     */
+    async countUnread(recipientId) {
+      return (await client.get("SELECT COUNT(*) AS unread_count FROM private_messages WHERE recipient_id = ? AND is_read = 0",
+                               [recipientId])).unread_count;
+    },
+
+    /**
+     * Loads a message addressed to a user and marks it read, in one transaction.
+     * @param {number} messageId - The message ID.
+     * @param {number} recipientId - The reader's user ID; other users' mail is not found.
+     * @returns {Promise<object|undefined>} The message as it was before reading ({id, subject, body, timestamp,
+     *   is_read, sender_username}), if it exists and is theirs.
+     */
+    read(messageId, recipientId) {
+      return client.transaction(async (tx) => {
+        const message = await tx.get(`
+          SELECT pm.id, pm.subject, pm.body, pm.timestamp, pm.is_read, u.username AS sender_username
+          FROM private_messages pm JOIN users u ON pm.sender_id = u.id
+          WHERE pm.id = ? AND pm.recipient_id = ?;`, [messageId, recipientId]);
+        if (message && !message.is_read) await tx.run("UPDATE private_messages SET is_read = 1 WHERE id = ?", [messageId]);
+        return message;
+      });
+    },
+
+    /**
+     * Deletes a message addressed to a user.
+     * @param {number} messageId - The message ID.
+     * @param {number} recipientId - The recipient's user ID.
+     * @returns {Promise<boolean>} False if there is no such message for them.
+     */
+    async delete(messageId, recipientId) {
+      return (await client.run("DELETE FROM private_messages WHERE id = ? AND recipient_id = ?", [messageId, recipientId])).changes > 0;
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
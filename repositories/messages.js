@@ -0,0 +1,131 @@
+/**
+ * @file Board messages (messages table). Top-level posts start their own thread (thread_id is their own
+ * ID); replies carry their parent's ID and join its thread. See threads.js for rendering.
+ */
+
+/**
+ * Creates the messages repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Posts a message. Top-level posts start their own thread; replies join the parent's thread.
+     * @param {object} post - The message to create.
+     * @param {number} post.boardId - Board the message belongs to.
+     * @param {number} post.userId - Author's user ID.
+     * @param {string} post.body - Message text.
+     * @param {string} [post.subject] - Topic subject (top-level posts).
+     * @param {object} [post.parent] - Parent message row ({id, thread_id}) when replying.
+     * @returns {Promise<number>} The new message ID.
+     */
+    create({ boardId, userId, body, subject = null, parent = null }) {
+      const parentId = parent ? parent.id : null;
+      const threadId = parent ? (parent.thread_id || parent.id) : null;
+      return client.transaction(async (tx) => {
+        const { lastID } = await tx.run(
+          "INSERT INTO messages (board_id, user_id, body, timestamp, subject, parent_id, thread_id) VALUES (?, ?, ?, ?, ?, ?, ?)",
+          [boardId, userId, body, new Date().toISOString(), subject, parentId, threadId]);
+        if (!threadId) await tx.run("UPDATE messages SET thread_id = ? WHERE id = ?", [lastID, lastID]);
+        return lastID;
+      });
+    },
+
+    /**
+     * Loads one message with its author, board name and access levels, direct reply count and thread subject.
+     * @param {number} messageId - The message ID.
+     * @returns {Promise<object|undefined>} The message row, if it exists.
+     */
+    get(messageId) {
+      return client.get(`
+        SELECT m.id, m.board_id, m.body, m.timestamp, m.subject, m.parent_id, m.thread_id,
+               u.username, b.name AS board_name, b.read_level, b.post_level,
+               (SELECT COUNT(*) FROM messages c WHERE c.parent_id = m.id) AS reply_count,
+               (SELECT r.subject FROM messages r WHERE r.id = m.thread_id) AS thread_subject
+        FROM messages m JOIN users u ON m.user_id = u.id LEFT JOIN boards b ON m.board_id = b.id
+        WHERE m.id = ?;`, [messageId]);
+    },
+
+    /**
+     * Loads every message in a thread, oldest first.
+     * @param {number} threadId - The thread (root message) ID.
+     * @returns {Promise<object[]>} The thread's message rows.
+     */
+    getThread(threadId) {
+      return client.all(`
+        SELECT m.id, m.body, m.timestamp, m.subject, m.parent_id, m.thread_id, u.username
+        FROM messages m JOIN users u ON m.user_id = u.id
+        WHERE m.thread_id = ? ORDER BY m.id;`, [threadId]);
+    },
+
+    /**
+     * Lists the most recently active threads on a board.
+     * @param {number} boardId - The board ID.
+     * @param {number} limit - Maximum number of threads.
+     * @returns {Promise<object[]>} Root message rows with reply_count and last_activity.
+     */
+    getBoardThreads(boardId, limit) {
+      return client.all(`
+        SELECT r.id, r.subject, r.body, r.timestamp, u.username,
+               COUNT(m.id) - 1 AS reply_count, MAX(m.timestamp) AS last_activity
+        FROM messages r
+        JOIN users u ON r.user_id = u.id
+        JOIN messages m ON m.thread_id = r.id
+        WHERE r.board_id = ? AND r.parent_id IS NULL
+        GROUP BY r.id ORDER BY last_activity DESC LIMIT ?;`, [boardId, limit]);
+    },
+
+    /**
+     * Lists a board's newest messages, newest first.
+     * @param {number} boardId - The board ID.
+     * @param {number} limit - Maximum number of messages.
+     * @returns {Promise<object[]>} Message rows with author usernames.
+     */
+    getRecent(boardId, limit) {
+      return client.all(`
+        SELECT m.id, m.body, m.timestamp, m.parent_id, u.username
+        FROM messages m JOIN users u ON m.user_id = u.id
+        WHERE m.board_id = ? ORDER BY m.timestamp DESC, m.id DESC LIMIT ?;`, [boardId, limit]);
+    },
+
+    /**
+     * Returns the messages on one board that a user has not read (see boards.getLastRead), oldest first.
+     * @param {number} userId - The user's ID.
+     * @param {number} boardId - The board ID.
+     * @param {number} limit - Maximum number of messages.
+     * @returns {Promise<object[]>} Message rows with author usernames.
+     */
+    getUnread(userId, boardId, limit) {
+      return client.all(`
+        SELECT m.id, m.body, m.timestamp, m.subject, m.parent_id, u.username
+        FROM messages m JOIN users u ON m.user_id = u.id
+        WHERE m.board_id = ? AND m.user_id != ?
+          AND m.id > COALESCE((SELECT last_read_message_id FROM board_last_read WHERE user_id = ? AND board_id = ?), 0)
+        ORDER BY m.id LIMIT ?;`, [boardId, userId, userId, boardId, limit]);
+    },
+
+    /**
+     * Replaces a message's text.
+     * @param {number} messageId - The message ID.
+     * @param {string} body - The new text.
+     * @returns {Promise<boolean>} False if the message does not exist.
+     */
+    async updateBody(messageId, body) {
+      return (await client.run("UPDATE messages SET body = ? WHERE id = ?", [body, messageId])).changes > 0;
+    },
+
+    /**
+     * Deletes a message. Its replies stay, shown at the top level of the thread.
+     * @param {number} messageId - The message ID.
+     * @returns {Promise<boolean>} False if the message does not exist.
+     */
+    async delete(messageId) {
+      return (await client.run("DELETE FROM messages WHERE id = ?", [messageId])).changes > 0;
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
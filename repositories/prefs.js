@@ -0,0 +1,47 @@
+/**
+ * @file Saved color and theme preferences (user_preferences table): one `color_<prefKey>` column per
+ * customizable element, plus the theme. See preferences.js for how sessions use them.
+ */
+
+/**
+ * Creates the prefs repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Loads a user's saved preferences.
+     * @param {number} userId - The user ID.
+     * @returns {Promise<{colors: Object<string, (string|null)>, theme: (string|null)}|undefined>} prefKey -> color
+     *   name, and the theme, if they have saved any.
+     */
+    async get(userId) {
+      const row = await client.get("SELECT * FROM user_preferences WHERE user_id = ?", [userId]);
+      if (!row) return undefined;
+      const colors = {};
+      Object.keys(row).filter(column => column.startsWith('color_')).forEach(column => { colors[column.substring(6)] = row[column]; });
+      return { colors, theme: row.theme };
+    },
+
+    /**
+     * Saves a user's preferences, creating their row if needed.
+     * @param {number} userId - The user ID.
+     * @param {Object<string, (string|null)>} colors - prefKey -> color name (null for the default).
+     * @param {string} theme - The theme name.
+     */
+    async save(userId, colors, theme) {
+      const prefKeys = Object.keys(colors);
+      const columns = prefKeys.map(prefKey => `color_${prefKey}`);
+      const updates = [...columns, 'theme'].map(col => `${col} = excluded.${col}`).join(', ');
+      await client.run(`
+        INSERT INTO user_preferences (user_id, ${columns.join(', ')}, theme)
+        VALUES (?, ${columns.map(() => '?').join(', ')}, ?)
+        ON CONFLICT(user_id) DO UPDATE SET ${updates};`, [userId, ...prefKeys.map(prefKey => colors[prefKey]), theme]);
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
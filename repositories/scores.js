@@ -0,0 +1,91 @@
+/**
+ * @file Door game results (game_scores table): one row per result a game submits. Whether a lower or a
+ * higher score is better is up to the game, so the leaderboard queries take `lowerIsBetter`. See scores.js
+ * for how results are submitted and shown.
+ */
+
+/**
+ * Picks the SQL for a game's score order.
+ * @param {boolean} lowerIsBetter - True for games like Number Guess, where fewer attempts win.
+ * @returns {{best: string, order: string, beats: string}} The aggregate, sort direction and comparison.
+ */
+function direction(lowerIsBetter) {
+  return lowerIsBetter ? { best: 'MIN', order: 'ASC', beats: '<' } : { best: 'MAX', order: 'DESC', beats: '>' };
+}
+
+/**
+ * Creates the scores repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Records a result.
+     * @param {number} userId - The player's user ID.
+     * @param {string} game - The game's name.
+     * @param {number} score - The result.
+     * @returns {Promise<number>} The new row's ID.
+     */
+    async add(userId, game, score) {
+      const { lastID } = await client.run("INSERT INTO game_scores (user_id, game, score, played_at) VALUES (?, ?, ?, ?)",
+          [userId, game, score, new Date().toISOString()]);
+      return lastID;
+    },
+
+    /**
+     * Lists a game's leading players, each with their best result. Ties go to whoever got there first.
+     * @param {string} game - The game's name.
+     * @param {object} options - {lowerIsBetter, since (ISO timestamp, optional), limit}.
+     * @returns {Promise<Array<{user_id: number, username: string, score: number, played_at: string}>>} Best first.
+     */
+    getLeaders(game, { lowerIsBetter, since = null, limit }) {
+      const { best, order } = direction(lowerIsBetter);
+      // SQLite takes played_at from the row that holds the MIN/MAX.
+      return client.all(`
+        SELECT s.user_id, u.username, ${best}(s.score) AS score, s.played_at
+        FROM game_scores s JOIN users u ON u.id = s.user_id
+        WHERE s.game = ? AND (? IS NULL OR s.played_at >= ?)
+        GROUP BY s.user_id
+        ORDER BY score ${order}, s.played_at ASC
+        LIMIT ?;`, [game, since, since, limit]);
+    },
+
+    /**
+     * Lists one player's best results in a game.
+     * @param {number} userId - The player's user ID.
+     * @param {string} game - The game's name.
+     * @param {object} options - {lowerIsBetter, limit}.
+     * @returns {Promise<Array<{score: number, played_at: string}>>} Best first, earliest first among equals.
+     */
+    getPersonal(userId, game, { lowerIsBetter, limit }) {
+      const { order } = direction(lowerIsBetter);
+      return client.all(`SELECT score, played_at FROM game_scores WHERE user_id = ? AND game = ?
+                         ORDER BY score ${order}, played_at ASC LIMIT ?`, [userId, game, limit]);
+    },
+
+    /**
+     * Finds a player's all-time standing in a game. Players with the same best share a rank.
+     * @param {number} userId - The player's user ID.
+     * @param {string} game - The game's name.
+     * @param {object} options - {lowerIsBetter}.
+     * @returns {Promise<{best: number, results: number, rank: number, players: number}|undefined>} Undefined if
+     *   the player has no results in the game.
+     */
+    async getStanding(userId, game, { lowerIsBetter }) {
+      const { best, beats } = direction(lowerIsBetter);
+      const mine = await client.get(`SELECT ${best}(score) AS best, COUNT(*) AS results FROM game_scores
+                                     WHERE user_id = ? AND game = ?`, [userId, game]);
+      if (!mine || mine.results === 0) return undefined;
+      const standing = await client.get(`
+        SELECT COUNT(*) AS players, SUM(player_best ${beats} ?) AS ahead
+        FROM (SELECT ${best}(score) AS player_best FROM game_scores WHERE game = ? GROUP BY user_id);`,
+        [mine.best, game]);
+      return { best: mine.best, results: mine.results, rank: standing.ahead + 1, players: standing.players };
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
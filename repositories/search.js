@@ -0,0 +1,123 @@
+/**
+ * @file Full-text search over board messages, private mail and file listings, backed by the FTS5
+ * indexes created by migration 006.
+ */
+
+/**
+ * Turns search words into an FTS5 query: every word must match, a trailing * is a prefix search, and
+ * quoted phrases stay phrases. Quoting every token keeps FTS operators in user input inert.
+ * @param {string[]} terms - The search words.
+ * @returns {string} The FTS5 MATCH expression.
+ */
+function toFtsQuery(terms) {
+  return terms.map(term => {
+    const isPrefix = term.endsWith('*') && term.length > 1;
+    const word = (isPrefix ? term.slice(0, -1) : term).replace(/^"|"$/g, '').replace(/"/g, '""');
+    return `"${word}"${isPrefix ? '*' : ''}`;
+  }).join(' ');
+}
+
+/**
+ * Builds the UNION ALL query over the searched sources.
+ * @param {object} criteria - See the repository's find().
+ * @returns {{sql: string, params: any[]}} The result query without ORDER/LIMIT; sql is empty if no source applies.
+ */
+function buildSearchQuery({ scope, terms, filters, level, userId, highlight }) {
+  const match = toFtsQuery(terms);
+  const [highlightStart, highlightEnd] = highlight;
+  const branches = [];
+  const params = [];
+  const addDateFilters = (column, where, branchParams) => {
+    if (filters.fromDate) { where.push(`${column} >= ?`); branchParams.push(filters.fromDate); }
+    if (filters.toDate) { where.push(`${column} < date(?, '+1 day')`); branchParams.push(filters.toDate); }
+  };
+  const addPlaceFilter = (table, where, branchParams) => {
+    if (!filters.place) return;
+    where.push(`(${table}.name = ? OR ${table}.id = ?)`);
+    branchParams.push(filters.place, parseInt(filters.place) || -1);
+  };
+
+  if (scope === 'ALL' || scope === 'BOARDS') {
+    const where = ['messages_search_fts MATCH ?'];
+    const branchParams = [highlightStart, highlightEnd, match];
+    if (filters.author) { where.push('u.username = ?'); branchParams.push(filters.author); }
+    addPlaceFilter('b', where, branchParams);
+    addDateFilters('m.timestamp', where, branchParams);
+    where.push('COALESCE(b.read_level, 0) <= ?'); branchParams.push(level);
+    branches.push(`
+      SELECT 'MSG' AS kind, m.id AS id, m.timestamp AS ts, u.username AS author, b.name AS place,
+             m.subject AS title, snippet(messages_search_fts, 1, ?, ?, '...', 10) AS excerpt
+      FROM messages_search_fts JOIN messages m ON m.id = messages_search_fts.rowid
+      JOIN users u ON u.id = m.user_id LEFT JOIN boards b ON b.id = m.board_id
+      WHERE ${where.join(' AND ')}`);
+    params.push(...branchParams);
+  }
+  // Mail has no board or area, so an IN: filter leaves it out. Only the user's own mail is searched.
+  if ((scope === 'ALL' || scope === 'MAIL') && !filters.place && userId) {
+    const where = ['private_messages_fts MATCH ?', '(pm.recipient_id = ? OR pm.sender_id = ?)'];
+    const branchParams = [highlightStart, highlightEnd, match, userId, userId];
+    if (filters.author) { where.push('u.username = ?'); branchParams.push(filters.author); }
+    addDateFilters('pm.timestamp', where, branchParams);
+    branches.push(`
+      SELECT 'MAIL' AS kind, pm.id AS id, pm.timestamp AS ts, u.username AS author, NULL AS place,
+             pm.subject AS title, snippet(private_messages_fts, -1, ?, ?, '...', 10) AS excerpt
+      FROM private_messages_fts JOIN private_messages pm ON pm.id = private_messages_fts.rowid
+      JOIN users u ON u.id = pm.sender_id
+      WHERE ${where.join(' AND ')}`);
+    params.push(...branchParams);
+  }
+  if (scope === 'ALL' || scope === 'FILES') {
+    const where = ['file_listings_fts MATCH ?'];
+    const branchParams = [highlightStart, highlightEnd, match];
+    if (filters.author) { where.push('u.username = ?'); branchParams.push(filters.author); }
+    addPlaceFilter('fa', where, branchParams);
+    addDateFilters('fl.upload_date', where, branchParams);
+    where.push('COALESCE(fa.view_level, 0) <= ?'); branchParams.push(level);
+    branches.push(`
+      SELECT 'FILE' AS kind, fl.id AS id, fl.upload_date AS ts, u.username AS author, fa.name AS place,
+             fl.filename AS title, snippet(file_listings_fts, -1, ?, ?, '...', 10) AS excerpt
+      FROM file_listings_fts JOIN file_listings fl ON fl.id = file_listings_fts.rowid
+      JOIN users u ON u.id = fl.uploader_user_id LEFT JOIN file_areas fa ON fa.id = fl.area_id
+      WHERE ${where.join(' AND ')}`);
+    params.push(...branchParams);
+  }
+  return { sql: branches.join('\n      UNION ALL'), params };
+}
+
+/**
+ * Creates the search repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Counts the matches for a search and returns one page of them, newest first.
+     * @param {object} criteria - What to search.
+     * @param {string} criteria.scope - 'ALL', 'BOARDS', 'MAIL' or 'FILES'.
+     * @param {string[]} criteria.terms - The search words (see toFtsQuery).
+     * @param {object} criteria.filters - {author, place, fromDate, toDate}, each optional.
+     * @param {number} criteria.level - The searcher's security level; boards and areas above it are left out.
+     * @param {number|null} criteria.userId - The searcher's user ID; mail is only searched for logged-in users.
+     * @param {string[]} criteria.highlight - The text placed before and after matched words in excerpts.
+     * @param {number} page - The page wanted (from 1); past the last page, the last page is returned.
+     * @param {number} pageSize - Results per page.
+     * @returns {Promise<{total: number, page: number, rows: object[]}|null>} The total, the page returned and
+     *   its {kind, id, ts, author, place, title, excerpt} rows, or null if the filters leave nothing to search.
+     */
+    async find(criteria, page, pageSize) {
+      const { sql, params } = buildSearchQuery(criteria);
+      if (!sql) return null;
+      const { total } = await client.get(`SELECT COUNT(*) AS total FROM (${sql})`, params);
+      if (total === 0) return { total, page: 1, rows: [] };
+      const lastPage = Math.ceil(total / pageSize);
+      page = Math.min(page, lastPage);
+      const rows = await client.all(`${sql}\n      ORDER BY ts DESC LIMIT ? OFFSET ?`, [...params, pageSize, (page - 1) * pageSize]);
+      return { total, page, rows };
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
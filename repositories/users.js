@@ -0,0 +1,111 @@
+/**
+ * @file User accounts (users table).
+ */
+
+// Everything but the password hash.
+const PUBLIC_COLUMNS = 'id, username, role, registration_date, last_login_at, last_login_address, password_reset_required';
+
+/**
+ * Creates the users repository.
+ * @param {object} client - The database client (see client.js).
+ * @returns {object} The repository.
+ */
+function create(client) {
+  return {
+    /**
+     * Looks up an account by username (exact match).
+     * @param {string} username - The username.
+     * @returns {Promise<object|undefined>} The users row without the password hash, if the account exists.
+     */
+    findByName(username) {
+      return client.get(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE username = ?`, [username]);
+    },
+
+    /**
+     * Looks up an account with its password hash, for checking a password.
+     * @param {object} ref - Exactly one of username and id.
+     * @param {string} [ref.username] - The username.
+     * @param {number} [ref.id] - The user ID.
+     * @returns {Promise<object|undefined>} The full users row, if the account exists.
+     */
+    findWithPasswordHash({ username, id }) {
+      return username !== undefined ?
+          client.get("SELECT * FROM users WHERE username = ?", [username]) :
+          client.get("SELECT * FROM users WHERE id = ?", [id]);
+    },
+
+    /**
+     * Counts the accounts.
+     * @returns {Promise<number>} The count.
+     */
+    async count() {
+      return (await client.get("SELECT COUNT(*) AS user_count FROM users")).user_count;
+    },
+
+    /**
+     * Creates an account with the default role.
+     * @param {object} user - The account.
+     * @param {string} user.username - The username.
+     * @param {string} user.passwordHash - The bcrypt hash of the password.
+     * @returns {Promise<number>} The new user ID.
+     */
+    async create({ username, passwordHash }) {
+      const { lastID } = await client.run("INSERT INTO users (username, password_hash, registration_date) VALUES (?, ?, ?)",
+                                          [username, passwordHash, new Date().toISOString()]);
+      return lastID;
+    },
+
+    /**
+     * Records a successful login.
+     * @param {number} userId - The user ID.
+     * @param {string} [address] - The address they logged in from.
+     */
+    async recordLogin(userId, address) {
+      await client.run("UPDATE users SET last_login_at = ?, last_login_address = ? WHERE id = ?",
+                       [new Date().toISOString(), address || null, userId]);
+    },
+
+    /**
+     * Replaces a password.
+     * @param {number} userId - The user ID.
+     * @param {string} passwordHash - The bcrypt hash of the new password.
+     * @param {boolean} resetRequired - Whether the user must choose a new one at their next login
+     *   (the SysOp's RESETPASS).
+     */
+    async setPassword(userId, passwordHash, resetRequired) {
+      await client.run("UPDATE users SET password_hash = ?, password_reset_required = ? WHERE id = ?",
+                       [passwordHash, resetRequired ? 1 : 0, userId]);
+    },
+
+    /**
+     * Changes an account's role.
+     * @param {number} userId - The user ID.
+     * @param {string} role - The new role (see access.js).
+     */
+    async setRole(userId, role) {
+      await client.run("UPDATE users SET role = ? WHERE id = ?", [role, userId]);
+    },
+
+    /**
+     * Counts what an account has posted, uploaded and mailed, for USERINFO.
+     * @param {number} userId - The user ID.
+     * @returns {Promise<{posts: number, files: number, mail_sent: number, mail_received: number,
+     *   mail_unread: number, moderates: (string|null)}>} The counts, and the boards they moderate (comma-separated).
+     */
+    getActivity(userId) {
+      return client.get(`
+        SELECT
+          (SELECT COUNT(*) FROM messages WHERE user_id = $id) AS posts,
+          (SELECT COUNT(*) FROM file_listings WHERE uploader_user_id = $id) AS files,
+          (SELECT COUNT(*) FROM private_messages WHERE sender_id = $id) AS mail_sent,
+          (SELECT COUNT(*) FROM private_messages WHERE recipient_id = $id) AS mail_received,
+          (SELECT COUNT(*) FROM private_messages WHERE recipient_id = $id AND is_read = 0) AS mail_unread,
+          (SELECT GROUP_CONCAT(b.name, ', ') FROM board_moderators bm JOIN boards b ON b.id = bm.board_id
+           WHERE bm.user_id = $id) AS moderates`, { $id: userId });
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
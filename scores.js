@@ -0,0 +1,156 @@
+/**
+ * @file High scores for the door games (stored by repos.scores).
+ * A game keeps scores by declaring `scoring: {unit, lowerIsBetter}` and calling `ctx.submitScore(score)`
+ * when a player finishes; the game registry records it here once the hook returns (see games/index.js).
+ * SCORES shows the all-time, weekly and personal-best boards, and LOGIN shows this week's top players.
+ */
+const { colorize } = require('./ansi');
+
+const LEADERBOARD_SIZE = 10; // Rows on each SCORES board.
+const BULLETIN_SIZE = 3; // Players per game in the login bulletin.
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000; // The weekly boards cover the last seven days.
+
+/**
+ * Checks whether a game keeps scores.
+ * @param {object} definition - The game definition.
+ * @returns {boolean} True if it declares `scoring`.
+ */
+function keepsScores(definition) {
+  return !!definition.scoring;
+}
+
+/**
+ * Formats a score in the game's unit.
+ * @param {object} definition - The game definition (with `scoring`).
+ * @param {number} score - The score.
+ * @returns {string} e.g. "3 attempts".
+ */
+function formatScore(definition, score) {
+  return `${score} ${definition.scoring.unit}${score === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describes which scores win in a game.
+ * @param {object} definition - The game definition (with `scoring`).
+ * @returns {string} e.g. "fewest attempts wins".
+ */
+function describeOrder(definition) {
+  return `${definition.scoring.lowerIsBetter ? 'fewest' : 'most'} ${definition.scoring.unit}s wins`;
+}
+
+/**
+ * Gives each row of a leaderboard its rank. Equal scores share a rank.
+ * @param {Array<{score: number}>} rows - The rows, best first.
+ * @returns {number[]} The ranks, in the same order.
+ */
+function rankRows(rows) {
+  return rows.map((row, index) => {
+    let rank = index + 1;
+    while (rank > 1 && rows[rank - 2].score === row.score) rank--;
+    return rank;
+  });
+}
+
+/**
+ * Records a score a game submitted for a session's player.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} session - The player's session object.
+ * @param {object} definition - The game definition (with `scoring`).
+ * @param {number} score - The score.
+ * @returns {Promise<string>} A line telling the player how the score stands.
+ */
+async function recordScore(repos, session, definition, score) {
+  if (!session.loggedIn || !session.userId) return "Log in to have your scores recorded on the SCORES boards.\n";
+  const options = { lowerIsBetter: !!definition.scoring.lowerIsBetter };
+  const { before, after } = await repos.transaction(async (tx) => {
+    const previous = await tx.scores.getStanding(session.userId, definition.name, options);
+    await tx.scores.add(session.userId, definition.name, score);
+    return { before: previous, after: await tx.scores.getStanding(session.userId, definition.name, options) };
+  });
+  console.log(`${definition.name} score for ${session.username}: ${score}`);
+  const personalBest = !before || after.best !== before.best;
+  return `Score recorded: ${formatScore(definition, score)}.${personalBest ? ' New personal best!' : ''} ` +
+         `You are #${after.rank} of ${after.players} player(s) all-time. Type SCORES ${definition.name} to see the board.\n`;
+}
+
+/**
+ * Formats a game's all-time or weekly leaderboard.
+ * @async
+ * @param {object} repos - The repositories.
+ * @param {object} session - The viewer's session object (for colors and to mark their row).
+ * @param {object} definition - The game definition (with `scoring`).
+ * @param {boolean} weekly - True for the last seven days only.
+ * @returns {Promise<string>} The board.
+ */
+async function formatLeaderboard(repos, session, definition, weekly) {
+  const since = weekly ? new Date(Date.now() - WEEK_MS).toISOString() : null;
+  const rows = await repos.scores.getLeaders(definition.name,
+      { lowerIsBetter: !!definition.scoring.lowerIsBetter, since, limit: LEADERBOARD_SIZE });
+  if (rows.length === 0) return `No ${definition.title} scores recorded ${weekly ? 'this week' : 'yet'}.\n`;
+  const ranks = rankRows(rows);
+  const lines = rows.map((row, index) => {
+    const you = session.loggedIn && row.user_id === session.userId ? ' <- you' : '';
+    return `  ${ranks[index]}. ${colorize(session, 'username_output', row.username)} ${formatScore(definition, row.score)} ` +
+           `${colorize(session, 'timestamp_output', `[${new Date(row.played_at).toLocaleDateString()}]`)}${you}`;
+  });
+  return [`${colorize(session, 'title_output', definition.title)} - top ${LEADERBOARD_SIZE} ${weekly ? 'this week' : 'of all time'} ` +
+          `(${describeOrder(definition)}):`,
+          ...lines].join('\n') + '\n';
+}
+
+/**
+ * Formats a player's own best results in a game and where they stand.
+ * @async
+ * @param {object} repos - The repositories.
+ * @param {object} session - The player's session object (logged in).
+ * @param {object} definition - The game definition (with `scoring`).
+ * @returns {Promise<string>} The board.
+ */
+async function formatPersonalBests(repos, session, definition) {
+  const options = { lowerIsBetter: !!definition.scoring.lowerIsBetter };
+  const standing = await repos.scores.getStanding(session.userId, definition.name, options);
+  if (!standing) {
+    return `You have no ${definition.title} scores yet. Type GAME ${definition.name} START to play.\n`;
+  }
+  const rows = await repos.scores.getPersonal(session.userId, definition.name, { ...options, limit: LEADERBOARD_SIZE });
+  const lines = rows.map((row, index) => `  ${index + 1}. ${formatScore(definition, row.score)} ` +
+      colorize(session, 'timestamp_output', `[${new Date(row.played_at).toLocaleDateString()}]`));
+  return [`Your ${colorize(session, 'title_output', definition.title)} personal bests (${describeOrder(definition)}):`,
+          `  Best: ${formatScore(definition, standing.best)}, #${standing.rank} of ${standing.players} player(s) all-time, ` +
+          `from ${standing.results} recorded game(s).`,
+          ...lines].join('\n') + '\n';
+}
+
+/**
+ * Formats the "top players" bulletin shown at login: this week's leaders in each game that keeps scores.
+ * @async
+ * @param {object} repos - The repositories.
+ * @param {object} session - The player's session object (for colors).
+ * @param {object[]} definitions - The registered games (see games/index.js listGames).
+ * @returns {Promise<string>} The bulletin, or '' if nobody has scored this week.
+ */
+async function formatTopPlayersBulletin(repos, session, definitions) {
+  const since = new Date(Date.now() - WEEK_MS).toISOString();
+  const lines = [];
+  for (const definition of definitions.filter(keepsScores)) {
+    const rows = await repos.scores.getLeaders(definition.name,
+        { lowerIsBetter: !!definition.scoring.lowerIsBetter, since, limit: BULLETIN_SIZE });
+    if (rows.length === 0) continue;
+    const ranks = rankRows(rows);
+    const leaders = rows.map((row, index) =>
+        `${ranks[index]}. ${colorize(session, 'username_output', row.username)} (${formatScore(definition, row.score)})`);
+    lines.push(`  ${definition.title}: ${leaders.join(', ')}`);
+  }
+  if (lines.length === 0) return '';
+  return ["Top players this week:", ...lines, "Type SCORES <game_name> for the full boards."].join('\n') + '\n';
+}
+
+module.exports = {
+  keepsScores,
+  formatScore,
+  recordScore,
+  formatLeaderboard,
+  formatPersonalBests,
+  formatTopPlayersBulletin,
+};
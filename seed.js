@@ -0,0 +1,220 @@
+/**
+ * @file Seed files: users, boards and file areas to create when the BBS starts on a database that has no
+ * accounts yet, so that a staging copy or a throwaway instance starts populated. The file is named by
+ * BBS_SEED_FILE and is JSON:
+ *
+ *   {
+ *     "users": [{ "username": "sysop", "password": "changeme", "role": "sysop" }],
+ *     "boards": [{ "name": "Tech Talk", "description": "Gadgets", "read": "guest", "post": "user",
+ *                  "order": 2, "hidden": false, "default": false, "moderators": ["sysop"] }],
+ *     "fileAreas": [{ "name": "Uploads", "description": "Your files", "view": "guest", "download": "user",
+ *                     "upload": "user", "quotaMegabytes": 50, "order": 1, "hidden": false, "default": false }]
+ *   }
+ *
+ * Every key but the names (and a user's password, or a bcrypt `passwordHash`) is optional, with the same
+ * defaults as REGISTER, CREATEBOARD and CREATEAREA. A board or area named like an existing one (such as
+ * General) is updated instead of created. The whole file is checked before anything is written, and it is
+ * applied in one transaction.
+ */
+const fs = require('fs');
+const bcrypt = require('bcrypt');
+const { ROLES, BOARD_LEVELS, AREA_LEVELS } = require('./access');
+const { checkName, getColumnChanges } = require('./catalog');
+
+const SEED_FILE = process.env.BBS_SEED_FILE || null; // JSON file applied to a database without accounts.
+const saltRounds = 10; // Cost factor for bcrypt password hashing.
+
+// Section -> the keys its entries may have.
+const ALLOWED_KEYS = {
+  users: ['username', 'password', 'passwordHash', 'role'],
+  boards: ['name', 'description', 'order', 'hidden', 'default', 'moderators', ...Object.keys(BOARD_LEVELS)],
+  fileAreas: ['name', 'description', 'quotaMegabytes', 'order', 'hidden', 'default', ...Object.keys(AREA_LEVELS)],
+};
+
+/**
+ * Checks one board or file area entry and turns it into column values, like CREATEBOARD/CREATEAREA options.
+ * @param {object} entry - The entry from the seed file.
+ * @param {Object<string, string>} levelColumns - BOARD_LEVELS or AREA_LEVELS.
+ * @returns {{changes: Object<string, number>} | {error: string}} Column -> value (without name and description).
+ */
+function getEntryChanges(entry, levelColumns) {
+  const nameError = typeof entry.name === 'string' ? checkName(entry.name) : "Every entry needs a name.";
+  if (nameError) return { error: nameError };
+  if (entry.description !== undefined && typeof entry.description !== 'string') return { error: "description must be a string." };
+  if (entry.order !== undefined && !Number.isInteger(entry.order)) return { error: "order must be a whole number." };
+  for (const flag of ['hidden', 'default']) {
+    if (entry[flag] !== undefined && typeof entry[flag] !== 'boolean') return { error: `${flag} must be true or false.` };
+  }
+  const options = {};
+  if (entry.order !== undefined) options.ORDER = String(entry.order);
+  if (entry.hidden !== undefined) options.HIDDEN = entry.hidden ? 'YES' : 'NO';
+  for (const action of Object.keys(levelColumns)) {
+    if (entry[action] !== undefined) options[action.toUpperCase()] = String(entry[action]);
+  }
+  const result = getColumnChanges(options, levelColumns);
+  if (result.error) return result;
+  if (entry.default) result.changes.is_default = 1;
+  return result;
+}
+
+/**
+ * Checks a parsed seed file.
+ * @param {object} seed - The parsed JSON.
+ * @returns {string|null} What is wrong with it, or null if it can be applied.
+ */
+function checkSeed(seed) {
+  if (!seed || typeof seed !== 'object' || Array.isArray(seed)) return "The seed file must hold a JSON object.";
+  const unknownSection = Object.keys(seed).find(section => !ALLOWED_KEYS[section]);
+  if (unknownSection) return `Unknown section '${unknownSection}'. Sections: ${Object.keys(ALLOWED_KEYS).join(', ')}.`;
+  for (const section of Object.keys(ALLOWED_KEYS)) {
+    if (seed[section] === undefined) continue;
+    if (!Array.isArray(seed[section])) return `${section} must be a list.`;
+    const names = new Set();
+    for (const [index, entry] of seed[section].entries()) {
+      const where = `${section}[${index}]`;
+      if (!entry || typeof entry !== 'object') return `${where}: must be an object.`;
+      const unknownKey = Object.keys(entry).find(key => !ALLOWED_KEYS[section].includes(key));
+      if (unknownKey) return `${where}: unknown key '${unknownKey}'.`;
+      const error = section === 'users' ? checkUser(entry) :
+          getEntryChanges(entry, section === 'boards' ? BOARD_LEVELS : AREA_LEVELS).error || checkCatalogEntry(section, entry, seed);
+      if (error) return `${where}: ${error}`;
+      const name = (section === 'users' ? entry.username : entry.name).toLowerCase();
+      if (names.has(name)) return `${where}: ${section === 'users' ? entry.username : entry.name} is listed twice.`;
+      names.add(name);
+    }
+  }
+  for (const section of ['boards', 'fileAreas']) {
+    if ((seed[section] || []).filter(entry => entry.default).length > 1) return `Only one of the ${section} can be the default.`;
+  }
+  return null;
+}
+
+/**
+ * Checks a user entry.
+ * @param {object} user - The entry.
+ * @returns {string|null} What is wrong with it.
+ */
+function checkUser(user) {
+  if (typeof user.username !== 'string' || !/^\S+$/.test(user.username)) return "username must be one word.";
+  if ((user.password === undefined) === (user.passwordHash === undefined)) return "Give either a password or a passwordHash.";
+  if (user.password !== undefined && (typeof user.password !== 'string' || !user.password)) return "password must be a non-empty string.";
+  if (user.passwordHash !== undefined && !/^\$2[aby]\$\d\d\$/.test(user.passwordHash)) return "passwordHash must be a bcrypt hash.";
+  if (user.role !== undefined && (!ROLES.includes(user.role) || user.role === 'guest')) {
+    return `Unknown role '${user.role}'. Roles: ${ROLES.filter(r => r !== 'guest').join(', ')}.`;
+  }
+  return null;
+}
+
+/**
+ * Checks the parts of a board or area entry that depend on the rest of the file.
+ * @param {string} section - 'boards' or 'fileAreas'.
+ * @param {object} entry - The entry.
+ * @param {object} seed - The whole seed file.
+ * @returns {string|null} What is wrong with it.
+ */
+function checkCatalogEntry(section, entry, seed) {
+  if (section === 'boards') {
+    if (entry.default && entry.read !== undefined && entry.read !== 'guest' && entry.read !== 0) return "The default board must be readable by guests.";
+    if (entry.moderators === undefined) return null;
+    if (!Array.isArray(entry.moderators)) return "moderators must be a list of usernames.";
+    const usernames = (seed.users || []).map(user => user.username);
+    const unknown = entry.moderators.find(username => !usernames.includes(username));
+    return unknown === undefined ? null : `Moderator ${unknown} is not one of the seeded users.`;
+  }
+  if (entry.default && entry.view !== undefined && entry.view !== 'guest' && entry.view !== 0) return "The default file area must be viewable by guests.";
+  if (entry.quotaMegabytes !== undefined && !(typeof entry.quotaMegabytes === 'number' && entry.quotaMegabytes > 0)) {
+    return "quotaMegabytes must be a positive number.";
+  }
+  return null;
+}
+
+/**
+ * Reads and checks a seed file.
+ * @async
+ * @param {string} filePath - The file.
+ * @returns {Promise<object>} The parsed seed.
+ * @throws {Error} If the file cannot be read, is not JSON, or fails checkSeed.
+ */
+async function loadSeedFile(filePath) {
+  let seed;
+  try {
+    seed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read seed file ${filePath}: ${err.message}`);
+  }
+  const error = checkSeed(seed);
+  if (error) throw new Error(`Seed file ${filePath}: ${error}`);
+  return seed;
+}
+
+/**
+ * Creates a seed's users, boards and file areas in one transaction.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} seed - A seed that passed checkSeed.
+ * @returns {Promise<{users: number, boards: number, fileAreas: number}>} How many of each were created or updated.
+ */
+async function applySeed(repos, seed) {
+  const users = seed.users || [];
+  // Hashing is slow; do it before the transaction so other queries are not held up.
+  const hashes = await Promise.all(users.map(user => user.passwordHash || bcrypt.hash(user.password, saltRounds)));
+  return repos.transaction(async (tx) => {
+    const userIds = new Map();
+    for (const [index, user] of users.entries()) {
+      const userId = await tx.users.create({ username: user.username, passwordHash: hashes[index] });
+      if (user.role && user.role !== 'user') await tx.users.setRole(userId, user.role);
+      userIds.set(user.username, userId);
+    }
+    for (const board of seed.boards || []) {
+      const { changes } = getEntryChanges(board, BOARD_LEVELS);
+      const existing = await tx.boards.find(board.name);
+      let boardId;
+      if (existing) {
+        boardId = existing.id;
+        await tx.boards.update(boardId, board.description === undefined ? changes : { ...changes, description: board.description });
+      } else {
+        boardId = await tx.boards.create({ name: board.name, description: board.description, changes });
+      }
+      for (const username of board.moderators || []) await tx.boards.addModerator(boardId, userIds.get(username));
+    }
+    for (const area of seed.fileAreas || []) {
+      const { changes } = getEntryChanges(area, AREA_LEVELS);
+      if (area.quotaMegabytes !== undefined) changes.max_bytes = Math.round(area.quotaMegabytes * 1024 * 1024);
+      const existing = await tx.files.findArea(area.name);
+      if (existing) {
+        await tx.files.updateArea(existing.id, area.description === undefined ? changes : { ...changes, description: area.description });
+      } else {
+        await tx.files.createArea({ name: area.name, description: area.description, changes });
+      }
+    }
+    return { users: users.length, boards: (seed.boards || []).length, fileAreas: (seed.fileAreas || []).length };
+  });
+}
+
+/**
+ * Applies the seed file, if there is one and the database has no accounts yet. The file is checked even
+ * when it is not applied, so that mistakes in it are noticed.
+ * @async
+ * @param {object} repos - The repositories.
+ * @param {string|null} [filePath=SEED_FILE] - The seed file.
+ * @returns {Promise<object|null>} What applySeed created, or null if nothing was seeded.
+ * @throws {Error} If the seed file is invalid, or applying it failed (then nothing was written).
+ */
+async function seedDatabase(repos, filePath = SEED_FILE) {
+  if (!filePath) return null;
+  const seed = await loadSeedFile(filePath);
+  if (await repos.users.count() > 0) {
+    console.log(`Seed file ${filePath} not applied: the database already has user accounts.`);
+    return null;
+  }
+  const created = await applySeed(repos, seed);
+  console.log(`Seeded the database from ${filePath}: ${created.users} user(s), ${created.boards} board(s), ${created.fileAreas} file area(s).`);
+  return created;
+}
+
+module.exports = {
+  SEED_FILE,
+  loadSeedFile,
+  applySeed,
+  seedDatabase,
+};
@@ -25,13 +25,24 @@ const liveServer = require("live-server"); // For serving static web client (ind
 const { startTelnetServer } = require("./telnetServer"); // Function to start the Telnet server.
 const express = require('express');
 const cors = require('cors'); // CORS middleware for Express.
-// Import initializeGeneralBoardCache along with other bbsLogic functions
-const { createSession, processInput, getSession, initializeGeneralBoardCache } = require('./bbsLogic');
-const { initDb } = require('./database'); // Database initialization function.
+// Import initializeDefaultBoardCache along with other bbsLogic functions
+const {
+  createSession, processInput, getSession, getInputPrompt, initializeDefaultBoardCache, startSessionReaper,
+} = require('./bbsLogic');
+const { USE_SESSION_COOKIE, getSessionIdByToken } = require('./sessionManager'); // Session tokens (see sessionManager.js).
+const { initDb, getRepositories } = require('./database'); // Database initialization and the data access layer.
+const { seedDatabase } = require('./seed'); // Users, boards and file areas for a new database (BBS_SEED_FILE).
+const { MAX_UPLOAD_BYTES, formatSize, storeFile, getStoredFile } = require('./fileStore'); // On-disk file area storage.
+const WebSocket = require('faye-websocket'); // WebSocket server for the web client's event channel.
+const { collectPendingBroadcasts } = require('./broadcasts');
+const { attachChannel, collectPendingNotices } = require('./notifications'); // Pushed notices (broadcasts, mail, pages).
+const { formatBanMessage } = require('./bans'); // Banned addresses are refused.
+const { registerConnection, takeEndedSessionNotice } = require('./connections'); // Sessions ended by KICK, BAN or expiry.
+const { startWebSession } = require('./rateLimiter'); // New web sessions are limited per address.
 
 /**
  * Main startup sequence.
- * Initializes the database, then the general board cache, and finally starts all servers.
+ * Initializes (and, if configured, seeds) the database, then the general board cache, and finally starts all servers.
  * Exits the process if critical initialization fails.
  */
 async function main() {
@@ -48,14 +59,17 @@ async function main() {
       });
     });
 
-    // 2. Initialize General Board Cache (from bbsLogic.js)
+    // 2. Populate a new database from the seed file, if one is configured.
+    await seedDatabase(getRepositories());
+
+    // 3. Initialize Default Board Cache (from bbsLogic.js)
     // This needs to happen after initDb ensures the 'boards' table exists.
-    await initializeGeneralBoardCache();
-    // initializeGeneralBoardCache logs its own success or critical failure.
-    // If it were to throw an error for a missing 'General' board (and halt server),
+    await initializeDefaultBoardCache();
+    // initializeDefaultBoardCache logs its own success or critical failure.
+    // If it were to throw an error for a missing default board (and halt server),
     // this await would propagate it, and the catch block below would handle it.
 
-    // 3. Start all servers
+    // 4. Start all servers
     startServers();
 
   } catch (error) {
@@ -73,45 +87,252 @@ const EXPRESS_PORT = process.env.API_PORT || 3001; // Port for the Express API s
 
 // --- Express Middleware Setup ---
 app.use(cors());
+// Behind a reverse proxy, take the client address from X-Forwarded-For so per-address rate limits work.
+// BBS_TRUST_PROXY is the number of proxies in front of the server, or their addresses (comma-separated).
+if (process.env.BBS_TRUST_PROXY) {
+  const trustProxy = process.env.BBS_TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
 app.use(express.json());
+// Refuse every API request (commands, files, events) from a banned address.
+app.use('/api', async (req, res, next) => {
+  try {
+    const ban = await getRepositories().bans.getActive({ address: req.ip });
+    if (ban) return res.status(403).json({ error: formatBanMessage(ban).trim() });
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
 
 // --- Express API Routes ---
+const SESSION_COOKIE_NAME = 'bbs_session';
+const SESSION_ENDED_CLOSE_CODE = 4001; // WebSocket close code for a session ended by the server (see index.html).
+
+/**
+ * Reads the session token a web request carries: the HttpOnly session cookie, the `X-Session-Id`
+ * header, the `sessionId` query parameter (so plain download links work) or the `sessionId` JSON field.
+ * @param {http.IncomingMessage} req - The request (an Express request or a raw upgrade request).
+ * @returns {string | undefined} The token, if any.
+ */
+function getRequestToken(req) {
+  const cookies = (req.headers.cookie || '').split(';').map(c => c.trim().split('='));
+  const cookie = cookies.find(([name]) => name === SESSION_COOKIE_NAME);
+  if (cookie && cookie[1]) return decodeURIComponent(cookie[1]);
+  const url = new URL(req.url, 'http://localhost');
+  return req.headers['x-session-id'] || url.searchParams.get('sessionId') || (req.body && req.body.sessionId) || undefined;
+}
+
 /**
  * @route POST /api/command
- * @description Endpoint for web clients to send commands to the BBS.
+ * @description Endpoint for web clients to send commands to the BBS. Requests without a valid web session
+ * token get a new guest session (a limited number per address per minute; see rateLimiter.js). The token comes back in `sessionId`, or in an HttpOnly cookie when
+ * BBS_SESSION_COOKIE is set (then it is never shown to the page's script).
  * @async
  */
 app.post('/api/command', async (req, res) => {
-  let { sessionId, command } = req.body;
+  const { command } = req.body;
+  const token = getRequestToken(req);
+  let sessionId = getSessionIdByToken(token);
+  let expiredNotice = '';
 
-  if (!sessionId || !getSession(sessionId)) {
+  if (!sessionId || getSession(sessionId).connectionType !== 'web') {
+    const refusal = startWebSession(req.ip);
+    if (refusal) return res.status(429).json({ error: refusal.trim() });
+    if (token) {
+      const endedNotice = takeEndedSessionNotice(token);
+      expiredNotice = (endedNotice !== null ? endedNotice : "Your session has expired.\n") + "You are now a guest.\n";
+    }
     try {
-        // createSession is no longer async if setDefaultBoardForSession is fully synchronous from cache
-        // However, keeping await here provides flexibility if createSession becomes async again.
-        // Let's verify createSession's signature. It was changed to not be async.
-        sessionId = createSession('web'); // createSession is now synchronous
+        sessionId = createSession('web', req.ip);
     } catch (sessionError) {
         console.error("Error creating web session:", sessionError);
         return res.status(500).json({ error: "Failed to create session." });
     }
   }
+  getSession(sessionId).remoteAddress = req.ip; // Rate limits go by the address the request came from.
 
   try {
     const bbsResponse = await processInput(sessionId, command);
-    res.json({ response: bbsResponse, sessionId: sessionId });
+    const session = getSession(sessionId);
+    // LOGIN and LOGOUT replace the token, so it is sent back after every command.
+    if (USE_SESSION_COOKIE && session) {
+      res.cookie(SESSION_COOKIE_NAME, session.token, { httpOnly: true, sameSite: 'strict', secure: req.secure, path: '/' });
+    }
+    // The web client maps the theme name to a `theme-<name>` CSS class (see SETTHEME).
+    // `prompt` ({text, masked}) is set while a command such as LOGIN is asking for input.
+    res.json({
+      response: expiredNotice + bbsResponse,
+      sessionId: session && !USE_SESSION_COOKIE ? session.token : undefined,
+      theme: session ? session.theme : undefined,
+      prompt: getInputPrompt(session),
+    });
   } catch (processingError) {
     console.error("Error processing API command:", processingError);
     res.status(500).json({ error: "Error processing command." });
   }
 });
 
+// HTTP status codes for the fileStore error codes.
+const FILE_ERROR_STATUS = {
+  INVALID_NAME: 400, FORBIDDEN: 403, NO_CONTENT: 404, NOT_FOUND: 404, DUPLICATE: 409, TOO_LARGE: 413, QUOTA_EXCEEDED: 507,
+};
+
+/**
+ * Finds the logged-in session for a file route, from the request's session token (see getRequestToken).
+ * @param {express.Request} req - The request.
+ * @returns {object|null} The logged-in session, or null.
+ */
+function getLoggedInSession(req) {
+  const session = getSession(getSessionIdByToken(getRequestToken(req)));
+  return session && session.loggedIn && session.userId ? session : null;
+}
+
+/**
+ * Refuses an upload from a request without a logged-in session before its body is read, so guests
+ * cannot make the server buffer uploads. The session is left in `res.locals.session`.
+ * @param {express.Request} req - The request.
+ * @param {express.Response} res - The response.
+ * @param {function} next - Passes the request on to the body parser.
+ */
+function requireUploader(req, res, next) {
+  const session = getLoggedInSession(req);
+  if (!session) return res.status(401).json({ error: "You must be logged in to upload files." });
+  res.locals.session = session;
+  next();
+}
+
+/**
+ * @route POST /api/files/:area
+ * @description Uploads a file into a file area (name or ID). The request body is the raw file;
+ * `filename` and optional `description` come from the query string. The area's upload level applies.
+ * @async
+ */
+app.post('/api/files/:area', requireUploader, express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }), async (req, res) => {
+  const { session } = res.locals;
+  try {
+    const stored = await storeFile(getRepositories(), {
+      areaRef: req.params.area,
+      filename: req.query.filename,
+      description: req.query.description || '',
+      userId: session.userId,
+      content: Buffer.isBuffer(req.body) ? req.body : null,
+      mimeType: req.get('Content-Type'),
+      session,
+    });
+    res.status(201).json({
+      ...stored,
+      downloadUrl: `/api/files/${stored.id}/download`,
+      message: `Uploaded [${stored.filename}] (${formatSize(stored.size)}) to ${stored.areaName} as file #${stored.id}.`,
+    });
+  } catch (uploadError) {
+    if (FILE_ERROR_STATUS[uploadError.code]) return res.status(FILE_ERROR_STATUS[uploadError.code]).json({ error: uploadError.message });
+    console.error("Error storing uploaded file:", uploadError);
+    res.status(500).json({ error: "Error storing file." });
+  }
+});
+
+/**
+ * @route GET /api/files/:fileId/download
+ * @description Sends a stored file and increments its download count. The area's download level applies.
+ * @async
+ */
+app.get('/api/files/:fileId/download', async (req, res) => {
+  const session = getLoggedInSession(req);
+  if (!session) return res.status(401).json({ error: "You must be logged in to download files." });
+  const fileId = parseInt(req.params.fileId);
+  if (isNaN(fileId)) return res.status(400).json({ error: "Invalid file ID." });
+  try {
+    const file = await getStoredFile(getRepositories(), fileId, session);
+    res.attachment(file.filename);
+    res.set('Content-Type', file.mime_type || 'application/octet-stream');
+    res.set('X-Content-SHA256', file.sha256);
+    res.sendFile(file.storagePath, async (sendError) => {
+      if (sendError) { console.error(`Error sending file ${fileId}:`, sendError.message); return; }
+      try { await getRepositories().files.recordDownload(fileId); }
+      catch (countError) { console.error(`Error counting download of file ${fileId}:`, countError); }
+    });
+  } catch (downloadError) {
+    if (FILE_ERROR_STATUS[downloadError.code]) return res.status(FILE_ERROR_STATUS[downloadError.code]).json({ error: downloadError.message });
+    console.error("Error preparing download:", downloadError);
+    res.status(500).json({ error: "Error retrieving file." });
+  }
+});
+
+// Body parser errors (e.g. an upload over MAX_UPLOAD_BYTES) are answered as JSON like the routes above.
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: `File is too large. The limit is ${formatSize(MAX_UPLOAD_BYTES)}.` });
+  if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
+  next(err);
+});
+
+/**
+ * @route GET /api/events (WebSocket upgrade)
+ * @description Event channel for a web session (token in `?sessionId=` or the session cookie). The server pushes broadcasts, new-mail
+ * notices and pages as `{ "type": "notice", "text": "..." }` messages; the client sends nothing.
+ * @param {http.IncomingMessage} req - The upgrade request.
+ * @param {net.Socket} socket - The underlying socket.
+ * @param {Buffer} body - Bytes already read past the request head.
+ * @async
+ */
+async function handleEventSocket(req, socket, body) {
+  // Node gives upgrade sockets no 'error' listener; without this a client resetting the connection (for
+  // instance during the ban check) would crash the server.
+  socket.on('error', (err) => console.error("Event socket error:", err.message));
+  const url = new URL(req.url, 'http://localhost');
+  const sessionId = getSessionIdByToken(getRequestToken(req));
+  const session = getSession(sessionId);
+  if (url.pathname !== '/api/events' || !WebSocket.isWebSocket(req) || !session) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  try {
+    // The session's address is the one its last command came from (as resolved by 'trust proxy').
+    if (await getRepositories().bans.getActive({ userId: session.userId || null, address: session.remoteAddress })) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+  } catch (err) {
+    console.error("Error checking bans for event socket:", err.message);
+    socket.end('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+    return;
+  }
+  if (socket.destroyed) return; // The client went away during the ban check.
+  const ws = new WebSocket(req, socket, body);
+  let isOpen = false; // Until the handshake completes, notices stay queued on the session.
+  const sendNotice = (text) => isOpen && ws.send(JSON.stringify({ type: 'notice', text }));
+  const detach = attachChannel(sessionId, sendNotice);
+  // Ending the session from the server side shows the reason and closes the socket with SESSION_ENDED_CLOSE_CODE,
+  // which tells the client not to reconnect with the old token.
+  const unregister = registerConnection(sessionId, (message) => {
+    const shown = sendNotice(message);
+    ws.close(SESSION_ENDED_CLOSE_CODE, 'Session ended');
+    return shown;
+  });
+  ws.on('open', async () => {
+    isOpen = true;
+    try {
+      const queued = await collectPendingBroadcasts(getRepositories(), session) + collectPendingNotices(session);
+      if (queued) sendNotice(queued);
+    } catch (err) {
+      console.error("Error sending queued notices on event socket:", err.message);
+    }
+  });
+  ws.on('close', () => {
+    isOpen = false;
+    detach();
+    unregister();
+  });
+}
+
 /**
  * Starts all the servers: Express API, live-server for static files, and Telnet server.
  */
 function startServers() {
-  app.listen(EXPRESS_PORT, () => {
+  const apiServer = app.listen(EXPRESS_PORT, () => {
     console.log(`BBS Express API server listening on port ${EXPRESS_PORT}`);
   });
+  apiServer.on('upgrade', handleEventSocket);
 
   liveServer.start({
     port: process.env.WEB_PORT || 3000,
@@ -124,4 +345,5 @@ function startServers() {
   console.log(`BBS Web client served on http://localhost:${process.env.WEB_PORT || 3000}`);
 
   startTelnetServer();
+  startSessionReaper();
 }
@@ -0,0 +1,213 @@
+/**
+ * @file Session management for the BBS. Owns the in-memory session store,
+ * the default board cache and the role helpers shared by the command modules.
+ *
+ * Sessions are keyed by an internal ID that never leaves the server. Web clients (and download links)
+ * identify their session with a separate random token, which LOGIN and LOGOUT replace so that a token
+ * obtained before logging in is useless afterwards. Sessions expire after a period of inactivity and
+ * after a maximum age.
+ */
+const crypto = require('crypto');
+const { getRepositories } = require('./database'); // The data access layer.
+const { getDefaultPrefs } = require('./ansi');
+const { DEFAULT_THEME } = require('./preferences');
+const { suspendGame } = require('./games'); // Door games, saved when their player leaves.
+
+const SESSION_IDLE_TIMEOUT_MS = (parseFloat(process.env.BBS_SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+const SESSION_MAX_AGE_MS = (parseFloat(process.env.BBS_SESSION_MAX_HOURS) || 24) * 3600 * 1000;
+// When set, web sessions are carried in an HttpOnly cookie instead of being handed to the page's script.
+const USE_SESSION_COOKIE = /^(1|true|yes)$/i.test(process.env.BBS_SESSION_COOKIE || '');
+
+const sessions = {}; // In-memory store for active user sessions.
+const tokens = new Map(); // Session token -> internal session ID.
+let defaultBoardCache = null; // Cache for the default board's details (the board sessions start on).
+
+/**
+ * Loads the default board (the one flagged is_default, see EDITBOARD) into the cache. Called at startup
+ * and again whenever boards are changed.
+ * @async
+ */
+async function initializeDefaultBoardCache() {
+  const repos = getRepositories();
+  if (!repos) {
+      console.error("FATAL: Database not available for initializeDefaultBoardCache.");
+      return;
+  }
+  try {
+    const row = await repos.boards.getDefault();
+    if (row) {
+      defaultBoardCache = { id: row.id, name: row.name };
+      console.log('Default board cache initialized:', defaultBoardCache);
+    } else {
+      console.error('FATAL: Could not initialize default board cache. No boards found in database.');
+    }
+  } catch (err) {
+    console.error('FATAL: Database error during default board cache initialization.', err);
+  }
+}
+
+/**
+ * Returns the board sessions start on.
+ * @returns {{id: number, name: string} | null} The default board, or null before the cache is initialized.
+ */
+function getDefaultBoard() {
+  return defaultBoardCache;
+}
+
+/**
+ * Checks if the user is a SysOp.
+ * @param {object} session - The user's session object.
+ * @returns {boolean} True if SysOp, false otherwise.
+ */
+function isSysOp(session) {
+  return session && session.userRole === 'sysop';
+}
+
+/**
+ * Sets the default board for a session using the cache.
+ * @param {object} session - The user's session object.
+ */
+function setDefaultBoardForSession(session) {
+  if (defaultBoardCache) {
+    session.currentBoardId = defaultBoardCache.id;
+    session.currentBoardName = defaultBoardCache.name;
+  } else {
+    console.error('setDefaultBoardForSession: Default board cache not initialized! Defaulting to ID 1 / "General".');
+    session.currentBoardId = 1;
+    session.currentBoardName = 'General';
+  }
+}
+
+/**
+ * Generates a unique, unguessable identifier from a cryptographic random source.
+ * @returns {string} A 32-character URL-safe identifier.
+ */
+function generateUniqueId() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Checks whether a session has been idle too long or has reached its maximum age.
+ * @param {object} session - The session object.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {boolean} True if the session has expired.
+ */
+function isSessionExpired(session, now = Date.now()) {
+  return now - session.lastActivity > SESSION_IDLE_TIMEOUT_MS || now - session.createdAt > SESSION_MAX_AGE_MS;
+}
+
+/**
+ * Creates a new user session.
+ * @param {string} connectionType - 'web' or 'telnet'.
+ * @param {string} [remoteAddress] - The client's IP address (used by the rate limits in rateLimiter.js).
+ * @returns {string} The new session ID.
+ */
+function createSession(connectionType, remoteAddress) {
+  const sessionId = generateUniqueId();
+  const session = {
+    username: 'guest', loggedIn: false, connectionType, remoteAddress,
+    currentBoardId: undefined, currentBoardName: undefined,
+    currentGame: null, prefs: getDefaultPrefs(), theme: DEFAULT_THEME,
+    createdAt: Date.now(), lastActivity: Date.now(),
+  };
+  sessions[sessionId] = session;
+  rotateSessionToken(sessionId);
+  setDefaultBoardForSession(session);
+  console.log(`Session created: ${sessionId} (${connectionType}), board: ${session.currentBoardName}`);
+  return sessionId;
+}
+
+/**
+ * Retrieves an active session. Expired sessions are treated as gone even before the reaper removes them.
+ * @param {string} sessionId - The session ID.
+ * @returns {object | undefined} The session object or undefined.
+ */
+function getSession(sessionId) {
+  const session = Object.prototype.hasOwnProperty.call(sessions, sessionId) ? sessions[sessionId] : undefined;
+  return session && !isSessionExpired(session) ? session : undefined;
+}
+
+/**
+ * Records activity on a session, restarting its idle timeout.
+ * @param {string} sessionId - The session ID.
+ */
+function touchSession(sessionId) {
+  const session = getSession(sessionId);
+  if (session) session.lastActivity = Date.now();
+}
+
+/**
+ * Replaces a session's token (at creation, LOGIN and LOGOUT). The old token stops working at once.
+ * @param {string} sessionId - The session ID.
+ * @returns {string | null} The new token, or null if there is no such session.
+ */
+function rotateSessionToken(sessionId) {
+  const session = sessions[sessionId];
+  if (!session) return null;
+  if (session.token) tokens.delete(session.token);
+  session.token = generateUniqueId();
+  tokens.set(session.token, sessionId);
+  return session.token;
+}
+
+/**
+ * Finds the session a token belongs to.
+ * @param {string} token - A session token from a client.
+ * @returns {string | undefined} The session ID, if the token belongs to an active session.
+ */
+function getSessionIdByToken(token) {
+  const sessionId = typeof token === 'string' ? tokens.get(token) : undefined;
+  return sessionId && getSession(sessionId) ? sessionId : undefined;
+}
+
+/**
+ * Lists sessions that have expired, for the reaper.
+ * @returns {string[]} Expired session IDs.
+ */
+function getExpiredSessionIds() {
+  const now = Date.now();
+  return Object.keys(sessions).filter(id => isSessionExpired(sessions[id], now));
+}
+
+/**
+ * Returns the live session store, keyed by session ID.
+ * Used by commands that act on other users (WHO, KICK).
+ * @returns {Object<string, object>} The session store.
+ */
+function getAllSessions() {
+  return sessions;
+}
+
+/**
+ * Ends a user session. A game in progress is saved for the user to resume (see games/index.js).
+ * @param {string} sessionId - The session ID.
+ * @returns {boolean} True if session was ended, false otherwise.
+ */
+function endSession(sessionId) {
+  if (sessions[sessionId]) {
+    if (sessions[sessionId].currentGame) suspendGame(getRepositories(), sessions[sessionId]); // Logs its own errors.
+    console.log(`Session ended: ${sessionId}`);
+    tokens.delete(sessions[sessionId].token);
+    delete sessions[sessionId];
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  SESSION_IDLE_TIMEOUT_MS,
+  SESSION_MAX_AGE_MS,
+  USE_SESSION_COOKIE,
+  initializeDefaultBoardCache,
+  getDefaultBoard,
+  isSysOp,
+  setDefaultBoardForSession,
+  createSession,
+  getSession,
+  touchSession,
+  rotateSessionToken,
+  getSessionIdByToken,
+  getExpiredSessionIds,
+  getAllSessions,
+  endSession,
+};
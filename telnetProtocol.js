@@ -0,0 +1,246 @@
+/**
+ * @file Telnet protocol layer (RFC 854): IAC escaping, a streaming decoder that separates option
+ * negotiation from data, and per-connection option negotiation for BINARY (RFC 856), ECHO (RFC 857),
+ * SUPPRESS-GO-AHEAD (RFC 858), TERMINAL-TYPE (RFC 1091) and NAWS (RFC 1073).
+ */
+
+const IAC = 0xFF;
+const DONT = 0xFE;
+const DO = 0xFD;
+const WONT = 0xFC;
+const WILL = 0xFB;
+const SB = 0xFA;
+const SE = 0xF0;
+const CR = 0x0D;
+const NUL = 0x00;
+
+const OPT_BINARY = 0x00;
+const OPT_ECHO = 0x01;
+const OPT_SGA = 0x03;
+const OPT_TTYPE = 0x18;
+const OPT_NAWS = 0x1F;
+
+const TTYPE_IS = 0x00;
+const TTYPE_SEND = 0x01;
+
+// Options the server may perform (answered to DO) and options it wants the client to perform (answered to WILL).
+const LOCAL_OPTIONS = new Set([OPT_BINARY, OPT_ECHO, OPT_SGA]);
+const REMOTE_OPTIONS = new Set([OPT_BINARY, OPT_SGA, OPT_TTYPE, OPT_NAWS]);
+
+// Longest subnegotiation kept. NAWS and TTYPE need a few dozen bytes; longer ones are discarded so a client
+// that never ends one cannot make the server buffer everything it sends.
+const MAX_SUBNEGOTIATION_BYTES = 64;
+
+const DEFAULT_WIDTH = 80;
+const DEFAULT_HEIGHT = 24;
+
+/**
+ * Escapes data for sending: IAC bytes are doubled, and outside binary mode CR becomes CR NUL.
+ * @param {Buffer} data - Raw bytes.
+ * @param {boolean} [binary=true] - Whether the client agreed to binary transmission.
+ * @returns {Buffer} Bytes safe to write to the socket.
+ */
+function escapeIac(data, binary = true) {
+  if (!data.includes(IAC) && (binary || !data.includes(CR))) return data;
+  const out = [];
+  for (const byte of data) {
+    out.push(byte);
+    if (byte === IAC) out.push(IAC);
+    else if (byte === CR && !binary) out.push(NUL);
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * Creates a decoder for incoming telnet bytes. Sequences split across chunks are handled.
+ * @returns {function(Buffer, boolean=): {data: Buffer, commands: Array<{command: number, option: number, payload?: Buffer}>}}
+ *   Takes a chunk (and whether the client sends in binary mode) and returns the data bytes and any negotiation commands.
+ */
+function createTelnetDecoder() {
+  let state = 'data'; // data | iac | option | sb | sbIac | cr
+  let command = null;
+  let subnegotiation = [];
+
+  // Adds a byte to the current subnegotiation and returns the next state: 'sb', or 'data' once it is too long.
+  const addToSubnegotiation = (byte) => {
+    if (subnegotiation.length >= MAX_SUBNEGOTIATION_BYTES) {
+      subnegotiation = [];
+      return 'data';
+    }
+    subnegotiation.push(byte);
+    return 'sb';
+  };
+
+  return (chunk, binary = true) => {
+    const data = [];
+    const commands = [];
+    for (const byte of chunk) {
+      switch (state) {
+        case 'data':
+          if (byte === IAC) state = 'iac';
+          else {
+            data.push(byte);
+            if (byte === CR && !binary) state = 'cr';
+          }
+          break;
+        case 'cr':
+          // Outside binary mode a CR is sent as CR NUL or CR LF; drop the NUL.
+          state = 'data';
+          if (byte === IAC) state = 'iac';
+          else if (byte !== NUL) data.push(byte);
+          break;
+        case 'iac':
+          if (byte === IAC) { data.push(IAC); state = 'data'; }
+          else if (byte === DO || byte === DONT || byte === WILL || byte === WONT) { command = byte; state = 'option'; }
+          else if (byte === SB) { subnegotiation = []; state = 'sb'; }
+          else state = 'data'; // NOP, GA, AYT and friends carry no data.
+          break;
+        case 'option':
+          commands.push({ command, option: byte });
+          state = 'data';
+          break;
+        case 'sb':
+          if (byte === IAC) state = 'sbIac';
+          else state = addToSubnegotiation(byte);
+          break;
+        case 'sbIac':
+          if (byte === SE) {
+            commands.push({ command: SB, option: subnegotiation[0], payload: Buffer.from(subnegotiation.slice(1)) });
+            state = 'data';
+          } else if (byte === IAC) {
+            state = addToSubnegotiation(IAC);
+          } else {
+            state = 'sb';
+          }
+          break;
+      }
+    }
+    return { data: Buffer.from(data), commands };
+  };
+}
+
+/**
+ * Creates the telnet state for one connection. Option state follows the RFC 1143 "Q method" so that
+ * neither side can loop acknowledging the other's acknowledgements.
+ * @param {function(Buffer): void} write - Writes raw bytes to the socket.
+ * @param {function(object): void} [onTerminalChange] - Called with the terminal info whenever it changes.
+ * @returns {object} The connection: start(), receive(chunk), enable/disable(option), isLocalEnabled/isRemoteEnabled(option),
+ *   escape(bytes) and `terminal` ({type, width, height}).
+ */
+function createTelnetConnection(write, onTerminalChange = () => {}) {
+  const decode = createTelnetDecoder();
+  const local = {}; // Our side of each option: 'no' | 'yes' | 'wantyes' | 'wantno'.
+  const remote = {}; // The client's side.
+  const terminal = { type: null, width: DEFAULT_WIDTH, height: DEFAULT_HEIGHT };
+  const stateOf = (table, option) => table[option] || 'no';
+  const send = (...bytes) => write(Buffer.from([IAC, ...bytes]));
+
+  function handleCommand({ command, option, payload }) {
+    if (command === DO || command === DONT) {
+      const state = stateOf(local, option);
+      if (command === DO) {
+        if (state === 'yes') return;
+        if (state === 'wantyes') { local[option] = 'yes'; return; }
+        if (!LOCAL_OPTIONS.has(option) || state === 'wantno') { local[option] = 'no'; send(WONT, option); return; }
+        local[option] = 'yes';
+        send(WILL, option);
+      } else {
+        if (state === 'no') return;
+        local[option] = 'no';
+        if (state === 'yes') send(WONT, option);
+      }
+      return;
+    }
+    if (command === WILL || command === WONT) {
+      const state = stateOf(remote, option);
+      if (command === WILL) {
+        if (state === 'yes') return;
+        if (!REMOTE_OPTIONS.has(option) || state === 'wantno') { remote[option] = 'no'; send(DONT, option); return; }
+        if (state === 'no') send(DO, option);
+        remote[option] = 'yes';
+        if (option === OPT_TTYPE) send(SB, OPT_TTYPE, TTYPE_SEND, IAC, SE);
+      } else {
+        if (state === 'no') return;
+        remote[option] = 'no';
+        if (state === 'yes') send(DONT, option);
+      }
+      return;
+    }
+    if (command === SB && option === OPT_NAWS && payload.length >= 4) {
+      // Zero means "unknown" in NAWS; keep the defaults for that dimension.
+      terminal.width = payload.readUInt16BE(0) || DEFAULT_WIDTH;
+      terminal.height = payload.readUInt16BE(2) || DEFAULT_HEIGHT;
+      onTerminalChange(terminal);
+    } else if (command === SB && option === OPT_TTYPE && payload[0] === TTYPE_IS) {
+      terminal.type = payload.subarray(1).toString('latin1').trim().toLowerCase() || null;
+      onTerminalChange(terminal);
+    }
+  }
+
+  /**
+   * Asks to turn on an option we perform (ECHO, SGA, BINARY) or one the client performs (NAWS, TTYPE, SGA, BINARY).
+   * @param {number} option - The option code.
+   * @param {'local'|'remote'} side - Which side should perform it.
+   */
+  function enable(option, side) {
+    const table = side === 'local' ? local : remote;
+    // A request still unanswered in the other direction is overridden rather than left to block this one.
+    if (stateOf(table, option) === 'yes' || stateOf(table, option) === 'wantyes') return;
+    table[option] = 'wantyes';
+    send(side === 'local' ? WILL : DO, option);
+  }
+
+  /**
+   * Asks to turn off an option.
+   * @param {number} option - The option code.
+   * @param {'local'|'remote'} side - Which side performs it.
+   */
+  function disable(option, side) {
+    const table = side === 'local' ? local : remote;
+    if (stateOf(table, option) === 'no' || stateOf(table, option) === 'wantno') return;
+    table[option] = 'wantno';
+    send(side === 'local' ? WONT : DONT, option);
+  }
+
+  return {
+    terminal,
+    /** Sends the opening negotiation: we echo and suppress go-ahead; the client reports its size and type. */
+    start() {
+      enable(OPT_SGA, 'local');
+      enable(OPT_ECHO, 'local');
+      enable(OPT_SGA, 'remote');
+      enable(OPT_NAWS, 'remote');
+      enable(OPT_TTYPE, 'remote');
+    },
+    /**
+     * Decodes a chunk from the socket, handling any negotiation in it.
+     * @param {Buffer} chunk - Raw bytes.
+     * @returns {Buffer} The data bytes.
+     */
+    receive(chunk) {
+      const { data, commands } = decode(chunk, stateOf(remote, OPT_BINARY) === 'yes');
+      commands.forEach(handleCommand);
+      return data;
+    },
+    /**
+     * Escapes data for the socket according to the current BINARY state.
+     * @param {Buffer} bytes - Raw bytes.
+     * @returns {Buffer} Escaped bytes.
+     */
+    escape(bytes) {
+      return escapeIac(bytes, stateOf(local, OPT_BINARY) === 'yes');
+    },
+    enable,
+    disable,
+    isLocalEnabled: (option) => stateOf(local, option) === 'yes',
+    isRemoteEnabled: (option) => stateOf(remote, option) === 'yes',
+  };
+}
+
+module.exports = {
+  IAC, DONT, DO, WONT, WILL, SB, SE,
+  OPT_BINARY, OPT_ECHO, OPT_SGA, OPT_TTYPE, OPT_NAWS,
+  escapeIac,
+  createTelnetDecoder,
+  createTelnetConnection,
+};
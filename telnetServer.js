@@ -4,9 +4,24 @@
  */
 const net = require('net');
 // Import functions from bbsLogic, including getSession for preference checks.
-const { createSession, processInput, endSession, getSession, getAppliedColor, COLOR_MAP, DEFAULT_COLORS } = require('./bbsLogic');
+const {
+  createSession, processInput, endSession, getSession, getInputPrompt, getAppliedColor, COLOR_MAP, DEFAULT_COLORS,
+} = require('./bbsLogic');
+
+const { getRepositories } = require('./database');
+const { startTransfer } = require('./transfers');
+const { StringDecoder } = require('string_decoder');
+const { OPT_BINARY, OPT_ECHO, createTelnetConnection } = require('./telnetProtocol');
+const { createLineEditor } = require('./lineEditor');
+const { attachChannel, collectPendingNotices } = require('./notifications');
+const { SESSION_IDLE_TIMEOUT_MS, touchSession } = require('./sessionManager');
+const { formatBanMessage } = require('./bans');
+const { registerConnection } = require('./connections');
 
 const TELNET_PORT = process.env.TELNET_PORT || 2323;
+const TRANSFER_DRAIN_QUIET_MS = 1000; // After a transfer, input is discarded until the client has been quiet this long...
+const TRANSFER_DRAIN_MAX_MS = 5000; // ...or for at most this long.
+const MAX_QUEUED_LINES = 20; // Lines waiting to run, e.g. from a large paste; the rest are dropped.
 
 // ANSI Color Constants are now primarily managed in bbsLogic.js
 // However, ANSI_RESET is universal and useful here.
@@ -45,16 +60,201 @@ function getAnsiWelcomeBanner() {
 
 /**
  * Writes the command prompt to the socket, applying user-preferred or default colors.
+ * While a command is asking for input (e.g. LOGIN's password) its prompt is shown instead, and
+ * masked answers are not echoed.
  * @param {net.Socket} socket - The client socket.
  * @param {object} session - The user's session object.
  */
 function writePrompt(socket, session) {
     // getAppliedColor and COLOR_MAP are from bbsLogic.
     const promptColorCode = getAppliedColor(session, 'prompt');
+    const inputPrompt = getInputPrompt(session);
+    const masked = !!(inputPrompt && inputPrompt.masked);
+    socket.lineEditor.setMasked(masked);
+    // A client echoing locally would show the password, so ask (again) to do the echoing ourselves.
+    if (masked) socket.telnet.enable(OPT_ECHO, 'local');
+    if (inputPrompt) {
+      socket.write(`${promptColorCode}${inputPrompt.text}${COLOR_MAP.reset || ANSI_RESET_TELNET}`);
+      return;
+    }
     socket.write(`\r\n${promptColorCode}> ${COLOR_MAP.reset || ANSI_RESET_TELNET}`);
 }
 
 
+/**
+ * Shows a pushed notice (broadcast, mail notice, page) as soon as it arrives. At the prompt the
+ * half-typed line is erased, the notice printed, and the prompt and partial line drawn again; while a
+ * command is running the notice just goes out ahead of its response.
+ * @param {net.Socket} socket - The client socket.
+ * @param {object} session - The user's session object.
+ * @param {string} text - The notice.
+ * @returns {boolean} False during a file transfer, so the notice waits for the next command.
+ */
+function pushNotice(socket, session, text) {
+  if (socket.destroyed || socket.transfer) return false;
+  const notice = toTelnetLineEnds(text.endsWith('\n') ? text : text + '\n');
+  if (socket.processingLines) {
+    socket.write(notice);
+    return true;
+  }
+  socket.write(`\r\x1b[K${notice}`);
+  writePrompt(socket, session);
+  socket.lineEditor.redraw();
+  return true;
+}
+
+/**
+ * Switches a connection into binary transfer mode and starts the session's queued transfer.
+ * Normal line processing is suspended until endTransfer() runs.
+ * @param {net.Socket} socket - The client socket.
+ * @param {object} session - The user's session object, with `pendingTransfer` set.
+ */
+function beginTransfer(socket, session) {
+  const transfer = { engine: null, drainTimer: null };
+  socket.transfer = transfer;
+  socket.telnet.enable(OPT_BINARY, 'local');
+  socket.telnet.enable(OPT_BINARY, 'remote');
+  const write = (bytes) => {
+    if (!socket.destroyed && socket.writable) socket.write(socket.telnet.escape(bytes));
+  };
+  const engine = startTransfer(session, getRepositories(), write, (message) => endTransfer(socket, session, message));
+  if (!transfer.drainTimer) transfer.engine = engine; // The transfer may already have failed to start.
+}
+
+/**
+ * Feeds client bytes to the running transfer, or discards them while draining after one.
+ * @param {net.Socket} socket - The client socket.
+ * @param {Buffer} data - Data bytes, already separated from telnet commands.
+ */
+function handleTransferData(socket, data) {
+  const transfer = socket.transfer;
+  touchSession(socket.sessionId); // A long transfer is activity, not idling.
+  if (transfer.engine) transfer.engine.handleData(data);
+  else if (transfer.drainTimer) transfer.resetDrain();
+}
+
+/**
+ * Ends transfer mode. Leftover protocol bytes from the client (trailing ACKs, cancel sequences) are
+ * discarded until the line goes quiet, then the result and a fresh prompt are shown.
+ * @param {net.Socket} socket - The client socket.
+ * @param {object} session - The user's session object.
+ * @param {string} message - The transfer result for the user.
+ */
+function endTransfer(socket, session, message) {
+  const transfer = socket.transfer;
+  if (!transfer || socket.destroyed) return;
+  transfer.engine = null;
+  socket.telnet.disable(OPT_BINARY, 'local');
+  socket.telnet.disable(OPT_BINARY, 'remote');
+  const drainStarted = Date.now();
+  const finishDrain = () => {
+    socket.transfer = null;
+    socket.lineEditor.clear();
+    if (socket.destroyed) return;
+    socket.write(`\r\n${message.replace(/\n/g, '\r\n')}\r\n`);
+    socket.write(toTelnetLineEnds(collectPendingNotices(session))); // Notices that arrived during the transfer.
+    writePrompt(socket, session);
+  };
+  transfer.resetDrain = () => {
+    clearTimeout(transfer.drainTimer);
+    const remaining = TRANSFER_DRAIN_MAX_MS - (Date.now() - drainStarted);
+    transfer.drainTimer = setTimeout(finishDrain, Math.max(0, Math.min(TRANSFER_DRAIN_QUIET_MS, remaining)));
+  };
+  transfer.resetDrain();
+}
+
+/**
+ * Cancels any transfer in progress when a connection goes away.
+ * @param {net.Socket} socket - The client socket.
+ */
+function cleanupTransfer(socket) {
+  if (!socket.transfer) return;
+  if (socket.transfer.engine) socket.transfer.engine.abort("Connection closed.");
+  clearTimeout(socket.transfer.drainTimer);
+  socket.transfer = null;
+}
+
+/**
+ * Runs one line of input: QUIT, an empty line (new prompt) or a BBS command.
+ * @async
+ * @param {net.Socket} socket - The client socket.
+ * @param {string} line - The completed input line.
+ */
+async function handleLine(socket, line) {
+  const commandString = line.trim();
+  const currentSessionId = socket.sessionId;
+  const currentSession = getSession(currentSessionId); // Get current session for prompt re-coloring
+
+  if (!currentSession) {
+    console.log(`Telnet: session ${currentSessionId} is no longer valid (expired). Ending connection.`);
+    socket.write('\r\nYour session has expired. Please reconnect.\r\n');
+    socket.end();
+    return;
+  }
+
+  // At an input prompt every line, even an empty one (which cancels), is an answer for the command.
+  const answeringPrompt = !!currentSession.inputPrompt;
+  if (!commandString && !answeringPrompt) {
+    writePrompt(socket, currentSession); // Re-issue prompt on empty input
+    return;
+  }
+
+  // In a game QUIT leaves the game (see games/index.js) and in a match it resigns (see matches.js), so it
+  // goes to processInput instead of disconnecting.
+  const inGame = !!(currentSession.currentGame || currentSession.currentMatch);
+  if (!answeringPrompt && !inGame && commandString.toUpperCase() === 'QUIT') {
+    socket.write('Goodbye!\r\n');
+    socket.end();
+    return;
+  }
+
+  try {
+    const response = await processInput(currentSessionId, commandString);
+    if (socket.destroyed) return;
+    if (response) socket.write(toTelnetLineEnds(response.endsWith('\n') ? response : response + '\n'));
+    if (currentSession.pendingTransfer) {
+      beginTransfer(socket, currentSession); // The prompt returns when the transfer ends.
+      return;
+    }
+    writePrompt(socket, currentSession); // Re-issue prompt after command response
+  } catch (e) {
+    console.error(`Error processing command for session ${currentSessionId}:`, e);
+    socket.write("An internal error occurred while processing your command. Please try again.\r\n");
+    writePrompt(socket, currentSession); // Re-issue prompt even after error
+  }
+}
+
+/**
+ * Processes queued input lines one at a time, in order, each waiting for the previous command to finish.
+ * Lines still queued when a file transfer starts are dropped: the connection now belongs to the transfer.
+ * @async
+ * @param {net.Socket} socket - The client socket.
+ */
+async function processLineQueue(socket) {
+  if (socket.processingLines) return;
+  socket.processingLines = true;
+  try {
+    while (socket.lineQueue.length > 0 && !socket.destroyed && !socket.transfer) {
+      await handleLine(socket, socket.lineQueue.shift());
+    }
+  } finally {
+    socket.processingLines = false;
+  }
+  if (socket.transfer) {
+    socket.lineQueue = [];
+    socket.lineEditor.clear();
+  }
+}
+
+/**
+ * Converts bare LF line ends in command output to the CR LF telnet terminals expect.
+ * @param {string} text - Output text.
+ * @returns {string} The text with CR LF line ends.
+ */
+function toTelnetLineEnds(text) {
+  return text.replace(/\r?\n/g, '\r\n');
+}
+
 /**
  * Initializes and starts the Telnet server.
  */
@@ -62,13 +262,68 @@ function startTelnetServer() {
   const server = net.createServer(async (socket) => {
     let sessionId;
     let session; // To store the session object for use in prompt writing
+    // Attached before the first await: a client that resets the connection during the ban check must not
+    // leave an unhandled 'error' event behind. Until the session exists there is nothing to clean up.
+    socket.on('close', () => {
+      cleanupTransfer(socket);
+      if (socket.detachNotices) socket.detachNotices();
+      if (socket.unregisterConnection) socket.unregisterConnection();
+      if (socket.sessionId) {
+        endSession(socket.sessionId);
+        console.log(`Telnet session ${socket.sessionId} fully closed and cleaned up.`);
+      } else {
+        console.log('Telnet connection closed without an active session ID.');
+      }
+    });
+
+    socket.on('error', (err) => {
+      cleanupTransfer(socket);
+      if (socket.detachNotices) socket.detachNotices();
+      if (socket.unregisterConnection) socket.unregisterConnection();
+      if (socket.sessionId) {
+        console.error(`Telnet socket error for session ${socket.sessionId}. Error: ${err.message}. Cleaning up session.`);
+        endSession(socket.sessionId);
+      } else {
+        console.error(`Telnet socket error for connection without a session ID: ${err.message}`);
+      }
+      socket.destroy();
+    });
+
     try {
-      sessionId = await createSession('telnet');
+      const ban = await getRepositories().bans.getActive({ address: socket.remoteAddress });
+      if (ban) {
+        console.log(`Telnet: refused connection from banned address ${socket.remoteAddress}.`);
+        socket.end(toTelnetLineEnds(formatBanMessage(ban)));
+        return;
+      }
+      if (socket.destroyed) return; // Gone while the ban was looked up; no session to create.
+      sessionId = await createSession('telnet', socket.remoteAddress);
       socket.sessionId = sessionId;
       session = getSession(sessionId); // Get the session object
       if (!session) throw new Error("Session could not be retrieved after creation.");
 
       console.log(`Telnet client connected, session created: ${sessionId}`);
+      socket.telnet = createTelnetConnection(
+        (bytes) => { if (!socket.destroyed) socket.write(bytes); },
+        (terminal) => console.log(`Telnet session ${sessionId} terminal: ${terminal.type || 'unknown'} ${terminal.width}x${terminal.height}`)
+      );
+      // Live view of the client's terminal type and window size (TTYPE/NAWS), for commands that format output.
+      session.terminal = socket.telnet.terminal;
+      socket.inputDecoder = new StringDecoder('utf8');
+      socket.lineEditor = createLineEditor({
+        echo: (text) => socket.write(text),
+        shouldEcho: () => socket.telnet.isLocalEnabled(OPT_ECHO),
+      });
+      socket.lineQueue = [];
+      socket.detachNotices = attachChannel(sessionId, (text) => pushNotice(socket, session, text));
+      // KICK, BAN and the session reaper close the connection through the registry, with a reason.
+      socket.unregisterConnection = registerConnection(sessionId, (message) => {
+        cleanupTransfer(socket);
+        socket.write(toTelnetLineEnds(`\n${message}`));
+        socket.end();
+        return true;
+      });
+      socket.telnet.start();
       socket.write(getAnsiWelcomeBanner());
       writePrompt(socket, session); // Write initial prompt with color
     } catch (e) {
@@ -78,58 +333,28 @@ function startTelnetServer() {
         return;
     }
 
-    socket.on('data', async (data) => {
-      const commandString = data.toString().trim();
-      const currentSessionId = socket.sessionId;
-      const currentSession = getSession(currentSessionId); // Get current session for prompt re-coloring
-
-      if (!currentSession) {
-        console.error(`Telnet Error: No valid session found for active socket (ID: ${currentSessionId}). Ending connection.`);
-        socket.write('Session error. Please reconnect.\r\n');
-        socket.end();
-        return;
-      }
-
-      if (!commandString) {
-        writePrompt(socket, currentSession); // Re-issue prompt on empty input
-        return;
-      }
-
-      if (commandString.toUpperCase() === 'QUIT') {
-        socket.write('Goodbye!\r\n');
-        socket.end();
+    socket.on('data', (chunk) => {
+      const data = socket.telnet.receive(chunk);
+      if (socket.transfer) {
+        handleTransferData(socket, data);
         return;
       }
-
-      try {
-        const response = await processInput(currentSessionId, commandString);
-        socket.write(response.endsWith('\n') ? response : response + '\r\n');
-        writePrompt(socket, currentSession); // Re-issue prompt after command response
-      } catch (e) {
-        console.error(`Error processing command for session ${currentSessionId}:`, e);
-        socket.write("An internal error occurred while processing your command. Please try again.\r\n");
-        writePrompt(socket, currentSession); // Re-issue prompt even after error
+      if (data.length === 0) return; // Only telnet negotiation in this chunk.
+      const lines = socket.lineEditor.feed(socket.inputDecoder.write(data));
+      if (lines.length === 0) return;
+      if (socket.lineQueue.length + lines.length > MAX_QUEUED_LINES) {
+        socket.write(`\r\nToo much input at once; only the first ${MAX_QUEUED_LINES} lines will be processed.\r\n`);
       }
+      socket.lineQueue.push(...lines.slice(0, Math.max(0, MAX_QUEUED_LINES - socket.lineQueue.length)));
+      processLineQueue(socket);
     });
 
-    socket.on('close', () => {
-      if (socket.sessionId) {
-        endSession(socket.sessionId);
-        console.log(`Telnet session ${socket.sessionId} fully closed and cleaned up.`);
-      } else {
-        console.log('Telnet connection closed without an active session ID.');
-      }
+    // Idle callers are disconnected when their session's idle timeout runs out.
+    socket.setTimeout(SESSION_IDLE_TIMEOUT_MS, () => {
+      socket.write('\r\nIdle timeout. Goodbye!\r\n');
+      socket.end();
     });
 
-    socket.on('error', (err) => {
-      if (socket.sessionId) {
-        console.error(`Telnet socket error for session ${socket.sessionId}. Error: ${err.message}. Cleaning up session.`);
-        endSession(socket.sessionId);
-      } else {
-        console.error(`Telnet socket error for connection without a session ID: ${err.message}`);
-      }
-      socket.destroy();
-    });
   });
 
   server.listen(TELNET_PORT, () => {
@@ -0,0 +1,54 @@
+/**
+ * @file Threaded message board helpers: topic titles and reply trees. Used by READ, THREAD and LOOK;
+ * messages and threads are stored and loaded by repos.messages.
+ */
+const { colorize } = require('./ansi');
+
+/**
+ * Returns a topic's display title: its subject, or the start of its body for subject-less posts.
+ * @param {object} message - A message row.
+ * @returns {string} The title.
+ */
+function getTitle(message) {
+  if (message.subject) return message.subject;
+  return message.body.length > 40 ? message.body.substring(0, 37) + '...' : message.body;
+}
+
+/**
+ * Renders a thread as an indented reply tree.
+ * @param {object} session - The viewer's session (for colors).
+ * @param {object[]} messages - The thread's messages, oldest first.
+ * @param {number} [highlightId] - Message to mark with an arrow (e.g. the one the user asked for).
+ * @returns {string[]} Output lines.
+ */
+function renderThreadTree(session, messages, highlightId) {
+  const children = new Map();
+  const ids = new Set(messages.map(m => m.id));
+  const roots = [];
+  messages.forEach(m => {
+    // A reply whose parent was deleted is shown at the top level rather than dropped.
+    if (m.parent_id && ids.has(m.parent_id)) {
+      if (!children.has(m.parent_id)) children.set(m.parent_id, []);
+      children.get(m.parent_id).push(m);
+    } else {
+      roots.push(m);
+    }
+  });
+  const lines = [];
+  const walk = (message, depth) => {
+    const marker = message.id === highlightId ? '> ' : '  ';
+    const indent = depth > 0 ? '  '.repeat(depth - 1) + '`- ' : '';
+    const localTimestamp = new Date(message.timestamp).toLocaleString();
+    lines.push(`${marker}${indent}${colorize(session, 'id_output', `#${message.id}`)} ` +
+               `${colorize(session, 'username_output', message.username)} ` +
+               `${colorize(session, 'timestamp_output', `[${localTimestamp}]`)}: ${message.body}`);
+    (children.get(message.id) || []).forEach(child => walk(child, depth + 1));
+  };
+  roots.forEach(root => walk(root, 0));
+  return lines;
+}
+
+module.exports = {
+  getTitle,
+  renderThreadTree,
+};
@@ -0,0 +1,33 @@
+/**
+ * @file Pieces shared by the XMODEM, YMODEM and ZMODEM engines.
+ */
+
+const CAN = 0x18;
+
+const START_TIMEOUT_MS = 60000; // How long the user has to start their terminal's side of a transfer.
+const BLOCK_TIMEOUT_MS = 10000; // Silence allowed mid-transfer before a retry.
+const MAX_RETRIES = 10;
+
+// Sent to cancel a transfer: CANs stop the peer, backspaces erase them from a terminal that is not transferring.
+const CANCEL_SEQUENCE = Buffer.from([...Array(8).fill(CAN), ...Array(8).fill(0x08)]);
+
+/**
+ * Creates an error for a failed transfer.
+ * @param {string} code - 'CANCELLED', 'TIMEOUT', 'PROTOCOL' or 'TOO_LARGE'.
+ * @param {string} message - A message safe to show to the user.
+ * @returns {Error} The error, with `code` set.
+ */
+function transferError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = {
+  CAN,
+  START_TIMEOUT_MS,
+  BLOCK_TIMEOUT_MS,
+  MAX_RETRIES,
+  CANCEL_SEQUENCE,
+  transferError,
+};
@@ -0,0 +1,42 @@
+/**
+ * @file CRC routines shared by the file transfer protocols.
+ * XMODEM, YMODEM and ZMODEM use CRC-16/XMODEM; ZMODEM can also use the IEEE CRC-32.
+ */
+
+const CRC16_TABLE = new Uint16Array(256);
+const CRC32_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let crc16 = n << 8;
+  let crc32 = n;
+  for (let bit = 0; bit < 8; bit++) {
+    crc16 = crc16 & 0x8000 ? (crc16 << 1) ^ 0x1021 : crc16 << 1;
+    crc32 = crc32 & 1 ? (crc32 >>> 1) ^ 0xEDB88320 : crc32 >>> 1;
+  }
+  CRC16_TABLE[n] = crc16 & 0xFFFF;
+  CRC32_TABLE[n] = crc32 >>> 0;
+}
+
+/**
+ * Computes CRC-16/XMODEM (polynomial 0x1021, initial value 0).
+ * @param {Buffer|number[]} bytes - The bytes to checksum.
+ * @param {number} [crc=0] - A running CRC to continue from.
+ * @returns {number} The 16-bit CRC.
+ */
+function crc16(bytes, crc = 0) {
+  for (const byte of bytes) crc = ((crc << 8) ^ CRC16_TABLE[((crc >> 8) ^ byte) & 0xFF]) & 0xFFFF;
+  return crc;
+}
+
+/**
+ * Computes the IEEE CRC-32 used by ZMODEM's 32-bit frames.
+ * @param {Buffer|number[]} bytes - The bytes to checksum.
+ * @param {number} [crc=0] - A running CRC (as returned by a previous call) to continue from.
+ * @returns {number} The 32-bit CRC, unsigned.
+ */
+function crc32(bytes, crc = 0) {
+  crc = ~crc >>> 0;
+  for (const byte of bytes) crc = (crc >>> 8) ^ CRC32_TABLE[(crc ^ byte) & 0xFF];
+  return ~crc >>> 0;
+}
+
+module.exports = { crc16, crc32 };
@@ -0,0 +1,122 @@
+/**
+ * @file Runs file area transfers for Telnet sessions.
+ * DOWNLOADINFO and UPLOAD queue a request in `session.pendingTransfer`; once the command's response has been
+ * written, telnetServer.js calls startTransfer() and feeds it the connection's bytes until it finishes.
+ */
+const fs = require('fs');
+const { createXmodemSender, createXmodemReceiver } = require('./xmodem');
+const { createZmodemSender, createZmodemReceiver } = require('./zmodem');
+const { formatSize, storeFile } = require('../fileStore');
+
+const PROTOCOLS = ['XMODEM', 'YMODEM', 'ZMODEM'];
+
+/**
+ * Returns the cancel hint shown before a transfer starts.
+ * @param {string} protocol - One of PROTOCOLS.
+ * @returns {string} The hint.
+ */
+function getCancelHint(protocol) {
+  return protocol === 'ZMODEM' ? "Press Ctrl-X five times to cancel." : "Press Ctrl-X twice to cancel.";
+}
+
+/**
+ * Builds the protocol engine for a queued transfer.
+ * @param {object} request - The session's pendingTransfer.
+ * @param {Array<{name: string, data: Buffer, mtime: Date}>} files - Files to send (downloads only).
+ * @param {function(Buffer): void} write - Sends bytes to the client.
+ * @param {function(?Error, object=): void} onDone - Engine completion callback.
+ * @returns {object} The engine.
+ */
+function createEngine(request, files, write, onDone) {
+  const batch = request.protocol === 'YMODEM';
+  if (request.direction === 'send') {
+    return request.protocol === 'ZMODEM' ?
+        createZmodemSender({ files, write, onDone }) :
+        createXmodemSender({ files, batch, write, onDone });
+  }
+  const options = { batch, filename: request.filename, maxBytes: request.maxBytes, write, onDone };
+  return request.protocol === 'ZMODEM' ? createZmodemReceiver(options) : createXmodemReceiver(options);
+}
+
+/**
+ * Stores received files and describes the outcome.
+ * @async
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {object} session - The uploader's session.
+ * @param {object} request - The session's pendingTransfer.
+ * @param {object} result - The receiver's result.
+ * @returns {Promise<string[]>} Output lines.
+ */
+async function storeUploads(repos, session, request, result) {
+  const lines = [];
+  for (const file of result.files) {
+    try {
+      const stored = await storeFile(repos, {
+        areaRef: request.areaId, filename: file.name, description: request.description,
+        userId: session.userId, content: file.data, session,
+      });
+      lines.push(`Upload complete: [${stored.filename}] (${formatSize(stored.size)}) stored in ${stored.areaName} as file #${stored.id}.`);
+    } catch (storeErr) {
+      if (!storeErr.code) console.error("Error storing uploaded file:", storeErr);
+      lines.push(`[${file.name}] was not stored: ${storeErr.code ? storeErr.message : "a database error occurred."}`);
+    }
+  }
+  (result.skipped || []).forEach(f => lines.push(`[${f.name}] was skipped: it is too large to upload here.`));
+  if (lines.length === 0) lines.push("No files were received.");
+  return lines;
+}
+
+/**
+ * Starts the transfer queued on the session.
+ * @param {object} session - The Telnet session with a pendingTransfer.
+ * @param {object} repos - The repositories (see repositories/index.js).
+ * @param {function(Buffer): void} write - Sends raw protocol bytes to the client (already telnet-escaped by the caller).
+ * @param {function(string): void} onFinish - Called once with the text to show the user afterwards.
+ * @returns {{handleData: function(Buffer): void, abort: function(string=): void}} Feed client bytes to handleData; abort on disconnect.
+ */
+function startTransfer(session, repos, write, onFinish) {
+  const request = session.pendingTransfer;
+  delete session.pendingTransfer;
+  let files = [];
+  if (request.direction === 'send') {
+    try {
+      const stats = fs.statSync(request.storagePath);
+      files = [{ name: request.filename, data: fs.readFileSync(request.storagePath), mtime: stats.mtime }];
+    } catch (readErr) {
+      console.error(`Transfer: cannot read ${request.storagePath}:`, readErr.message);
+      onFinish("Transfer failed: the file could not be read. Please tell the SysOp.");
+      return { handleData() {}, abort() {} };
+    }
+  }
+  session.transferActive = true;
+  console.log(`Transfer: ${request.protocol} ${request.direction} started for ${session.username}.`);
+
+  const engine = createEngine(request, files, write, async (err, result) => {
+    session.transferActive = false;
+    if (err) {
+      console.log(`Transfer: ${request.protocol} ${request.direction} for ${session.username} failed (${err.code}): ${err.message}`);
+      return onFinish(`Transfer failed: ${err.message}`);
+    }
+    if (request.direction === 'send') {
+      const completed = result.files.filter(f => !f.skipped);
+      if (completed.length === 0) return onFinish(`Transfer ended: [${request.filename}] was skipped by your terminal.`);
+      try { await repos.files.recordDownload(request.fileId); }
+      catch (countErr) { console.error("Transfer: error recording download:", countErr); }
+      return onFinish(`Transfer complete: sent [${request.filename}] (${formatSize(files[0].data.length)}).`);
+    }
+    try {
+      onFinish((await storeUploads(repos, session, request, result)).join('\n'));
+    } catch (storeErr) {
+      console.error("Transfer: error storing uploads:", storeErr);
+      onFinish("Transfer finished, but an error occurred while saving the files.");
+    }
+  });
+  engine.start();
+  return { handleData: engine.handleData, abort: engine.abort };
+}
+
+module.exports = {
+  PROTOCOLS,
+  getCancelHint,
+  startTransfer,
+};
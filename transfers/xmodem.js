@@ -0,0 +1,389 @@
+/**
+ * @file XMODEM-CRC and YMODEM batch transfers.
+ * Both sides are byte-driven state machines: feed peer bytes to handleData() and they write replies
+ * through the `write` callback. Each engine calls onDone(err, result) exactly once.
+ */
+const { crc16 } = require('./crc');
+const { CAN, START_TIMEOUT_MS, BLOCK_TIMEOUT_MS, MAX_RETRIES, CANCEL_SEQUENCE, transferError } = require('./common');
+
+const SOH = 0x01; // 128-byte block.
+const STX = 0x02; // 1024-byte block.
+const EOT = 0x04;
+const ACK = 0x06;
+const NAK = 0x15;
+const CRC_REQUEST = 0x43; // 'C': receiver asks for CRC-16 blocks.
+const SUB = 0x1A; // Pads the last XMODEM block.
+
+const START_REQUEST_INTERVAL_MS = 3000;
+
+/**
+ * Builds one XMODEM/YMODEM block.
+ * @param {number} blockNumber - The block number (only the low byte is sent).
+ * @param {Buffer} payload - Up to `size` bytes of data.
+ * @param {number} size - 128 or 1024.
+ * @param {boolean} useCrc - CRC-16 trailer if true, 8-bit checksum otherwise.
+ * @param {number} [padByte=SUB] - Byte used to fill a short payload.
+ * @returns {Buffer} The block, ready to send.
+ */
+function buildBlock(blockNumber, payload, size, useCrc, padByte = SUB) {
+  const data = Buffer.alloc(size, padByte);
+  payload.copy(data);
+  const number = blockNumber & 0xFF;
+  let trailer;
+  if (useCrc) {
+    const crc = crc16(data);
+    trailer = Buffer.from([crc >> 8, crc & 0xFF]);
+  } else {
+    trailer = Buffer.from([data.reduce((sum, byte) => (sum + byte) & 0xFF, 0)]);
+  }
+  return Buffer.concat([Buffer.from([size === 1024 ? STX : SOH, number, 0xFF - number]), data, trailer]);
+}
+
+/**
+ * Builds a YMODEM header (block 0) for a file, or the empty header that ends a batch.
+ * @param {{name: string, data: Buffer, mtime?: Date}|null} file - The file, or null to end the batch.
+ * @returns {Buffer} The block.
+ */
+function buildYmodemHeader(file) {
+  if (!file) return buildBlock(0, Buffer.alloc(0), 128, true, 0);
+  const mtime = Math.floor((file.mtime ? file.mtime.getTime() : Date.now()) / 1000);
+  const info = Buffer.from(`${file.name}\0${file.data.length} ${mtime.toString(8)} 0\0`, 'latin1');
+  return buildBlock(0, info, info.length > 128 ? 1024 : 128, true, 0);
+}
+
+/**
+ * Creates an XMODEM or YMODEM sender.
+ * @param {object} options - Sender options.
+ * @param {Array<{name: string, data: Buffer, mtime?: Date}>} options.files - Files to send. XMODEM sends only the first.
+ * @param {boolean} options.batch - True for YMODEM batch, false for XMODEM-CRC (with checksum fallback).
+ * @param {function(Buffer): void} options.write - Sends bytes to the peer.
+ * @param {function(?Error, object=): void} options.onDone - Called once with an error or {files: [{name, size}]}.
+ * @returns {{start: function(): void, handleData: function(Buffer): void, abort: function(string=): void}} The sender.
+ */
+function createXmodemSender({ files, batch, write, onDone }) {
+  const blockSize = batch ? 1024 : 128;
+  let state = 'waitStart'; // waitStart -> (header -> waitDataStart ->) data -> eot -> next file or end
+  let fileIndex = 0;
+  let blockNumber = 1;
+  let offset = 0;
+  let useCrc = true;
+  let lastPacket = null;
+  let retries = 0;
+  let cancelCount = 0;
+  let timer = null;
+  let finished = false;
+  const sent = [];
+
+  function finish(err) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    if (err) onDone(err);
+    else onDone(null, { files: sent });
+  }
+
+  function armTimer(ms) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (state === 'waitStart' || state === 'waitDataStart' || state === 'waitEndStart') {
+        return abort("Timed out waiting for your terminal to start the transfer.", 'TIMEOUT');
+      }
+      resend(); // No reply to the last packet; treat the silence like a NAK.
+    }, ms);
+  }
+
+  function send(packet, nextState) {
+    lastPacket = packet;
+    state = nextState;
+    write(packet);
+    armTimer(BLOCK_TIMEOUT_MS);
+  }
+
+  function resend() {
+    if (++retries > MAX_RETRIES) return abort("Too many errors; transfer cancelled.", 'PROTOCOL');
+    write(lastPacket);
+    armTimer(BLOCK_TIMEOUT_MS);
+  }
+
+  function sendNextBlock() {
+    const file = files[fileIndex];
+    if (offset >= file.data.length) return send(Buffer.from([EOT]), 'eot');
+    const remaining = file.data.length - offset;
+    // YMODEM may finish with a short 128-byte block instead of padding out a full 1K.
+    const size = blockSize === 1024 && remaining <= 128 ? 128 : blockSize;
+    const payload = file.data.subarray(offset, offset + size);
+    offset += payload.length;
+    send(buildBlock(blockNumber++, payload, size, useCrc), 'data');
+  }
+
+  function startFile() {
+    blockNumber = 1;
+    offset = 0;
+    retries = 0;
+    if (batch) send(buildYmodemHeader(files[fileIndex]), 'header');
+    else sendNextBlock();
+  }
+
+  function handleByte(byte) {
+    if (byte === CAN) {
+      if (++cancelCount >= 2) abort("Transfer cancelled.", 'CANCELLED', false);
+      return;
+    }
+    cancelCount = 0;
+    switch (state) {
+      case 'waitStart':
+        if (byte === CRC_REQUEST || (byte === NAK && !batch)) {
+          useCrc = byte === CRC_REQUEST;
+          startFile();
+        }
+        break;
+      case 'header':
+        if (byte === ACK) { retries = 0; state = 'waitDataStart'; armTimer(START_TIMEOUT_MS); }
+        else if (byte === NAK) resend();
+        break;
+      case 'waitDataStart':
+        if (byte === CRC_REQUEST) sendNextBlock();
+        break;
+      case 'data':
+        if (byte === ACK) { retries = 0; sendNextBlock(); }
+        else if (byte === NAK) resend();
+        break;
+      case 'eot':
+        if (byte === ACK) {
+          retries = 0;
+          sent.push({ name: files[fileIndex].name, size: files[fileIndex].data.length });
+          fileIndex++;
+          if (!batch) return finish(null);
+          state = fileIndex < files.length ? 'waitStart' : 'waitEndStart';
+          armTimer(START_TIMEOUT_MS);
+        } else if (byte === NAK) resend();
+        break;
+      case 'waitEndStart':
+        if (byte === CRC_REQUEST) send(buildYmodemHeader(null), 'end');
+        break;
+      case 'end':
+        if (byte === ACK) finish(null);
+        else if (byte === NAK) resend();
+        break;
+    }
+  }
+
+  /**
+   * Cancels the transfer.
+   * @param {string} [message] - Why, for the user.
+   * @param {string} [code='CANCELLED'] - Error code passed to onDone.
+   * @param {boolean} [notifyPeer=true] - Whether to send the cancel sequence.
+   */
+  function abort(message = "Transfer cancelled.", code = 'CANCELLED', notifyPeer = true) {
+    if (finished) return;
+    if (notifyPeer) write(CANCEL_SEQUENCE);
+    finish(transferError(code, message));
+  }
+
+  return {
+    start() { armTimer(START_TIMEOUT_MS); },
+    handleData(data) {
+      for (const byte of data) {
+        if (finished) return;
+        handleByte(byte);
+      }
+    },
+    abort,
+  };
+}
+
+/**
+ * Parses the file name and size from a YMODEM header block.
+ * @param {Buffer} data - The block's payload.
+ * @returns {{name: string, size: number|null}} The name ('' for the end-of-batch block) and size if given.
+ */
+function parseYmodemHeader(data) {
+  const nameEnd = data.indexOf(0);
+  const name = data.toString('latin1', 0, nameEnd === -1 ? data.length : nameEnd);
+  if (!name) return { name: '', size: null };
+  const infoEnd = data.indexOf(0, nameEnd + 1);
+  const info = data.toString('latin1', nameEnd + 1, infoEnd === -1 ? data.length : infoEnd).trim();
+  const size = parseInt(info.split(' ')[0], 10);
+  return { name, size: isNaN(size) ? null : size };
+}
+
+/**
+ * Creates an XMODEM or YMODEM receiver.
+ * @param {object} options - Receiver options.
+ * @param {boolean} options.batch - True for YMODEM batch, false for XMODEM-CRC (with checksum fallback).
+ * @param {string} [options.filename] - Name for the XMODEM file, which carries no name of its own.
+ * @param {number} options.maxBytes - Largest total upload accepted.
+ * @param {function(Buffer): void} options.write - Sends bytes to the peer.
+ * @param {function(?Error, object=): void} options.onDone - Called once with an error or {files: [{name, data}]}.
+ * @returns {{start: function(): void, handleData: function(Buffer): void, abort: function(string=): void}} The receiver.
+ */
+function createXmodemReceiver({ batch, filename, maxBytes, write, onDone }) {
+  let buffer = Buffer.alloc(0);
+  let started = false; // False until the first block arrives; until then we keep asking for one.
+  let expectingHeader = batch;
+  let useCrc = true;
+  let startRequests = 0;
+  let expectedBlock = batch ? 0 : 1;
+  let current = null; // {name, size, chunks, length}
+  let totalBytes = 0;
+  let eotCount = 0;
+  let retries = 0;
+  let timer = null;
+  let finished = false;
+  const received = [];
+
+  function finish(err) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    if (err) onDone(err);
+    else onDone(null, { files: received });
+  }
+
+  function requestStart() {
+    if (finished) return;
+    if (startRequests * START_REQUEST_INTERVAL_MS >= START_TIMEOUT_MS) {
+      return abort("Timed out waiting for your terminal to start the transfer.", 'TIMEOUT');
+    }
+    // Plain XMODEM falls back to checksum mode for senders that ignore 'C'.
+    if (!batch && startRequests >= 4) useCrc = false;
+    startRequests++;
+    write(Buffer.from([useCrc ? CRC_REQUEST : NAK]));
+    clearTimeout(timer);
+    timer = setTimeout(requestStart, START_REQUEST_INTERVAL_MS);
+  }
+
+  function armBlockTimer() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (++retries > MAX_RETRIES) return abort("Timed out waiting for data.", 'TIMEOUT');
+      buffer = Buffer.alloc(0);
+      write(Buffer.from([NAK]));
+      armBlockTimer();
+    }, BLOCK_TIMEOUT_MS);
+  }
+
+  function reject() {
+    // A damaged block: drop whatever is buffered and ask again.
+    buffer = Buffer.alloc(0);
+    if (++retries > MAX_RETRIES) return abort("Too many errors; transfer cancelled.", 'PROTOCOL');
+    write(Buffer.from([NAK]));
+    armBlockTimer();
+  }
+
+  function completeFile() {
+    let data = Buffer.concat(current.chunks);
+    if (current.size !== null) data = data.subarray(0, current.size);
+    else {
+      let end = data.length;
+      while (end > 0 && data[end - 1] === SUB) end--;
+      data = data.subarray(0, end);
+    }
+    received.push({ name: current.name, data });
+    current = null;
+  }
+
+  function handleHeader(payload) {
+    const header = parseYmodemHeader(payload);
+    write(Buffer.from([ACK]));
+    if (!header.name) return finish(null); // Empty header: end of batch.
+    if (header.size !== null && totalBytes + header.size > maxBytes) {
+      return abort(`${header.name} is too large to upload here.`, 'TOO_LARGE');
+    }
+    current = { name: header.name, size: header.size, chunks: [], length: 0 };
+    expectingHeader = false;
+    expectedBlock = 1;
+    write(Buffer.from([CRC_REQUEST]));
+    armBlockTimer();
+  }
+
+  function handleBlock(number, payload) {
+    if (expectingHeader) {
+      if (number !== 0) return reject();
+      return handleHeader(payload);
+    }
+    if (number === ((expectedBlock - 1) & 0xFF)) { write(Buffer.from([ACK])); return armBlockTimer(); } // Our ACK was lost.
+    if (number !== (expectedBlock & 0xFF)) return abort("Transfer out of sync; cancelled.", 'PROTOCOL');
+    if (!current) current = { name: filename, size: null, chunks: [], length: 0 };
+    current.chunks.push(Buffer.from(payload));
+    current.length += payload.length;
+    totalBytes += payload.length;
+    if (totalBytes > maxBytes + 1024) return abort("Upload is too large; transfer cancelled.", 'TOO_LARGE');
+    expectedBlock++;
+    retries = 0;
+    write(Buffer.from([ACK]));
+    armBlockTimer();
+  }
+
+  function handleEot() {
+    buffer = buffer.subarray(1);
+    if (!current) { write(Buffer.from([ACK])); return finish(null); }
+    // YMODEM receivers NAK the first EOT so a corrupted EOT cannot end a file early.
+    if (batch && ++eotCount < 2) { write(Buffer.from([NAK])); return armBlockTimer(); }
+    eotCount = 0;
+    write(Buffer.from([ACK]));
+    completeFile();
+    if (!batch) return finish(null);
+    expectingHeader = true;
+    expectedBlock = 0;
+    write(Buffer.from([CRC_REQUEST]));
+    armBlockTimer();
+  }
+
+  function processBuffer() {
+    while (buffer.length > 0 && !finished) {
+      const type = buffer[0];
+      if (type === CAN) {
+        if (buffer.length < 2) return;
+        if (buffer[1] === CAN) return abort("Transfer cancelled.", 'CANCELLED', false);
+        buffer = buffer.subarray(1);
+        continue;
+      }
+      if (type === EOT) { handleEot(); continue; }
+      if (type !== SOH && type !== STX) { buffer = buffer.subarray(1); continue; } // Line noise between blocks.
+      const size = type === STX ? 1024 : 128;
+      const blockLength = 3 + size + (useCrc ? 2 : 1);
+      if (buffer.length < blockLength) return;
+      const block = buffer.subarray(0, blockLength);
+      buffer = buffer.subarray(blockLength);
+      started = true;
+      if (block[1] + block[2] !== 0xFF) { reject(); continue; }
+      const payload = block.subarray(3, 3 + size);
+      const valid = useCrc ?
+          crc16(payload) === ((block[3 + size] << 8) | block[4 + size]) :
+          payload.reduce((sum, byte) => (sum + byte) & 0xFF, 0) === block[3 + size];
+      if (!valid) { reject(); continue; }
+      eotCount = 0;
+      handleBlock(block[1], payload);
+    }
+  }
+
+  /**
+   * Cancels the transfer.
+   * @param {string} [message] - Why, for the user.
+   * @param {string} [code='CANCELLED'] - Error code passed to onDone.
+   * @param {boolean} [notifyPeer=true] - Whether to send the cancel sequence.
+   */
+  function abort(message = "Transfer cancelled.", code = 'CANCELLED', notifyPeer = true) {
+    if (finished) return;
+    if (notifyPeer) write(CANCEL_SEQUENCE);
+    finish(transferError(code, message));
+  }
+
+  return {
+    start: requestStart,
+    handleData(data) {
+      if (finished) return;
+      if (!started) { clearTimeout(timer); armBlockTimer(); }
+      buffer = Buffer.concat([buffer, data]);
+      processBuffer();
+      if (!started && !finished && buffer.length === 0) { clearTimeout(timer); timer = setTimeout(requestStart, START_REQUEST_INTERVAL_MS); }
+    },
+    abort,
+  };
+}
+
+module.exports = {
+  createXmodemSender,
+  createXmodemReceiver,
+};
@@ -0,0 +1,569 @@
+/**
+ * @file ZMODEM sender and receiver.
+ * Implements the subset a BBS needs: hex and binary headers (CRC-16 sent, CRC-16 or CRC-32 accepted),
+ * ZDLE-escaped data subpackets, resume from ZRPOS, ZSKIP and batch end with ZFIN/"OO".
+ * Like the XMODEM engines, these are byte-driven state machines with a write callback and onDone(err, result).
+ */
+const { crc16, crc32 } = require('./crc');
+const { CAN, START_TIMEOUT_MS, BLOCK_TIMEOUT_MS, MAX_RETRIES, CANCEL_SEQUENCE, transferError } = require('./common');
+
+const ZPAD = 0x2A; // '*'
+const ZDLE = CAN;
+const ZBIN = 0x41; // 'A': binary header, CRC-16.
+const ZHEX = 0x42; // 'B': hex header, CRC-16.
+const ZBIN32 = 0x43; // 'C': binary header, CRC-32.
+const XON = 0x11;
+
+// Frame types.
+const ZRQINIT = 0, ZRINIT = 1, ZSINIT = 2, ZACK = 3, ZFILE = 4, ZSKIP = 5, ZNAK = 6, ZABORT = 7, ZFIN = 8,
+  ZRPOS = 9, ZDATA = 10, ZEOF = 11, ZFERR = 12, ZCHALLENGE = 14, ZCAN = 16, ZCOMMAND = 18;
+
+// Subpacket frame ends (ZDLE + one of these, then the CRC).
+const ZCRCE = 0x68, ZCRCG = 0x69, ZCRCQ = 0x6A, ZCRCW = 0x6B;
+const ZRUB0 = 0x6C, ZRUB1 = 0x6D; // Escaped 0x7F and 0xFF.
+
+// ZRINIT capability flags (ZF0).
+const CANFDX = 0x01, CANOVIO = 0x02, CANFC32 = 0x20;
+
+const SUBPACKET_SIZE = 1024;
+const WINDOW_BYTES = 32 * 1024; // Sender waits for a ZACK after this much unacknowledged data.
+const MAX_SUBPACKET_BYTES = 8192;
+const ESCAPED = new Set([ZDLE, 0x10, 0x90, XON, 0x91, 0x13, 0x93]);
+const FLOW_CONTROL = new Set([XON, 0x91, 0x13, 0x93]);
+
+/**
+ * ZDLE-escapes bytes for a binary header or data subpacket.
+ * @param {Buffer|number[]} bytes - Raw bytes.
+ * @returns {Buffer} Escaped bytes.
+ */
+function zdleEncode(bytes) {
+  const out = [];
+  let previous = 0;
+  for (const byte of bytes) {
+    // CR after '@' is escaped too, since "@\r" can trigger some telnet and modem escape handlers.
+    if (ESCAPED.has(byte) || ((byte & 0x7F) === 0x0D && (previous & 0x7F) === 0x40)) out.push(ZDLE, byte ^ 0x40);
+    else out.push(byte);
+    previous = byte;
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * Packs a frame type and a 32-bit position (little-endian, ZP0..ZP3) into header bytes.
+ * @param {number} type - Frame type.
+ * @param {number} [position=0] - File offset, or flags packed as ZF3..ZF0.
+ * @returns {number[]} Five header bytes.
+ */
+function headerBytes(type, position = 0) {
+  return [type, position & 0xFF, (position >>> 8) & 0xFF, (position >>> 16) & 0xFF, (position >>> 24) & 0xFF];
+}
+
+/**
+ * Builds a hex header, the form used for most control frames.
+ * @param {number} type - Frame type.
+ * @param {number} [position=0] - Header data.
+ * @returns {Buffer} The header.
+ */
+function hexHeader(type, position = 0) {
+  const bytes = headerBytes(type, position);
+  const crc = crc16(bytes);
+  const hex = [...bytes, crc >> 8, crc & 0xFF].map(b => b.toString(16).padStart(2, '0')).join('');
+  const trailer = type === ZFIN || type === ZACK ? [0x0D, 0x8A] : [0x0D, 0x8A, XON];
+  return Buffer.concat([Buffer.from([ZPAD, ZPAD, ZDLE, ZHEX]), Buffer.from(hex, 'latin1'), Buffer.from(trailer)]);
+}
+
+/**
+ * Builds a CRC-16 binary header, used before data subpackets.
+ * @param {number} type - Frame type.
+ * @param {number} [position=0] - Header data.
+ * @returns {Buffer} The header.
+ */
+function binaryHeader(type, position = 0) {
+  const bytes = headerBytes(type, position);
+  const crc = crc16(bytes);
+  return Buffer.concat([Buffer.from([ZPAD, ZDLE, ZBIN]), zdleEncode([...bytes, crc >> 8, crc & 0xFF])]);
+}
+
+/**
+ * Builds a CRC-16 data subpacket.
+ * @param {Buffer} data - Payload.
+ * @param {number} frameEnd - ZCRCE, ZCRCG, ZCRCQ or ZCRCW.
+ * @returns {Buffer} The subpacket.
+ */
+function dataSubpacket(data, frameEnd) {
+  const crc = crc16([frameEnd], crc16(data));
+  const parts = [zdleEncode(data), Buffer.from([ZDLE, frameEnd]), zdleEncode([crc >> 8, crc & 0xFF])];
+  if (frameEnd === ZCRCW) parts.push(Buffer.from([XON]));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decodes `count` ZDLE-escaped bytes starting at `start`.
+ * @param {Buffer} buf - Input buffer.
+ * @param {number} start - Where to begin.
+ * @param {number} count - Bytes wanted.
+ * @returns {{bytes: number[], end: number}|null|false} The bytes and the index after them, null if more input is needed, or false if malformed.
+ */
+function decodeEscaped(buf, start, count) {
+  const bytes = [];
+  let i = start;
+  while (bytes.length < count) {
+    if (i >= buf.length) return null;
+    const byte = buf[i++];
+    if (FLOW_CONTROL.has(byte)) continue;
+    if (byte !== ZDLE) { bytes.push(byte); continue; }
+    if (i >= buf.length) return null;
+    const escaped = buf[i++];
+    if (escaped === ZRUB0) bytes.push(0x7F);
+    else if (escaped === ZRUB1) bytes.push(0xFF);
+    else if ((escaped & 0x60) === 0x40) bytes.push(escaped ^ 0x40);
+    else return false;
+  }
+  return { bytes, end: i };
+}
+
+/**
+ * Reads the next header from the input, skipping anything before it.
+ * @param {Buffer} buf - Input buffer.
+ * @returns {{consumed: number, header?: {type: number, position: number, crc32: boolean}}} Bytes used, and the header if
+ *   one was complete and valid. `consumed` is 0 when more input is needed.
+ */
+function readHeader(buf) {
+  const padIndex = buf.indexOf(ZPAD);
+  if (padIndex === -1) return { consumed: buf.length };
+  let i = padIndex;
+  while (i < buf.length && buf[i] === ZPAD) i++;
+  if (i + 1 >= buf.length) return { consumed: padIndex };
+  if (buf[i] !== ZDLE) return { consumed: i };
+  const format = buf[i + 1];
+  const bodyStart = i + 2;
+  let bytes, end, valid;
+  if (format === ZHEX) {
+    if (buf.length < bodyStart + 14) return { consumed: padIndex };
+    const hex = buf.toString('latin1', bodyStart, bodyStart + 14);
+    if (!/^[0-9a-f]{14}$/i.test(hex)) return { consumed: bodyStart };
+    const all = hex.match(/../g).map(pair => parseInt(pair, 16));
+    bytes = all.slice(0, 5);
+    valid = crc16(bytes) === ((all[5] << 8) | all[6]);
+    end = bodyStart + 14;
+    // Skip the CR/LF/XON that follow a hex header.
+    for (let n = 0; n < 3 && end < buf.length && [0x0D, 0x8D, 0x0A, 0x8A, XON].includes(buf[end]); n++) end++;
+  } else if (format === ZBIN || format === ZBIN32) {
+    const crcLength = format === ZBIN32 ? 4 : 2;
+    const decoded = decodeEscaped(buf, bodyStart, 5 + crcLength);
+    if (decoded === null) return { consumed: padIndex };
+    if (decoded === false) return { consumed: bodyStart };
+    bytes = decoded.bytes.slice(0, 5);
+    const crcBytes = decoded.bytes.slice(5);
+    valid = format === ZBIN32 ?
+        crc32(bytes) === (crcBytes[0] | (crcBytes[1] << 8) | (crcBytes[2] << 16) | (crcBytes[3] << 24)) >>> 0 :
+        crc16(bytes) === ((crcBytes[0] << 8) | crcBytes[1]);
+    end = decoded.end;
+  } else {
+    return { consumed: i };
+  }
+  if (!valid) return { consumed: end };
+  const position = (bytes[1] | (bytes[2] << 8) | (bytes[3] << 16) | (bytes[4] << 24)) >>> 0;
+  return { consumed: end, header: { type: bytes[0], position, crc32: format === ZBIN32 } };
+}
+
+/**
+ * Reads one data subpacket.
+ * @param {Buffer} buf - Input buffer, starting at the subpacket.
+ * @param {boolean} useCrc32 - Whether the preceding header was a CRC-32 header.
+ * @returns {{consumed: number, data?: Buffer, frameEnd?: number, valid: boolean}|null} The subpacket, or null if more input is needed.
+ */
+function readSubpacket(buf, useCrc32) {
+  const data = [];
+  let i = 0;
+  while (true) {
+    if (data.length > MAX_SUBPACKET_BYTES) return { consumed: i, valid: false };
+    if (i >= buf.length) return null;
+    const byte = buf[i++];
+    if (FLOW_CONTROL.has(byte)) continue;
+    if (byte !== ZDLE) { data.push(byte); continue; }
+    if (i >= buf.length) return null;
+    const escaped = buf[i++];
+    if (escaped >= ZCRCE && escaped <= ZCRCW) {
+      const decoded = decodeEscaped(buf, i, useCrc32 ? 4 : 2);
+      if (decoded === null) return null;
+      if (decoded === false) return { consumed: i, valid: false };
+      const crcBytes = decoded.bytes;
+      const payload = Buffer.from(data);
+      const valid = useCrc32 ?
+          crc32([escaped], crc32(payload)) === (crcBytes[0] | (crcBytes[1] << 8) | (crcBytes[2] << 16) | (crcBytes[3] << 24)) >>> 0 :
+          crc16([escaped], crc16(payload)) === ((crcBytes[0] << 8) | crcBytes[1]);
+      return { consumed: decoded.end, data: payload, frameEnd: escaped, valid };
+    }
+    if (escaped === ZRUB0) data.push(0x7F);
+    else if (escaped === ZRUB1) data.push(0xFF);
+    else if ((escaped & 0x60) === 0x40) data.push(escaped ^ 0x40);
+    else return { consumed: i, valid: false };
+  }
+}
+
+/**
+ * Tracks runs of CAN bytes in raw input; five in a row means the peer cancelled.
+ * @returns {function(Buffer): boolean} Feeds a chunk and returns true once a cancel has been seen.
+ */
+function createCancelDetector() {
+  let run = 0;
+  return (data) => {
+    for (const byte of data) {
+      run = byte === CAN ? run + 1 : 0;
+      if (run >= 5) return true;
+    }
+    return false;
+  };
+}
+
+/**
+ * Creates a ZMODEM sender.
+ * @param {object} options - Sender options.
+ * @param {Array<{name: string, data: Buffer, mtime?: Date}>} options.files - Files to send.
+ * @param {function(Buffer): void} options.write - Sends bytes to the peer.
+ * @param {function(?Error, object=): void} options.onDone - Called once with an error or {files: [{name, size, skipped}]}.
+ * @returns {{start: function(): void, handleData: function(Buffer): void, abort: function(string=): void}} The sender.
+ */
+function createZmodemSender({ files, write, onDone }) {
+  let state = 'init'; // init -> file -> data -> eof -> (next file) -> fin
+  let buffer = Buffer.alloc(0);
+  let fileIndex = 0;
+  let offset = 0; // Next byte to send.
+  let waitingForAck = false;
+  let retries = 0;
+  let timer = null;
+  let startedAt = Date.now();
+  let finished = false;
+  const isCancel = createCancelDetector();
+  const sent = [];
+
+  function finish(err) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    if (err) onDone(err);
+    else onDone(null, { files: sent });
+  }
+
+  function armTimer() {
+    clearTimeout(timer);
+    timer = setTimeout(onTimeout, BLOCK_TIMEOUT_MS);
+  }
+
+  function onTimeout() {
+    if (state === 'init') {
+      if (Date.now() - startedAt >= START_TIMEOUT_MS) return abort("Timed out waiting for your terminal to start the transfer.", 'TIMEOUT');
+      write(hexHeader(ZRQINIT));
+      return armTimer();
+    }
+    if (++retries > MAX_RETRIES) return abort("Timed out waiting for your terminal.", 'TIMEOUT');
+    if (state === 'file') sendFileHeader();
+    else if (state === 'data') sendData(offset);
+    else if (state === 'eof') write(hexHeader(ZEOF, files[fileIndex].data.length));
+    else if (state === 'fin') write(hexHeader(ZFIN));
+    armTimer();
+  }
+
+  function sendFileHeader() {
+    const file = files[fileIndex];
+    const remaining = files.slice(fileIndex);
+    const bytesLeft = remaining.reduce((sum, f) => sum + f.data.length, 0);
+    const mtime = Math.floor((file.mtime ? file.mtime.getTime() : Date.now()) / 1000);
+    const info = Buffer.from(`${file.name}\0${file.data.length} ${mtime.toString(8)} 0 0 ${remaining.length} ${bytesLeft}\0`, 'latin1');
+    state = 'file';
+    write(Buffer.concat([binaryHeader(ZFILE), dataSubpacket(info, ZCRCW)]));
+    armTimer();
+  }
+
+  function nextFile() {
+    fileIndex++;
+    retries = 0;
+    if (fileIndex < files.length) return sendFileHeader();
+    state = 'fin';
+    write(hexHeader(ZFIN));
+    armTimer();
+  }
+
+  /**
+   * Streams file data from `position` up to the end of the next window.
+   * @param {number} position - Offset to (re)start from.
+   */
+  function sendData(position) {
+    const data = files[fileIndex].data;
+    offset = position;
+    state = 'data';
+    const windowEnd = Math.min(data.length, offset + WINDOW_BYTES);
+    const parts = [binaryHeader(ZDATA, offset)];
+    do {
+      const chunk = data.subarray(offset, Math.min(offset + SUBPACKET_SIZE, windowEnd));
+      offset += chunk.length;
+      // ZCRCE ends the file's data; ZCRCQ at a window boundary asks for a ZACK before we go on.
+      const frameEnd = offset >= data.length ? ZCRCE : (offset >= windowEnd ? ZCRCQ : ZCRCG);
+      parts.push(dataSubpacket(chunk, frameEnd));
+    } while (offset < windowEnd);
+    if (offset >= data.length) {
+      parts.push(hexHeader(ZEOF, data.length));
+      state = 'eof';
+      waitingForAck = false;
+    } else {
+      waitingForAck = true;
+    }
+    write(Buffer.concat(parts));
+    armTimer();
+  }
+
+  function handleHeader({ type, position }) {
+    switch (type) {
+      case ZRINIT:
+        if (state === 'init') { retries = 0; sendFileHeader(); }
+        else if (state === 'eof') {
+          const file = files[fileIndex];
+          sent.push({ name: file.name, size: file.data.length, skipped: false });
+          nextFile();
+        }
+        break;
+      case ZCHALLENGE:
+        write(hexHeader(ZACK, position));
+        break;
+      case ZRPOS:
+        if (state === 'init' || state === 'fin') break;
+        retries = state === 'file' ? 0 : retries + 1;
+        if (retries > MAX_RETRIES) return abort("Too many errors; transfer cancelled.", 'PROTOCOL');
+        sendData(Math.min(position, files[fileIndex].data.length));
+        break;
+      case ZACK:
+        if (state === 'data' && waitingForAck && position >= offset) { retries = 0; sendData(offset); }
+        break;
+      case ZSKIP:
+        if (state === 'file' || state === 'data' || state === 'eof') {
+          sent.push({ name: files[fileIndex].name, size: files[fileIndex].data.length, skipped: true });
+          nextFile();
+        }
+        break;
+      case ZNAK:
+        if (state === 'file') sendFileHeader();
+        else if (state === 'fin') write(hexHeader(ZFIN));
+        break;
+      case ZFIN:
+        if (state === 'fin') { write(Buffer.from('OO', 'latin1')); finish(null); }
+        break;
+      case ZCAN:
+      case ZABORT:
+      case ZFERR:
+        abort("Transfer cancelled by your terminal.", 'CANCELLED', false);
+        break;
+    }
+  }
+
+  /**
+   * Cancels the transfer.
+   * @param {string} [message] - Why, for the user.
+   * @param {string} [code='CANCELLED'] - Error code passed to onDone.
+   * @param {boolean} [notifyPeer=true] - Whether to send the cancel sequence.
+   */
+  function abort(message = "Transfer cancelled.", code = 'CANCELLED', notifyPeer = true) {
+    if (finished) return;
+    if (notifyPeer) write(CANCEL_SEQUENCE);
+    finish(transferError(code, message));
+  }
+
+  return {
+    start() {
+      startedAt = Date.now();
+      // "rz\r" starts a receiver on Unix-style hosts; ZRQINIT triggers auto-download in terminals like SyncTERM.
+      write(Buffer.concat([Buffer.from('rz\r', 'latin1'), hexHeader(ZRQINIT)]));
+      armTimer();
+    },
+    handleData(data) {
+      if (finished) return;
+      if (isCancel(data)) return abort("Transfer cancelled.", 'CANCELLED', false);
+      buffer = Buffer.concat([buffer, data]);
+      while (buffer.length > 0 && !finished) {
+        const { consumed, header } = readHeader(buffer);
+        if (consumed === 0) break;
+        buffer = buffer.subarray(consumed);
+        if (header) handleHeader(header);
+      }
+    },
+    abort,
+  };
+}
+
+/**
+ * Parses the ZFILE subpacket: "name\0size mtime mode ...\0".
+ * @param {Buffer} data - Subpacket payload.
+ * @returns {{name: string, size: number|null}} The file's base name and declared size.
+ */
+function parseFileInfo(data) {
+  const nameEnd = data.indexOf(0);
+  const fullName = data.toString('latin1', 0, nameEnd === -1 ? data.length : nameEnd);
+  const info = nameEnd === -1 ? '' : data.toString('latin1', nameEnd + 1).replace(/\0.*$/s, '').trim();
+  const size = parseInt(info.split(' ')[0], 10);
+  return { name: fullName.split(/[\/\\]/).pop(), size: isNaN(size) ? null : size };
+}
+
+/**
+ * Creates a ZMODEM receiver.
+ * @param {object} options - Receiver options.
+ * @param {number} options.maxBytes - Largest total upload accepted; bigger files are skipped.
+ * @param {function(Buffer): void} options.write - Sends bytes to the peer.
+ * @param {function(?Error, object=): void} options.onDone - Called once with an error or {files: [{name, data}], skipped: [{name, size}]}.
+ * @returns {{start: function(): void, handleData: function(Buffer): void, abort: function(string=): void}} The receiver.
+ */
+function createZmodemReceiver({ maxBytes, write, onDone }) {
+  let buffer = Buffer.alloc(0);
+  let mode = 'header'; // header | subpacket
+  let subpacketFor = null; // 'sinit' | 'file' | 'data'
+  let subpacketCrc32 = false;
+  let current = null; // {name, size, chunks, length}
+  let totalBytes = 0;
+  let started = false;
+  let retries = 0;
+  let timer = null;
+  let startedAt = Date.now();
+  let finished = false;
+  const isCancel = createCancelDetector();
+  const received = [];
+  const skipped = [];
+  const rinit = () => hexHeader(ZRINIT, (CANFDX | CANOVIO | CANFC32) << 24);
+
+  function finish(err) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    if (err) onDone(err);
+    else onDone(null, { files: received, skipped });
+  }
+
+  function armTimer() {
+    clearTimeout(timer);
+    timer = setTimeout(onTimeout, BLOCK_TIMEOUT_MS);
+  }
+
+  function onTimeout() {
+    if (!started) {
+      if (Date.now() - startedAt >= START_TIMEOUT_MS) return abort("Timed out waiting for your terminal to start the transfer.", 'TIMEOUT');
+    } else if (++retries > MAX_RETRIES) {
+      return abort("Timed out waiting for data.", 'TIMEOUT');
+    }
+    mode = 'header';
+    write(current ? hexHeader(ZRPOS, current.length) : rinit());
+    armTimer();
+  }
+
+  function handleHeader({ type, position, crc32: isCrc32 }) {
+    started = true;
+    switch (type) {
+      case ZRQINIT:
+        write(rinit());
+        break;
+      case ZSINIT:
+      case ZFILE:
+        mode = 'subpacket';
+        subpacketFor = type === ZSINIT ? 'sinit' : 'file';
+        subpacketCrc32 = isCrc32;
+        break;
+      case ZDATA:
+        if (!current) { write(rinit()); break; }
+        if (position !== current.length) { write(hexHeader(ZRPOS, current.length)); break; }
+        mode = 'subpacket';
+        subpacketFor = 'data';
+        subpacketCrc32 = isCrc32;
+        break;
+      case ZEOF:
+        if (!current) break;
+        // A ZEOF past what we have means data was lost in flight; ask for it again.
+        if (position !== current.length) { if (position > current.length) write(hexHeader(ZRPOS, current.length)); break; }
+        received.push({ name: current.name, data: Buffer.concat(current.chunks) });
+        current = null;
+        write(rinit());
+        break;
+      case ZFIN:
+        write(hexHeader(ZFIN));
+        finish(null);
+        break;
+      case ZCOMMAND:
+        abort("Remote commands are not accepted.", 'PROTOCOL');
+        break;
+      case ZCAN:
+      case ZABORT:
+        abort("Transfer cancelled by your terminal.", 'CANCELLED', false);
+        break;
+    }
+  }
+
+  function handleSubpacket({ data, frameEnd, valid }) {
+    mode = 'header';
+    if (!valid) {
+      if (++retries > MAX_RETRIES) return abort("Too many errors; transfer cancelled.", 'PROTOCOL');
+      write(subpacketFor === 'data' && current ? hexHeader(ZRPOS, current.length) : hexHeader(ZNAK));
+      return;
+    }
+    retries = 0;
+    if (subpacketFor === 'sinit') { write(hexHeader(ZACK, 1)); return; }
+    if (subpacketFor === 'file') {
+      const info = parseFileInfo(data);
+      if (info.size !== null && totalBytes + info.size > maxBytes) {
+        skipped.push({ name: info.name, size: info.size });
+        write(hexHeader(ZSKIP));
+        return;
+      }
+      current = { name: info.name, size: info.size, chunks: [], length: 0 };
+      write(hexHeader(ZRPOS, 0));
+      return;
+    }
+    if (!current) return;
+    current.chunks.push(data);
+    current.length += data.length;
+    totalBytes += data.length;
+    if (totalBytes > maxBytes) return abort("Upload is too large; transfer cancelled.", 'TOO_LARGE');
+    if (frameEnd === ZCRCQ || frameEnd === ZCRCW) write(hexHeader(ZACK, current.length));
+    if (frameEnd === ZCRCG || frameEnd === ZCRCQ) mode = 'subpacket';
+  }
+
+  /**
+   * Cancels the transfer.
+   * @param {string} [message] - Why, for the user.
+   * @param {string} [code='CANCELLED'] - Error code passed to onDone.
+   * @param {boolean} [notifyPeer=true] - Whether to send the cancel sequence.
+   */
+  function abort(message = "Transfer cancelled.", code = 'CANCELLED', notifyPeer = true) {
+    if (finished) return;
+    if (notifyPeer) write(CANCEL_SEQUENCE);
+    finish(transferError(code, message));
+  }
+
+  return {
+    start() {
+      startedAt = Date.now();
+      write(rinit());
+      armTimer();
+    },
+    handleData(data) {
+      if (finished) return;
+      if (isCancel(data)) return abort("Transfer cancelled.", 'CANCELLED', false);
+      if (started) armTimer();
+      buffer = Buffer.concat([buffer, data]);
+      while (buffer.length > 0 && !finished) {
+        if (mode === 'header') {
+          const { consumed, header } = readHeader(buffer);
+          if (consumed === 0) break;
+          buffer = buffer.subarray(consumed);
+          if (header) handleHeader(header);
+        } else {
+          const subpacket = readSubpacket(buffer, subpacketCrc32);
+          if (!subpacket) break;
+          buffer = buffer.subarray(subpacket.consumed);
+          handleSubpacket(subpacket);
+        }
+      }
+    },
+    abort,
+  };
+}
+
+module.exports = {
+  createZmodemSender,
+  createZmodemReceiver,
+};